@@ -0,0 +1,40 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A Box is a destination for messages. Boxes are the transport layer used
+ * to talk to objects in other processes: a message sent to a Box is
+ * delivered, possibly asynchronously and after being serialized, to the
+ * Box at the other end.
+ */
+foam.INTERFACE({
+  package: 'foam.box',
+  name: 'Box',
+
+  methods: [
+    {
+      /** Delivers message, an FObject, to the Box's destination. */
+      name: 'send',
+      returns: '',
+      args: [
+        {
+          name: 'message'
+        }
+      ]
+    }
+  ]
+});
@@ -0,0 +1,56 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * An in-process Box which delivers messages to its delegate Box
+ * asynchronously, after a round-trip through foam.json, as a real transport
+ * would. Useful for testing clients and servers without a network.
+ *
+ * <pre>
+ * var toServer = foam.box.LoopbackBox.create();
+ * var client   = foam.dao.ClientDAO.create({delegate: toServer});
+ * toServer.delegate = foam.dao.DAOSkeleton.create({
+ *   dao: dao,
+ *   replyBox: foam.box.LoopbackBox.create({delegate: client})
+ * });
+ * </pre>
+ */
+foam.CLASS({
+  package: 'foam.box',
+  name: 'LoopbackBox',
+  implements: ['foam.box.Box'],
+
+  properties: [
+    {
+      /** The Box to which messages are delivered. */
+      name: 'delegate'
+    }
+  ],
+
+  methods: [
+    function send(message) {
+      /** @param {FObject} message */
+      var self = this;
+      var text = foam.json.stringify(message);
+
+      // Messages are delivered in the order in which they were sent.
+      Promise.resolve().then(function() {
+        self.delegate.send(foam.json.parseString(text, self.__context__));
+      });
+    }
+  ]
+});
@@ -0,0 +1,97 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * The messages exchanged between a foam.dao.ClientDAO and the
+ * foam.dao.DAOSkeleton serving it. Each call carries an id, which is
+ * repeated in the messages sent in reply to it.
+ */
+
+/** Calls the method 'name' of the remote object with 'args'. */
+foam.CLASS({
+  package: 'foam.box',
+  name: 'RPCMessage',
+
+  properties: [
+    {
+      class: 'Int',
+      name: 'id'
+    },
+    {
+      class: 'String',
+      name: 'name'
+    },
+    {
+      name: 'args',
+      factory: function() { return []; }
+    }
+  ]
+});
+
+
+/** The successful result of the call with the same id. */
+foam.CLASS({
+  package: 'foam.box',
+  name: 'ReturnMessage',
+
+  properties: [
+    {
+      class: 'Int',
+      name: 'id'
+    },
+    'value'
+  ]
+});
+
+
+/**
+ * The failure of the call with the same id, as a foam.dao.DAOException.
+ */
+foam.CLASS({
+  package: 'foam.box',
+  name: 'ErrorMessage',
+
+  properties: [
+    {
+      class: 'Int',
+      name: 'id'
+    },
+    'error'
+  ]
+});
+
+
+/**
+ * A put(), remove() or eof() made by a DAO on the sink of the call with the
+ * same id.
+ */
+foam.CLASS({
+  package: 'foam.box',
+  name: 'SinkMessage',
+
+  properties: [
+    {
+      class: 'Int',
+      name: 'id'
+    },
+    {
+      class: 'String',
+      name: 'name'
+    },
+    'obj'
+  ]
+});
@@ -0,0 +1,85 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A Box which sends messages to another Node process or thread, as JSON
+ * text, through a port, and delivers the messages received from it to its
+ * delegate Box.
+ *
+ * The port can be a worker_threads Worker or MessagePort, such as
+ * parentPort, which have postMessage(), or a child_process ChildProcess, or
+ * the 'process' object of a forked child, which have send().
+ *
+ * <pre>
+ * // In the parent:
+ * var box    = foam.box.node.PortBox.create({port: worker});
+ * var client = foam.dao.ClientDAO.create({delegate: box});
+ * box.delegate = client;
+ *
+ * // In the worker:
+ * var box = foam.box.node.PortBox.create({port: parentPort});
+ * box.delegate = foam.dao.DAOSkeleton.create({dao: dao, replyBox: box});
+ * </pre>
+ */
+foam.CLASS({
+  package: 'foam.box.node',
+  name: 'PortBox',
+  implements: ['foam.box.Box'],
+
+  properties: [
+    {
+      /** The Worker, MessagePort or process to talk to. */
+      name: 'port',
+      required: true
+    },
+    {
+      /** The Box to which received messages are delivered. */
+      name: 'delegate'
+    }
+  ],
+
+  methods: [
+    function init() {
+      foam.assert(foam.isServer, 'PortBox is only supported on Node.');
+
+      var port      = this.port;
+      var onMessage = this.onMessage;
+
+      port.on('message', onMessage);
+      this.onDetach(function() {
+        port.removeListener('message', onMessage);
+      });
+    },
+
+    function send(message) {
+      /** @param {FObject} message */
+      var text = foam.json.stringify(message);
+
+      if ( this.port.postMessage ) {
+        this.port.postMessage(text);
+      } else {
+        this.port.send(text);
+      }
+    }
+  ],
+
+  listeners: [
+    function onMessage(text) {
+      this.delegate.send(foam.json.parseString(text, this.__context__));
+    }
+  ]
+});
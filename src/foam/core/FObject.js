@@ -793,6 +793,23 @@ foam.CLASS({
       return this.cls_.create(m);
     },
 
+    function diff(other) {
+      /**
+       * Returns a map from the name of each property whose value differs in
+       * 'other', an instance of the same class, to its value in 'other'.
+       * @param {FObject} other
+       */
+      foam.assert(other.cls_ === this.cls_,
+          'Cannot diff', this.cls_.id, 'with', other.cls_.id);
+
+      var diff = {};
+      var ps   = this.cls_.getAxiomsByClass(foam.core.Property);
+      for ( var i = 0 ; i < ps.length ; i++ ) {
+        ps[i].diffProperty(this, other, diff);
+      }
+      return diff;
+    },
+
     function toString() {
       // Distinguish between prototypes and instances.
       return this.cls_.id + (
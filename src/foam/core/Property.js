@@ -497,6 +497,18 @@ foam.CLASS({
                 have them installed on the clone.
       */
       cloneMap[this.name] = ( value && value.clone ) ? value.clone() : value;
+    },
+
+    function diffProperty(o1, o2, diff) {
+      /**
+        Override to provide special diffing behavior. Used by FObject.diff().
+
+        @param {FObject} o1 The original object
+        @param {FObject} o2 The changed object
+        @param {Object} diff Set this property's value in o2 on this map,
+                under its name, if it differs from its value in o1.
+      */
+      if ( this.compare(o1, o2) ) diff[this.name] = this.get(o2);
     }
   ]
 });
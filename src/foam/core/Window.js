@@ -40,7 +40,10 @@ foam.CLASS({
   exports: [
     'setTimeout',
     'clearTimeout',
-    'merged'
+    'merged',
+    'log',
+    'warn',
+    'error'
   ],
 
   properties: [
@@ -99,6 +102,18 @@ foam.CLASS({
        * @param {Number} id
        */
       this.window.clearTimeout(id);
+    },
+
+    function log() {
+      this.window.console.log.apply(this.window.console, arguments);
+    },
+
+    function warn() {
+      this.window.console.warn.apply(this.window.console, arguments);
+    },
+
+    function error() {
+      this.window.console.error.apply(this.window.console, arguments);
     }
   ]
 });
@@ -811,6 +811,49 @@ foam.LIB({
 });
 
 
+// Flyweight type information for FObjects, which are recognized once
+// foam.core.FObject has been defined. Until FObject can be made available
+// earlier in boot (see above), they are cloned, compared and hashed like
+// other Objects, but diff() compares their properties.
+foam.LIB({
+  name: 'foam.FObject',
+  methods: [
+    function isInstance(o) {
+      /** @param {any=} o */
+      return !! ( foam.core && foam.core.FObject &&
+          foam.core.FObject.isInstance(o) );
+    },
+    function clone(o) { /** @param {any=} o */ return foam.Object.clone(o); },
+    function equals(a, b) {
+      /**
+       * @param {any=} a
+       * @param {any=} b
+       */
+      return foam.Object.equals(a, b);
+    },
+    function compare(a, b) {
+      /**
+       * @param {Object} a
+       * @param {Object=} b
+       */
+      return foam.Object.compare(a, b);
+    },
+    function hashCode(o) {
+      /** @param {any=} o */
+      return foam.Object.hashCode(o);
+    },
+    function diff(a, b) {
+      /**
+       * Returns a map of the properties which differ in b. See FObject.diff().
+       * @param {Object} a
+       * @param {Object} b
+       */
+      return a.diff(b);
+    }
+  ]
+});
+
+
 /**
   Return the flyweight 'type object' for the provided object.
   Any value is a valid argument, including null and undefined.
@@ -823,9 +866,7 @@ foam.typeOf = (function() {
   var tBoolean   = foam.Boolean;
   var tArray     = foam.Array;
   var tDate      = foam.Date;
-  // FUTURE: Make FObject available during this phase of boot
-  //         and capture here.
-  //var tFObject   = foam.core.FObject;
+  var tFObject   = foam.FObject;
   var tFunction  = foam.Function;
   var tContext   = foam.Context;
   var tObject    = foam.Object;
@@ -841,8 +882,7 @@ foam.typeOf = (function() {
     if ( tDate.isInstance(o) )      return tDate;
     if ( tFunction.isInstance(o) )  return tFunction;
     if ( tContext.isInstance(o) )   return tContext;
-    // FUTURE: tFObject here
-    //if ( tFObject.isInstance(o) )   return tFObject;
+    if ( tFObject.isInstance(o) )   return tFObject;
     return tObject;
   };
 })();
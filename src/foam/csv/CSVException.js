@@ -0,0 +1,60 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * The error thrown by foam.csv.CSVParser and foam.csv.CSVReader for bad
+ * input, with the row and column at which it was found. Both count from 1,
+ * the header being row 1, and a row being one record, however many lines its
+ * quoted values span.
+ */
+foam.CLASS({
+  package: 'foam.csv',
+  name: 'CSVException',
+
+  properties: [
+    {
+      class: 'Int',
+      name: 'row'
+    },
+    {
+      class: 'Int',
+      name: 'column'
+    },
+    {
+      /** What was wrong, without the position. */
+      class: 'String',
+      name: 'reason'
+    },
+    {
+      class: 'String',
+      name: 'message',
+      expression: function(reason, row, column) {
+        return reason + ' at row ' + row + ', column ' + column;
+      }
+    },
+    {
+      /** The original exception, if this one wraps it. */
+      name: 'cause'
+    }
+  ],
+
+  methods: [
+    function toString() {
+      return this.cls_.name + ': ' + this.message;
+    }
+  ]
+});
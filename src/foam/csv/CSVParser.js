@@ -0,0 +1,124 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Splits CSV text into rows of String values, following RFC 4180: values
+ * containing the delimiter, a quote or a line break are wrapped in double
+ * quotes, and quotes inside them are doubled. Rows may end with '\r\n', '\n'
+ * or '\r'.
+ *
+ * <pre>
+ * foam.csv.CSVParser.create().parseString('a,"b ""c"""\n1,2');
+ * // [['a', 'b "c"'], ['1', '2']]
+ * </pre>
+ *
+ * Throws a foam.csv.CSVException, with the row and column, for an
+ * unterminated quoted value or a stray quote.
+ */
+foam.CLASS({
+  package: 'foam.csv',
+  name: 'CSVParser',
+
+  requires: [
+    'foam.csv.CSVException',
+    'foam.parse.Grammar',
+    'foam.parse.StringPS'
+  ],
+
+  properties: [
+    {
+      /** Separates the values in a row. Often ';' or '\t'. */
+      class: 'String',
+      name: 'delimiter',
+      value: ','
+    },
+    {
+      name: 'grammar',
+      expression: function(delimiter) {
+        return this.Grammar.create({
+          symbols: function(alt, literal, notChars, repeat, seqAt, str) {
+            return {
+              value: alt(
+                  seqAt(1,
+                      '"',
+                      str(repeat(alt(literal('""', '"'), notChars('"')))),
+                      '"'),
+                  str(repeat(notChars(delimiter + '"\r\n')))),
+              delimiter: literal(delimiter),
+              eol: alt('\r\n', '\n', '\r')
+            };
+          }
+        });
+      }
+    }
+  ],
+
+  methods: [
+    function parseString(str) {
+      /**
+       * Returns the rows in str, each an Array of Strings. A trailing line
+       * break doesn't start another row.
+       * @param {String} str
+       */
+      if ( ! str ) return [];
+
+      var g         = this.grammar;
+      var value     = g.getSymbol('value');
+      var delimiter = g.getSymbol('delimiter');
+      var eol       = g.getSymbol('eol');
+      var rows      = [];
+      var row       = [];
+      var ps        = this.StringPS.create();
+      ps.setString(str);
+
+      while ( true ) {
+        var start = ps.pos;
+
+        ps = value.parse(ps, g);
+        row.push(ps.value);
+
+        if ( ps.head === undefined ) {
+          rows.push(row);
+          return rows;
+        }
+
+        var next = delimiter.parse(ps, g);
+        if ( next ) {
+          ps = next;
+          continue;
+        }
+
+        next = eol.parse(ps, g);
+        if ( next ) {
+          rows.push(row);
+          if ( next.head === undefined ) return rows;
+          row = [];
+          ps  = next;
+          continue;
+        }
+
+        throw this.CSVException.create({
+          row: rows.length + 1,
+          column: row.length,
+          reason: ps.pos === start ?
+              'Unterminated quoted value' :
+              'Unexpected ' + JSON.stringify(ps.head)
+        });
+      }
+    }
+  ]
+});
@@ -0,0 +1,206 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Reads CSV text, such as a spreadsheet export, into objects of class
+ * <tt>of</tt>. The first row is a header naming each column's Property, by
+ * its name ('firstName') or its label ('First Name'), ignoring case.
+ *
+ * <pre>
+ * var objs = foam.csv.CSVReader.create({of: example.Person}).read(text);
+ * personDAO.putAll(objs);
+ * </pre>
+ *
+ * Each value is set through its Property, whose adapt() coerces it. Values
+ * for String and untyped Properties are kept as text; others are first
+ * parsed as plain JSON if they can be, so that '42' sets an Int to 42 and
+ * 'true' sets a Boolean. Empty values leave the Property unset.
+ *
+ * Bad input, an unknown column, or a value its Property rejects, throws a
+ * foam.csv.CSVException with the row and column.
+ */
+foam.CLASS({
+  package: 'foam.csv',
+  name: 'CSVReader',
+
+  requires: [
+    'foam.csv.CSVException',
+    'foam.csv.CSVParser'
+  ],
+
+  properties: [
+    {
+      /** The class of the objects read. */
+      name: 'of',
+      required: true
+    },
+    {
+      /** Separates the values in a row. Often ';' or '\t'. */
+      class: 'String',
+      name: 'delimiter',
+      value: ','
+    },
+    {
+      name: 'parser',
+      expression: function(delimiter) {
+        return this.CSVParser.create({delimiter: delimiter});
+      }
+    }
+  ],
+
+  methods: [
+    function read(str) {
+      /**
+       * Returns an Array of the objects in str, one per row after the
+       * header. Blank rows are skipped.
+       * @param {String} str
+       */
+      var rows = this.parser.parseString(str);
+      if ( ! rows.length ) return [];
+
+      var props = this.columns_(rows[0]);
+      var objs  = [];
+
+      for ( var i = 1 ; i < rows.length ; i++ ) {
+        var row = rows[i];
+        if ( row.length === 1 && ! row[0] ) continue;
+
+        if ( row.length !== props.length ) {
+          throw this.CSVException.create({
+            row: i + 1,
+            column: Math.min(row.length, props.length) + 1,
+            reason: 'Expected ' + props.length + ' values but found ' +
+                row.length
+          });
+        }
+
+        objs.push(this.readRow_(props, row, i + 1));
+      }
+
+      return objs;
+    },
+
+    function columns_(header) {
+      /**
+       * Returns the Property for each column named in header.
+       * @param {Array} header
+       */
+      var props  = this.of.getAxiomsByClass(foam.core.Property);
+      var byName = {};
+
+      for ( var i = 0 ; i < props.length ; i++ ) {
+        byName[props[i].name.toLowerCase()] = props[i];
+        byName[foam.String.labelize(props[i].name).toLowerCase()] = props[i];
+      }
+
+      return header.map(function(name, i) {
+        var prop = byName[name.trim().toLowerCase()];
+        if ( ! prop ) {
+          throw this.CSVException.create({
+            row: 1,
+            column: i + 1,
+            reason: 'Unknown column ' + JSON.stringify(name) + ' for ' +
+                this.of.id
+          });
+        }
+        return prop;
+      }, this);
+    },
+
+    function readRow_(props, row, rowNum) {
+      /**
+       * @param {Array} props
+       * @param {Array} row
+       * @param {Number} rowNum
+       */
+      var obj = this.of.create(null, this.__context__);
+
+      for ( var i = 0 ; i < props.length ; i++ ) {
+        var prop = props[i];
+        var valid;
+        var cause;
+
+        if ( row[i] === '' ) continue;
+
+        try {
+          obj[prop.name] = this.value_(prop, row[i]);
+          valid = this.isValid_(prop, obj[prop.name]);
+        } catch (x) {
+          cause = x;
+        }
+
+        if ( ! valid ) {
+          throw this.CSVException.create({
+            row: rowNum,
+            column: i + 1,
+            reason: 'Bad value for ' + prop.name + ': ' +
+                JSON.stringify(row[i]),
+            cause: cause
+          });
+        }
+      }
+
+      return obj;
+    },
+
+    function value_(prop, text) {
+      /**
+       * Returns text, or its plain JSON value for Properties which aren't
+       * Strings. No classes are looked up or created from it.
+       * @param {foam.core.Property} prop
+       * @param {String} text
+       */
+      if ( foam.core.property.String.isInstance(prop) ||
+          prop.cls_ === foam.core.Property ) {
+        return text;
+      }
+
+      try {
+        return JSON.parse(text);
+      } catch (x) {
+        return text;
+      }
+    },
+
+    function isValid_(prop, value) {
+      /**
+       * Returns whether value, as adapted by prop, has prop's type. Checked
+       * here, since adapt() only logs its assertions in some environments.
+       * @param {foam.core.Property} prop
+       * @param {any=} value
+       */
+      if ( foam.core.property.Int.isInstance(prop) ) {
+        return foam.Number.isInstance(value) && Math.trunc(value) === value;
+      }
+
+      if ( foam.core.property.Boolean.isInstance(prop) ) {
+        return foam.Boolean.isInstance(value);
+      }
+
+      if ( foam.core.property.StringArray.isInstance(prop) ) {
+        return foam.Array.isInstance(value) &&
+            value.every(function(s) { return foam.String.isInstance(s); });
+      }
+
+      if ( foam.core.property.FObjectArray.isInstance(prop) ) {
+        return foam.Array.isInstance(value);
+      }
+
+      return true;
+    }
+  ]
+});
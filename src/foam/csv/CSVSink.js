@@ -0,0 +1,123 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Sink which writes the objects put to it as CSV text, one row per object
+ * and one column per Property, after a header row naming the columns.
+ *
+ * <pre>
+ * dao.select(foam.csv.CSVSink.create({of: example.Person}))
+ *     .then(function(sink) { console.log(sink.csv); });
+ * </pre>
+ *
+ * Strings, numbers and booleans are written as they are, Dates in ISO 8601
+ * format and anything else as JSON, which foam.csv.CSVReader reads back.
+ */
+foam.CLASS({
+  package: 'foam.csv',
+  name: 'CSVSink',
+  implements: ['foam.dao.Sink'],
+
+  properties: [
+    {
+      /**
+       * The class of the objects written. Defaults to the class of the first
+       * one.
+       */
+      name: 'of'
+    },
+    {
+      /** The Properties written as columns. Defaults to all of of's. */
+      name: 'props',
+      expression: function(of) {
+        return of ? of.getAxiomsByClass(foam.core.Property) : [];
+      }
+    },
+    {
+      /** Separates the values in a row. Often ';' or '\t'. */
+      class: 'String',
+      name: 'delimiter',
+      value: ','
+    },
+    {
+      class: 'String',
+      name: 'eol',
+      value: '\n'
+    },
+    {
+      class: 'Boolean',
+      name: 'header',
+      value: true
+    },
+    {
+      /**
+       * Head columns with each Property's label, like 'First Name', rather
+       * than its name.
+       */
+      class: 'Boolean',
+      name: 'labels'
+    },
+    {
+      /** The CSV text written so far, starting with the header row. */
+      class: 'String',
+      name: 'csv',
+      factory: function() {
+        if ( ! this.header ) return '';
+
+        var labels = this.labels;
+        return this.row_(this.props.map(function(p) {
+          return labels ? foam.String.labelize(p.name) : p.name;
+        }));
+      }
+    }
+  ],
+
+  methods: [
+    function put(obj) {
+      /** @param {any} obj */
+      if ( ! this.of ) this.of = obj.cls_;
+
+      var props = this.props;
+      var a     = new Array(props.length);
+
+      for ( var i = 0 ; i < props.length ; i++ ) {
+        a[i] = this.format_(obj[props[i].name]);
+      }
+
+      this.csv += this.row_(a);
+    },
+
+    function format_(v) {
+      /** @param {any=} v */
+      if ( v === undefined || v === null ) return '';
+      if ( v instanceof Date ) return v.toISOString();
+      if ( typeof v === 'object' ) return foam.json.stringify(v);
+      return String(v);
+    },
+
+    function row_(values) {
+      /** @param {Array} values */
+      var d = this.delimiter;
+
+      return values.map(function(v) {
+        return v.indexOf(d) !== -1 || /["\r\n]/.test(v) ?
+            '"' + v.replace(/"/g, '""') + '"' :
+            v;
+      }).join(d) + this.eol;
+    }
+  ]
+});
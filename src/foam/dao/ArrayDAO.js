@@ -19,9 +19,10 @@
 /**
  * Implementation of the DAO interface backed by a simple array.
  *
- * This is an impoverished version that doesn't support where(), skip(),
- * limit(), or orderBy(). It does support select() (for selecting everything),
- * put(), remove(), find() and removeAll().
+ * It supports put(), remove(), find(), and select() and removeAll() with
+ * optional skip, limit, order and predicate arguments. Transactions from
+ * begin(), and so putAll(), publish a single onData.reset when committed.
+ * Only one transaction can be open at a time, so putAll()s are queued.
  *
  * <pre>
  * var dao = foam.dao.ArrayDAO.create({of: 'example.MyModel'});
@@ -42,14 +43,11 @@ foam.CLASS({
   //extends: 'foam.dao.AbstractDAO',
 
   requires: [
-    'foam.dao.ArraySink'
-  ],
-
-  topics: [
-    {
-      name: 'onData',
-      topics: ['put', 'remove', 'reset']
-    }
+    'foam.dao.ArrayDAOTransaction',
+    'foam.dao.ArraySink',
+    'foam.dao.DAOException',
+    'foam.dao.Subscription',
+    'foam.dao.WriteQueue'
   ],
 
   properties: [
@@ -62,6 +60,19 @@ foam.CLASS({
       /** The internal array used for storage. */
       name: 'array',
       factory: function() { return []; }
+    },
+    {
+      /**
+       * The open Transaction, if any. onData events aren't published while
+       * a transaction is open.
+       */
+      name: 'transaction_',
+      value: null
+    },
+    {
+      /** Queues putAll()s, so that each has the transaction to itself. */
+      name: 'putAlls_',
+      factory: function() { return this.WriteQueue.create(); }
     }
   ],
 
@@ -74,56 +85,203 @@ foam.CLASS({
     },
     function put(obj) {
       /** @param {FObject} obj */
-
-      var index = this.indexOf_(obj.id);
-      if ( index >= 0 ) {
-        this.array[index] = obj;
-      } else {
-        this.array.push(obj);
+      try {
+        var index = this.indexOf_(obj.id);
+        if ( index >= 0 ) {
+          this.array[index] = obj;
+        } else {
+          this.array.push(obj);
+        }
+      } catch (err) {
+        return this.reject_(err);
       }
 
-      this.onData.put.pub(obj);
+      // Published outside of the try, since a listener which throws hasn't
+      // failed the put.
+      if ( ! this.transaction_ ) this.onData.put.pub(obj);
       return Promise.resolve(obj);
     },
 
     function remove(obj) {
       /** @param {FObject} obj */
-      var index = this.indexOf_(obj.id);
-      if ( index >= 0 ) {
-        var o2 = this.array.splice(index, 1)[0];
-        this.onData.remove.pub(o2);
+      var o2;
+
+      try {
+        var index = this.indexOf_(obj.id);
+        if ( index >= 0 ) o2 = this.array.splice(index, 1)[0];
+      } catch (err) {
+        return this.reject_(err);
       }
 
+      if ( o2 && ! this.transaction_ ) this.onData.remove.pub(o2);
       return Promise.resolve();
     },
 
-    function select(sink) {
+    function select(sink, skip, limit, order, predicate) {
       /**
        * @param {foam.dao.Sink=} sink
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
        */
       var resultSink = sink || this.ArraySink.create();
+      var sub        = this.Subscription.create({src: this});
+
+      try {
+        this.forEachSelected_(function(o) {
+          resultSink.put(o, sub);
+          return ! sub.detached;
+        }, skip, limit, order, predicate);
 
-      for ( var i = 0 ; i < this.array.length ; i++ ) {
-        resultSink.put(this.array[i]);
+        resultSink.eof();
+      } catch (err) {
+        return this.reject_(err, resultSink);
       }
-      resultSink.eof();
+
       return Promise.resolve(resultSink);
     },
 
-    function removeAll() {
-      for ( var i = 0; i < this.array.length; i++ ) {
-        var obj = this.array.splice(i, 1)[0];
-        i--;
-        this.onData.remove.pub(obj);
+    function removeAll(skip, limit, order, predicate) {
+      /**
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      var array;
+      var i;
+
+      try {
+        array = this.selectArray_(skip, limit, order, predicate);
+
+        for ( i = 0 ; i < array.length ; i++ ) {
+          this.array.splice(this.array.indexOf(array[i]), 1);
+        }
+      } catch (err) {
+        return this.reject_(err);
+      }
+
+      if ( ! this.transaction_ ) {
+        for ( i = 0 ; i < array.length ; i++ ) {
+          this.onData.remove.pub(array[i]);
+        }
       }
 
       return Promise.resolve();
     },
 
+    function putAll(objs) {
+      /**
+       * Puts objs in a transaction, like DAO.putAll(), once any putAll()
+       * still in progress, which holds the only transaction, has finished.
+       * @param {Array} objs
+       */
+      var self = this;
+
+      return this.putAlls_.enqueue(function() {
+        var t    = self.begin();
+        var puts = t.putAll(objs);
+
+        // commit() reports failures once the array has been restored.
+        puts.catch(function() {});
+
+        return t.commit().then(function() { return puts; });
+      }).catch(function(err) {
+        return self.reject_(err);
+      });
+    },
+
+    function begin() {
+      /**
+       * Returns a Transaction which publishes a single onData.reset when
+       * committed, instead of an event per change, and restores the array
+       * when rolled back. Only one can be open at a time; while it is, begin()
+       * throws a foam.dao.DAOException.
+       */
+      if ( this.transaction_ ) {
+        throw this.DAOException.create({
+          message: 'ArrayDAO already has an open transaction.'
+        });
+      }
+
+      return this.transaction_ = this.ArrayDAOTransaction.create({dao: this});
+    },
+
     function find(id) {
       /** @param {any} id */
-      var index = this.indexOf_(id);
-      return Promise.resolve(index >= 0 ? this.array[index] : null);
+      try {
+        var index = this.indexOf_(id);
+        return Promise.resolve(index >= 0 ? this.array[index] : null);
+      } catch (err) {
+        return this.reject_(err);
+      }
+    },
+
+    function forEachSelected_(fn, skip, limit, order, predicate) {
+      /**
+       * Calls fn(obj) for each item selected by the arguments, in order.
+       * Stops early if fn returns false.
+       * @param {Function} fn
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      var array;
+      var i;
+
+      if ( order ) {
+        array = this.selectArray_(skip, limit, order, predicate);
+        for ( i = 0 ; i < array.length ; i++ ) {
+          if ( fn(array[i]) === false ) return;
+        }
+        return;
+      }
+
+      // Without an order, items are filtered as they're sent, so nothing
+      // past the point where fn stops is looked at. Iterate over a copy, in
+      // case fn modifies the DAO.
+      array = this.array.slice();
+
+      var start = skip || 0;
+      var end   = limit !== undefined && limit !== null ?
+          start + limit :
+          Infinity;
+      var n     = 0;
+
+      for ( i = 0 ; i < array.length && n < end ; i++ ) {
+        if ( predicate && ! predicate.f(array[i]) ) continue;
+        if ( n++ >= start && fn(array[i]) === false ) return;
+      }
+    },
+
+    function selectArray_(skip, limit, order, predicate) {
+      /**
+       * Returns a new array of the items selected by the arguments, in order.
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      var array = this.array;
+
+      if ( predicate ) {
+        array = array.filter(function(o) { return predicate.f(o); });
+      }
+
+      if ( order ) {
+        // Copy before sorting, unless filtering has already done so.
+        if ( array === this.array ) array = array.slice();
+        array.sort(function(o1, o2) { return order.compare(o1, o2); });
+      }
+
+      var start = skip || 0;
+      var end   = limit !== undefined && limit !== null ?
+          start + limit :
+          array.length;
+
+      return array.slice(start, end);
     },
 
     function indexOf_(id) {
@@ -0,0 +1,141 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * The Transaction returned by ArrayDAO.begin().
+ *
+ * The ArrayDAO doesn't publish onData events while the transaction is open.
+ * Instead, a single onData.reset is published on commit(), if anything
+ * changed. rollback() restores a snapshot of the array taken by begin(), as
+ * does commit() if any of the transaction's writes failed.
+ *
+ * All changes made to the ArrayDAO while the transaction is open, by any
+ * caller, are part of it.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'ArrayDAOTransaction',
+  extends: 'foam.dao.Transaction',
+
+  properties: [
+    {
+      /** A copy of the DAO's array from when the transaction began. */
+      name: 'snapshot_',
+      factory: function() { return this.dao.array.slice(); }
+    }
+  ],
+
+  methods: [
+    function init() {
+      this.SUPER();
+      // Take the snapshot now, before any writes.
+      this.snapshot_;
+    },
+
+    function put(obj) {
+      /** @param {FObject} obj */
+      this.assertOpen_();
+      return this.track_(this.dao.put(obj));
+    },
+
+    function remove(obj) {
+      /** @param {FObject} obj */
+      this.assertOpen_();
+      return this.track_(this.dao.remove(obj));
+    },
+
+    function commit() {
+      /**
+       * Ends the transaction once its writes have finished. If any failed,
+       * the array is restored and the returned Promise is rejected with the
+       * first failure.
+       */
+      this.assertOpen_();
+
+      var self = this;
+
+      return this.pending_.then(function() {
+        if ( self.error_ ) {
+          self.restore_();
+          self.end_('rolledBack');
+          throw self.error_;
+        }
+
+        var changed = self.changed_();
+
+        self.end_('committed');
+        if ( changed ) self.dao.onData.reset.pub();
+      });
+    },
+
+    function rollback() {
+      this.assertOpen_();
+
+      this.restore_();
+      this.end_('rolledBack');
+
+      return Promise.resolve();
+    },
+
+    function track_(p) {
+      /**
+       * Returns p, the Promise of a write, after noting its failure, if it
+       * fails, for commit().
+       * @param {any} p
+       */
+      var self = this;
+
+      this.pending_ = Promise.all([
+        this.pending_,
+        p.catch(function(e) {
+          if ( ! self.error_ ) self.error_ = e;
+        })
+      ]);
+
+      return p;
+    },
+
+    function restore_() {
+      /** Restores the array in place, since replacing it publishes a reset. */
+      var array    = this.dao.array;
+      var snapshot = this.snapshot_;
+
+      array.length = 0;
+      for ( var i = 0 ; i < snapshot.length ; i++ ) array.push(snapshot[i]);
+    },
+
+    function changed_() {
+      /** Returns true iff the array differs from the snapshot. */
+      var array    = this.dao.array;
+      var snapshot = this.snapshot_;
+
+      if ( array.length !== snapshot.length ) return true;
+
+      for ( var i = 0 ; i < array.length ; i++ ) {
+        if ( array[i] !== snapshot[i] ) return true;
+      }
+
+      return false;
+    },
+
+    function end_(state) {
+      /** @param {String} state */
+      this.state = state;
+      this.dao.transaction_ = null;
+    }
+  ]
+});
@@ -0,0 +1,184 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A DAO decorator which restricts what the current principal, imported from
+ * the context, can see and change, according to a foam.dao.Authorizer.
+ *
+ * Reads are filtered silently: find() returns null for, and select() skips,
+ * objects which the principal may not read, as if they weren't there.
+ * Writes are refused: put() and remove() of an object which the principal
+ * may not write reject with a foam.dao.PermissionException. removeAll() only
+ * removes the objects which the principal may write.
+ *
+ * The principal is looked up on each call, so the same DAO can serve
+ * whoever is current in its context:
+ *
+ * <pre>
+ * var dao = foam.dao.AuthorizationDAO.create({
+ *   delegate: documentDAO,
+ *   authorizer: foam.dao.OwnerAuthorizer.create({property: Document.OWNER})
+ * }, foam.__context__.createSubContext({principal: user}));
+ * </pre>
+ *
+ * Listeners are only told about objects which the principal may read. An
+ * object put out of the principal's reach is reported as removed, with only
+ * its ID set.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'AuthorizationDAO',
+  extends: 'foam.dao.ProxyDAO',
+
+  implements: ['foam.mlang.Expressions'],
+
+  requires: ['foam.dao.PermissionException'],
+
+  imports: ['principal?'],
+
+  properties: [
+    {
+      /** The foam.dao.Authorizer which decides what the principal can do. */
+      name: 'authorizer',
+      required: true
+    }
+  ],
+
+  methods: [
+    function put(obj) {
+      /** @param {FObject} obj */
+      var self = this;
+      var predicate;
+
+      try {
+        predicate = this.predicate_('writePredicate');
+      } catch (err) {
+        return this.reject_(err);
+      }
+
+      if ( ! predicate.f(obj) ) return this.deny_();
+
+      return this.delegate.find(obj.id).then(function(old) {
+        // Nor can objects be taken over from someone else.
+        if ( old && ! predicate.f(old) ) return self.deny_();
+        return self.delegate.put(obj);
+      });
+    },
+
+    function remove(obj) {
+      /** @param {FObject} obj */
+      var self = this;
+      var predicate;
+
+      try {
+        predicate = this.predicate_('writePredicate');
+      } catch (err) {
+        return this.reject_(err);
+      }
+
+      return this.delegate.find(obj.id).then(function(old) {
+        if ( ! old ) return;
+        if ( ! predicate.f(old) ) return self.deny_();
+        return self.delegate.remove(old);
+      });
+    },
+
+    function find(id) {
+      /** @param {any} id */
+      var predicate = this.readPredicate_();
+      return this.delegate.find(id).then(function(obj) {
+        return obj && predicate.f(obj) ? obj : null;
+      });
+    },
+
+    function select(sink, skip, limit, order, predicate) {
+      /**
+       * @param {foam.dao.Sink=} sink
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      var read = this.readPredicate_();
+      return this.delegate.select(sink, skip, limit, order,
+          predicate ? this.AND(read, predicate) : read);
+    },
+
+    function removeAll(skip, limit, order, predicate) {
+      /**
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      var write;
+
+      try {
+        write = this.predicate_('writePredicate');
+      } catch (err) {
+        return this.reject_(err);
+      }
+
+      return this.delegate.removeAll(skip, limit, order,
+          predicate ? this.AND(write, predicate) : write);
+    },
+
+    function predicate_(method) {
+      /**
+       * Returns the authorizer's Predicate for the current principal, or
+       * TRUE if it is null, or throws a PermissionException.
+       * @param {String} method
+       */
+      var predicate;
+
+      try {
+        predicate = this.authorizer[method](this.principal);
+      } catch (err) {
+        throw this.PermissionException.isInstance(err) ?
+            err :
+            this.PermissionException.create({cause: err});
+      }
+
+      return predicate || this.TRUE();
+    },
+
+    function readPredicate_() {
+      /** Returns the read Predicate, or FALSE if all reads are denied. */
+      try {
+        return this.predicate_('readPredicate');
+      } catch (err) {
+        return this.FALSE();
+      }
+    },
+
+    function deny_() {
+      return this.reject_(this.PermissionException.create());
+    }
+  ],
+
+  listeners: [
+    function onDelegateData(sub, on, event, obj) {
+      if ( event === 'reset' || this.readPredicate_().f(obj) ) {
+        this.SUPER(sub, on, event, obj);
+      } else if ( event === 'put' ) {
+        // The object may have been readable before this update. Only its ID
+        // is passed on, since its values are no longer readable.
+        this.onData.remove.pub(obj.cls_.create({id: obj.id}));
+      }
+    }
+  ]
+});
@@ -0,0 +1,101 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * The policy of a foam.dao.AuthorizationDAO, which decides which objects a
+ * principal, typically the current user, may see and change.
+ *
+ * Each method returns a Predicate matching the objects which the principal
+ * may access, or null if they may access all of them, or throws, preferably
+ * a foam.dao.PermissionException, if they may access none.
+ */
+foam.INTERFACE({
+  package: 'foam.dao',
+  name: 'Authorizer',
+
+  methods: [
+    {
+      /** Returns a Predicate matching the objects principal may read. */
+      name: 'readPredicate',
+      returns: 'foam.mlang.predicate.Predicate',
+      args: [
+        {
+          name: 'principal'
+        }
+      ]
+    },
+    {
+      /**
+       * Returns a Predicate matching the objects principal may put or
+       * remove. A put must match it both before and after the update.
+       */
+      name: 'writePredicate',
+      returns: 'foam.mlang.predicate.Predicate',
+      args: [
+        {
+          name: 'principal'
+        }
+      ]
+    }
+  ]
+});
+
+
+/**
+ * An Authorizer for multi-tenant DAOs, which only lets a principal read and
+ * write objects whose <tt>property</tt> holds the principal's ID, and denies
+ * all access if there is no principal.
+ *
+ * <pre>
+ * foam.dao.AuthorizationDAO.create({
+ *   delegate: documentDAO,
+ *   authorizer: foam.dao.OwnerAuthorizer.create({property: Document.OWNER})
+ * });
+ * </pre>
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'OwnerAuthorizer',
+
+  implements: [
+    'foam.dao.Authorizer',
+    'foam.mlang.Expressions'
+  ],
+
+  requires: ['foam.dao.PermissionException'],
+
+  properties: [
+    {
+      /** The Property holding the ID of an object's owner. */
+      name: 'property',
+      required: true
+    }
+  ],
+
+  methods: [
+    function readPredicate(principal) {
+      /** @param {any} principal */
+      if ( ! principal ) throw this.PermissionException.create();
+      return this.EQ(this.property, principal.id);
+    },
+
+    function writePredicate(principal) {
+      /** @param {any} principal */
+      return this.readPredicate(principal);
+    }
+  ]
+});
@@ -0,0 +1,70 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A Sink which forwards the calls made on it to a Box, as SinkMessages
+ * tagged with the id of the call they belong to. Used by DAOSkeleton to
+ * stream select() and removeAll() results back to a ClientDAO.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'BoxSink',
+  implements: ['foam.dao.Sink'],
+
+  requires: ['foam.box.SinkMessage'],
+
+  properties: [
+    {
+      /** The Box to which the SinkMessages are sent. */
+      name: 'box',
+      required: true
+    },
+    {
+      /** The id of the call whose results are forwarded. */
+      class: 'Int',
+      name: 'id'
+    }
+  ],
+
+  methods: [
+    function put(obj) {
+      /** @param {any} obj */
+      this.send_('put', obj);
+    },
+
+    function remove(obj) {
+      /** @param {any} obj */
+      this.send_('remove', obj);
+    },
+
+    function eof() {
+      this.send_('eof');
+    },
+
+    function send_(name, obj) {
+      /**
+       * @param {String} name
+       * @param {any=} obj
+       */
+      this.box.send(this.SinkMessage.create({
+        id: this.id,
+        name: name,
+        obj: obj
+      }));
+    }
+  ]
+});
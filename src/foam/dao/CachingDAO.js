@@ -0,0 +1,213 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A DAO decorator which serves find() and select() from an in-memory copy of
+ * a slower delegate, such as a JournalDAO or a remote DAO. Writes go through
+ * to the delegate, and are then applied to the cache.
+ *
+ * The cache is primed with a select() from the delegate when it is created,
+ * and kept consistent by listening to the delegate's onData events. When the
+ * delegate publishes a reset, or is replaced, the cache is rebuilt, as it is
+ * by the next read if applying one of the delegate's changes to it fails.
+ *
+ * If <tt>ttl</tt> is set, a cache older than that many milliseconds is
+ * rebuilt before the next read is served.
+ *
+ * <pre>
+ * var dao = foam.dao.CachingDAO.create({delegate: slowDAO, ttl: 60000});
+ * </pre>
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'CachingDAO',
+  extends: 'foam.dao.ProxyDAO',
+
+  requires: [
+    'foam.dao.DAOSink',
+    'foam.dao.MDAO'
+  ],
+
+  properties: [
+    {
+      /** The in-memory DAO which holds the cached objects. */
+      name: 'cache',
+      factory: function() { return this.MDAO.create({of: this.of}); }
+    },
+    {
+      /**
+       * Time-to-live of the cache, in milliseconds. If 0, the cache is only
+       * rebuilt when the delegate is reset or replaced.
+       */
+      class: 'Int',
+      name: 'ttl'
+    },
+    {
+      /**
+       * A Promise which resolves once the cache has been filled from the
+       * delegate, or rejects if that failed. Replaced each time the cache is
+       * rebuilt, and by the next read after a failure.
+       */
+      name: 'synced',
+      factory: function() { return this.prime_(); }
+    },
+    {
+      /**
+       * The time at which the cache was last filled, from Date.now(),
+       * Infinity while it's being filled, or null if filling or updating it
+       * failed.
+       */
+      name: 'primedAt_',
+      value: 0
+    }
+  ],
+
+  methods: [
+    function init() {
+      this.SUPER();
+
+      // Start priming straight away.
+      this.synced;
+
+      this.onDetach(this.delegate$.sub(this.onDelegateReplaced));
+    },
+
+    function put(obj) {
+      /** @param {FObject} obj */
+      var self = this;
+      return this.delegate.put(obj).then(function(o) {
+        return self.cache.put(o);
+      });
+    },
+
+    function remove(obj) {
+      /** @param {FObject} obj */
+      var self = this;
+      return this.delegate.remove(obj).then(function() {
+        return self.cache.remove(obj);
+      });
+    },
+
+    function find(id) {
+      /** @param {any} id */
+      var self = this;
+      return this.fresh_().then(function() {
+        return self.cache.find(id);
+      });
+    },
+
+    function select(sink, skip, limit, order, predicate) {
+      /**
+       * @param {foam.dao.Sink=} sink
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      var self = this;
+      return this.fresh_().then(function() {
+        return self.cache.select(sink, skip, limit, order, predicate);
+      });
+    },
+
+    function removeAll(skip, limit, order, predicate) {
+      /**
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      var self = this;
+      return this.delegate.removeAll(
+          skip, limit, order, predicate).then(function() {
+        return self.cache.removeAll(skip, limit, order, predicate);
+      });
+    },
+
+    function listensToDelegate_() {
+      /** The cache must follow every change to the delegate. */
+      return true;
+    },
+
+    function fresh_() {
+      /**
+       * Returns a Promise which resolves once the cache is filled and within
+       * its ttl, rebuilding it if it has expired.
+       */
+      if ( this.primedAt_ === null ) {
+        // The cache is incomplete, so fill it again.
+        this.synced = this.prime_();
+      } else if ( this.ttl && Date.now() - this.primedAt_ > this.ttl ) {
+        // Don't rebuild again while a rebuild is in progress.
+        this.primedAt_ = Infinity;
+        this.synced = this.synced.then(this.prime_.bind(this));
+      }
+
+      return this.synced;
+    },
+
+    function prime_() {
+      /** Empties the cache and refills it from the delegate. */
+      var self = this;
+
+      // Don't expire while filling.
+      this.primedAt_ = Infinity;
+
+      var sink = this.DAOSink.create({dao: this.cache});
+
+      var p = this.cache.removeAll().then(function() {
+        return self.delegate.select(sink);
+      }).then(function() {
+        return sink.written;
+      }).then(function() {
+        self.primedAt_ = Date.now();
+      }, function(err) {
+        self.primedAt_ = null;
+        throw err;
+      });
+
+      // A failure is reported to the reads waiting on it, if any, rather
+      // than going unhandled here.
+      p.catch(function() {});
+
+      return p;
+    }
+  ],
+
+  listeners: [
+    function onDelegateData(sub, on, event, obj) {
+      if ( event === 'reset' ) {
+        this.synced = this.prime_();
+      } else if ( event === 'put' ) {
+        this.cache.put(obj).catch(this.onCacheError);
+      } else {
+        this.cache.remove(obj).catch(this.onCacheError);
+      }
+
+      this.SUPER(sub, on, event, obj);
+    },
+
+    function onCacheError() {
+      // The cache missed a change, so rebuild it on the next read.
+      this.primedAt_ = null;
+    },
+
+    function onDelegateReplaced() {
+      this.synced = this.prime_();
+    }
+  ]
+});
@@ -0,0 +1,84 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A DAO decorator which, when an object is removed, also removes the
+ * objects related to it by Relationships declared with 'cascade: true'.
+ *
+ * One-to-many targets are removed from their DAO. Many-to-many targets are
+ * only unlinked, by removing their junction objects.
+ *
+ * The related DAOs are looked up in this DAO's context.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'CascadeDAO',
+  extends: 'foam.dao.ProxyDAO',
+
+  requires: ['foam.dao.ArraySink'],
+
+  properties: [
+    {
+      /** The cascading Relationships of which 'of' is the source. */
+      name: 'relationships',
+      factory: function() {
+        var of = foam.dao.classOf(this.of, this.__context__);
+        return of.getAxiomsByClass(foam.dao.Relationship).filter(function(r) {
+          return r.cascade;
+        });
+      }
+    }
+  ],
+
+  methods: [
+    function remove(obj) {
+      /** @param {FObject} obj */
+      var self = this;
+      return this.delegate.remove(obj).then(function(ret) {
+        return self.cascade_(obj).then(function() { return ret; });
+      });
+    },
+
+    function removeAll(skip, limit, order, predicate) {
+      /**
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      var self = this;
+      return this.delegate.select(
+          this.ArraySink.create(), skip, limit, order, predicate)
+          .then(function(sink) {
+            return self.delegate.removeAll(skip, limit, order, predicate)
+                .then(function() {
+                  return Promise.all(sink.array.map(function(obj) {
+                    return self.cascade_(obj);
+                  }));
+                }).then(function() {});
+          });
+    },
+
+    function cascade_(obj) {
+      /** @param {FObject} obj */
+      var x = this.__context__;
+      return Promise.all(this.relationships.map(function(r) {
+        return r.targetsOf(obj, x).removeAll();
+      }));
+    }
+  ]
+});
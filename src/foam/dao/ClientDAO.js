@@ -0,0 +1,238 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A DAO whose data lives elsewhere, usually in another process. Calls are
+ * sent as RPCMessages to the delegate Box, to be served by a
+ * foam.dao.DAOSkeleton, and the ClientDAO is itself the Box to which the
+ * replies must be sent. See foam.box.LoopbackBox and
+ * foam.box.node.PortBox.
+ *
+ * Objects, predicates and orders are serialized with foam.json, so their
+ * classes must be available on both sides. Changes made to the remote DAO
+ * by others are not published on onData.
+ *
+ * A sink which detaches during a select() receives no more objects, but the
+ * server still sends them; use limit() to avoid transferring them.
+ *
+ * A call which isn't answered within <tt>timeout</tt> milliseconds is
+ * rejected with a foam.dao.DAOException, and any later reply to it ignored.
+ * Each object a select() receives restarts its timeout, so a long stream of
+ * results doesn't time out.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'ClientDAO',
+  implements: [
+    'foam.box.Box',
+    'foam.dao.DAO'
+  ],
+
+  imports: [
+    'clearTimeout',
+    'setTimeout'
+  ],
+
+  requires: [
+    'foam.box.ErrorMessage',
+    'foam.box.RPCMessage',
+    'foam.box.SinkMessage',
+    'foam.dao.ArraySink',
+    'foam.dao.DAOException',
+    'foam.dao.Subscription'
+  ],
+
+  properties: [
+    {
+      /** The Box to which calls are sent. */
+      name: 'delegate',
+      required: true
+    },
+    {
+      /** The class of the items in the DAO. */
+      name: 'of'
+    },
+    {
+      /**
+       * Milliseconds to wait for the reply to a call before rejecting it.
+       * If 0, calls wait forever.
+       */
+      class: 'Int',
+      name: 'timeout',
+      value: 30000
+    },
+    {
+      /**
+       * Map of call id to the {name, resolve, reject, sink, sub, timer}
+       * awaiting its reply.
+       */
+      name: 'pending_',
+      factory: function() { return {}; }
+    },
+    {
+      class: 'Int',
+      name: 'nextId_',
+      value: 1
+    }
+  ],
+
+  methods: [
+    function put(obj) {
+      /** @param {FObject} obj */
+      var self = this;
+      return this.call_('put', [obj]).then(function(o) {
+        self.onData.put.pub(o);
+        return o;
+      });
+    },
+
+    function remove(obj) {
+      /** @param {FObject} obj */
+      var self = this;
+      return this.call_('remove', [obj]).then(function() {
+        self.onData.remove.pub(obj);
+      });
+    },
+
+    function find(id) {
+      /** @param {any} id */
+      return this.call_('find', [id]);
+    },
+
+    function select(sink, skip, limit, order, predicate) {
+      /**
+       * @param {foam.dao.Sink=} sink
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      sink = sink || this.ArraySink.create();
+      return this.call_('select', [null, skip, limit, order, predicate], sink)
+          .then(function() { return sink; });
+    },
+
+    function removeAll(skip, limit, order, predicate) {
+      /**
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      var self = this;
+      return this.call_('removeAll', [skip, limit, order, predicate])
+          .then(function() { self.onData.reset.pub(); });
+    },
+
+    function send(message) {
+      /**
+       * Receives the replies to calls.
+       * @param {FObject} message
+       */
+      var call = this.pending_[message.id];
+      if ( ! call ) return;
+
+      if ( this.SinkMessage.isInstance(message) ) {
+        if ( ! call.sink ) return;
+
+        this.startTimer_(message.id);
+
+        try {
+          if ( message.name === 'eof' ) {
+            call.sink.eof();
+          } else if ( ! call.sub.detached ) {
+            call.sink[message.name](message.obj, call.sub);
+          }
+        } catch (err) {
+          // The rest of the call's replies are ignored.
+          delete this.pending_[message.id];
+          this.clearTimeout(call.timer);
+          call.sub.detach();
+          call.resolve(this.reject_(err, call.sink));
+        }
+        return;
+      }
+
+      delete this.pending_[message.id];
+      this.clearTimeout(call.timer);
+
+      if ( this.ErrorMessage.isInstance(message) ) {
+        call.resolve(this.reject_(message.error, call.sink));
+      } else {
+        call.resolve(message.value);
+      }
+    },
+
+    function call_(name, args, opt_sink) {
+      /**
+       * Sends a call to the delegate and returns a Promise of its result.
+       * @param {String} name
+       * @param {Array} args
+       * @param {any=} opt_sink
+       */
+      var id      = this.nextId_++;
+      var pending = this.pending_;
+      var sub     = opt_sink && this.Subscription.create({src: this});
+
+      // Trailing undefined arguments are dropped, as JSON can't hold them.
+      while ( args.length && args[args.length - 1] === undefined ) args.pop();
+
+      var ret = new Promise(function(resolve, reject) {
+        pending[id] = {
+          name: name,
+          resolve: resolve,
+          reject: reject,
+          sink: opt_sink,
+          sub: sub
+        };
+      });
+
+      this.startTimer_(id);
+
+      this.delegate.send(this.RPCMessage.create({
+        id: id,
+        name: name,
+        args: args
+      }));
+
+      return ret;
+    },
+
+    function startTimer_(id) {
+      /**
+       * Starts, or restarts, the timeout of the pending call id.
+       * @param {Number} id
+       */
+      if ( ! this.timeout ) return;
+
+      var self = this;
+      var call = this.pending_[id];
+
+      this.clearTimeout(call.timer);
+      call.timer = this.setTimeout(function() {
+        if ( self.pending_[id] !== call ) return;
+
+        delete self.pending_[id];
+        if ( call.sub ) call.sub.detach();
+        call.resolve(self.reject_(self.DAOException.create({
+          message: 'ClientDAO ' + call.name + '() timed out after ' +
+              self.timeout + 'ms'
+        }), call.sink));
+      }, this.timeout);
+    }
+  ]
+});
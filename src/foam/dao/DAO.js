@@ -31,13 +31,32 @@
  * </ul>
  *
  * These basic operations can also be filtered using <tt>where()</tt>,
- * <tt>skip()</tt>, <tt>limit()</tt> and <tt>orderBy()</tt>.
+ * <tt>skip()</tt>, <tt>limit()</tt> and <tt>orderBy()</tt>, which every DAO
+ * inherits from this interface.
  *
+ * DAO methods don't throw. Failures, including exceptions thrown by a Sink,
+ * reject the returned Promise with a foam.dao.DAOException, whose code tells
+ * the kind of failure, and are also passed to the Sink's <tt>error()</tt>.
+ * No <tt>eof()</tt> is sent after an error.
  */
 foam.INTERFACE({
   package: 'foam.dao',
   name: 'DAO',
 
+  topics: [
+    {
+      /**
+       * Published when the contents of the DAO change: <tt>put</tt> and
+       * <tt>remove</tt> with the affected object, or <tt>reset</tt> when the
+       * contents have changed too much to describe object by object.
+       *
+       * Prefer <tt>listen()</tt>, which delivers these events to a Sink.
+       */
+      name: 'onData',
+      topics: ['put', 'remove', 'reset']
+    }
+  ],
+
   methods: [
     {
       /**
@@ -93,14 +112,19 @@ foam.INTERFACE({
        * Retrieves 0 or more items from the DAO. The first argument is a
        * <tt>foam.dao.Sink</tt>, which receives the items from the DAO.
        *
-       * <tt>select()</tt> will call <tt>sink.put(obj)</tt> for each
-       * <tt>obj</tt> in the DAO, then call <tt>sink.eof()</tt>.
+       * <tt>select()</tt> will call <tt>sink.put(obj, sub)</tt> for each
+       * <tt>obj</tt> in the DAO which matches the <tt>predicate</tt>, then
+       * call <tt>sink.eof()</tt>. If the sink calls <tt>sub.detach()</tt>,
+       * no more objects are sent, but <tt>eof()</tt> is still called.
+       *
+       * The matching objects are sorted by <tt>order</tt>, then the first
+       * <tt>skip</tt> are dropped, and at most <tt>limit</tt> of the rest are
+       * sent to the sink.
        *
        * Returns a Promise, whose value is the <tt>sink</tt>.
        */
       name: 'select',
       returns: 'Promise',
-      // FUTURE: Bring back the other arguments, once they're supported.
       args: [
         {
           /**
@@ -111,17 +135,356 @@ foam.INTERFACE({
            */
           name: 'sink',
           typeName: 'foam.dao.Sink?'
+        },
+        {
+          /**
+           * Number of matching objects to skip over.
+           *
+           * Optional. Defaults to 0.
+           */
+          name: 'skip',
+          typeName: 'Number?'
+        },
+        {
+          /**
+           * Maximum number of objects to send to the sink.
+           *
+           * Optional. Defaults to no limit.
+           */
+          name: 'limit',
+          typeName: 'Number?'
+        },
+        {
+          /**
+           * Comparator used to sort the objects: a Property for ascending
+           * order, or a foam.mlang.order.Comparator such as DESC() or
+           * THEN_BY().
+           *
+           * Optional. DAOs can send objects in any order if none is provided.
+           */
+          name: 'order',
+          typeName: 'foam.mlang.order.Comparator?'
+        },
+        {
+          /**
+           * Only objects matching this mLang predicate are selected.
+           *
+           * Optional. All objects are selected if no predicate is provided.
+           */
+          name: 'predicate',
+          typeName: 'foam.mlang.predicate.Predicate?'
         }
       ]
     },
     {
       /**
-       * Removes all items from the DAO. Returns a Promise that resolves with no
-       * value when the operation is complete.
+       * Removes the items which <tt>select()</tt> would return for the same
+       * <tt>skip</tt>, <tt>limit</tt>, <tt>order</tt> and
+       * <tt>predicate</tt>. With no arguments, removes every item.
+       *
+       * Returns a Promise that resolves with no value when the operation is
+       * complete.
        */
       name: 'removeAll',
       returns: 'Promise',
-      args: []
+      args: [
+        {
+          name: 'skip',
+          typeName: 'Number?'
+        },
+        {
+          name: 'limit',
+          typeName: 'Number?'
+        },
+        {
+          name: 'order',
+          typeName: 'foam.mlang.order.Comparator?'
+        },
+        {
+          name: 'predicate',
+          typeName: 'foam.mlang.predicate.Predicate?'
+        }
+      ]
+    },
+
+    function putAll(objs) {
+      /**
+       * Puts each of objs as a single transaction: if any put fails, none
+       * of them take effect. DAOs which support it notify listeners once,
+       * rather than once per object.
+       *
+       * Returns a Promise for the array of put objects.
+       * @param {Array} objs
+       */
+      var t    = this.begin();
+      var puts = t.putAll(objs);
+
+      // Failures are reported by commit(), once they've been rolled back.
+      puts.catch(function() {});
+
+      return t.commit().then(function() { return puts; });
+    },
+
+    function putAllFrom(iterable, opt_batchSize) {
+      /**
+       * Puts the objects of an async iterable, such as the DAOIterator of
+       * another DAO, or of an ordinary iterable, with putAll(), in batches
+       * of opt_batchSize (100 by default). The next batch is only read once
+       * the previous one has been put.
+       *
+       * Returns a Promise for the number of objects put. If a batch fails,
+       * the iterable is closed and the Promise is rejected; earlier batches
+       * remain.
+       * @param {any} iterable
+       * @param {Number=} opt_batchSize
+       */
+      var self  = this;
+      var size  = opt_batchSize || 100;
+      var count = 0;
+      var it    = Symbol.asyncIterator && iterable[Symbol.asyncIterator] ?
+          iterable[Symbol.asyncIterator]() :
+          iterable[Symbol.iterator]();
+
+      function read(batch) {
+        return Promise.resolve(it.next()).then(function(r) {
+          if ( ! r.done ) batch.push(r.value);
+
+          if ( ! batch.length || ( ! r.done && batch.length < size ) ) {
+            return r.done ? count : read(batch);
+          }
+
+          return self.putAll(batch).then(function() {
+            count += batch.length;
+            return r.done ? count : read([]);
+          }, function(err) {
+            if ( it.return ) it.return();
+            throw err;
+          });
+        });
+      }
+
+      return read([]);
+    },
+
+    function iterate(predicate, skip, limit, order) {
+      /**
+       * Returns a foam.dao.DAOIterator, an async iterable over the objects
+       * which select() would return for the same arguments:
+       *
+       * <pre>
+       * for await ( var obj of dao.iterate(predicate) ) { ... }
+       * </pre>
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       */
+      return foam.dao.DAOIterator.create({
+        dao: this,
+        predicate: predicate,
+        skip: skip,
+        limit: limit,
+        order: order
+      });
+    },
+
+    function page(limit, opt_cursor, opt_order) {
+      /**
+       * Returns a Promise of a foam.dao.Page of up to limit objects, in
+       * opt_order, starting after opt_cursor, or from the first object if
+       * there is no cursor. Pass the page's cursor to get the next page.
+       * Unlike skip(), pages stay stable when objects are put before them.
+       * See foam.dao.Pager.
+       * @param {Number} limit
+       * @param {String=} opt_cursor
+       * @param {any=} opt_order
+       */
+      return foam.dao.Pager.create({
+        dao: this,
+        order: opt_order,
+        limit: limit
+      }, this).page(opt_cursor);
+    },
+
+    function diff(other, opt_sink) {
+      /**
+       * Compares this DAO with other, which holds objects of the same class.
+       * Puts a foam.dao.DiffRecord into opt_sink, or a new ArraySink, for
+       * each object added, removed or changed in other, in ID order, and
+       * returns a Promise of the sink. See foam.dao.DAODiff.
+       * @param {foam.dao.DAO} other
+       * @param {foam.dao.Sink=} opt_sink
+       */
+      return foam.dao.DAODiff.create({from: this, to: other}, this)
+          .diff(opt_sink);
+    },
+
+    function applyDiff(records) {
+      /**
+       * Replays an array of foam.dao.DiffRecords, made by diff(), onto this
+       * DAO. Returns a Promise which resolves once they've all been applied.
+       * @param {Array} records
+       */
+      return foam.dao.DAODiff.create(null, this).applyDiff(this, records);
+    },
+
+    function begin() {
+      /**
+       * Starts a foam.dao.Transaction, which groups writes so that they can be
+       * committed or rolled back together.
+       */
+      return foam.dao.Transaction.create({dao: this}, this);
+    },
+
+    function listen(sink, predicate) {
+      /**
+       * Calls <tt>sink.put(obj)</tt> and <tt>sink.remove(obj)</tt> for each
+       * object put into or removed from this DAO, and <tt>sink.reset()</tt>
+       * when its contents are replaced wholesale, after which the sink should
+       * discard anything it has built from earlier events and select() again.
+       *
+       * If a predicate is given, only matching objects are reported, and an
+       * object which is put but doesn't match is reported as removed, since
+       * it may have matched before it was updated.
+       *
+       * Returns a detachable; call <tt>detach()</tt> to stop listening. The
+       * sink also receives it as the second argument of put() and remove().
+       * @param {foam.dao.Sink} sink
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      return this.onData.sub(function(s, on, event, obj) {
+        if ( event === 'reset' ) {
+          sink.reset();
+        } else if ( ! predicate || predicate.f(obj) ) {
+          sink[event](obj, s);
+        } else if ( event === 'put' ) {
+          sink.remove(obj, s);
+        }
+      });
+    },
+
+    function reject_(err, opt_sink) {
+      /**
+       * Returns a Promise rejected with err, wrapped in a
+       * foam.dao.DAOException unless it already is one, after passing it to
+       * opt_sink's error(). Used by DAOs to report their failures.
+       * @param {any} err
+       * @param {foam.dao.Sink=} opt_sink
+       */
+      var e = foam.dao.DAOException.isInstance(err) ? err :
+          foam.dao.DAOException.create({
+            message: err && err.message ? err.message : String(err),
+            cause: err
+          });
+
+      if ( opt_sink ) {
+        try {
+          opt_sink.error(e);
+        } catch (x) {
+          // The sink has already failed; its error is the one reported.
+        }
+      }
+
+      return Promise.reject(e);
+    },
+
+    function findFirst(predicate) {
+      /**
+       * Returns a Promise of the first object selected by predicate, or of
+       * null if there are none. The select stops at the first object.
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      return this.select(foam.dao.FirstSink.create(),
+          undefined, undefined, undefined, predicate).then(function(sink) {
+            return sink.value;
+          });
+    },
+
+    function exists(predicate) {
+      /**
+       * Returns a Promise of whether any object matches predicate, or of
+       * whether the DAO has any objects if there is no predicate.
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      return this.findFirst(predicate).then(function(obj) {
+        return obj !== null;
+      });
+    },
+
+    // The methods below build decorated views of this DAO. Each returns a new
+    // DAO, which forwards to this one, so they can be chained:
+    //   dao.where(pred).orderBy(Person.NAME).skip(10).limit(20)
+
+    function where(predicate) {
+      /**
+       * Returns a view of this DAO which only contains the items matching
+       * <tt>predicate</tt>.
+       * @param {foam.mlang.predicate.Predicate} predicate
+       */
+      return foam.dao.FilteredDAO.create(
+          {delegate: this, predicate: predicate}, this);
+    },
+
+    function orderBy() {
+      /**
+       * Returns a view of this DAO which selects its items in order. Takes one
+       * or more Comparators; later ones break ties in the earlier ones.
+       */
+      return foam.dao.OrderedDAO.create({
+        delegate: this,
+        comparator: foam.mlang.ExpressionsSingleton.create().THEN_BY.apply(
+            null, arguments)
+      }, this);
+    },
+
+    function skip(s) {
+      /**
+       * Returns a view of this DAO without its first <tt>s</tt> items.
+       * @param {Number} s
+       */
+      return foam.dao.SkipDAO.create({delegate: this, skip_: s}, this);
+    },
+
+    function limit(l) {
+      /**
+       * Returns a view of this DAO with only its first <tt>l</tt> items.
+       * @param {Number} l
+       */
+      return foam.dao.LimitDAO.create({delegate: this, limit_: l}, this);
+    }
+  ]
+});
+
+
+foam.LIB({
+  name: 'foam.dao',
+
+  methods: [
+    function classOf(of, opt_x) {
+      /**
+       * Returns the class given as a DAO's <tt>of</tt>, which may be a class
+       * or its id, looked up in opt_x or else the root context.
+       * @param {any} of
+       * @param {any=} opt_x
+       */
+      return foam.String.isInstance(of) ?
+          ( opt_x || foam.__context__ ).lookup(of) :
+          of;
+    },
+
+    function assertAssignable(prop, name) {
+      /**
+       * Throws unless prop can be assigned by a decorator, such as a
+       * SequenceNumberDAO, which only assigns a value to objects put
+       * without one. A multi-part ID is an array, so is never empty and
+       * never assigned, but one of its parts can be.
+       * @param {any} prop
+       * @param {String} name The decorator's name, for the error.
+       */
+      if ( foam.core.MultiPartID.isInstance(prop) && prop.props.length > 1 ) {
+        throw new Error(name + ' can\'t assign a multi-part ID. ' +
+            'Set property to one of its parts.');
+      }
     }
   ]
 });
@@ -0,0 +1,257 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * One difference between two DAOs, found by DAO.diff(): an object only in
+ * the second DAO ('added'), only in the first ('removed'), or in both but
+ * with different property values ('changed').
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'DiffRecord',
+
+  properties: [
+    {
+      /** 'added', 'removed' or 'changed'. */
+      class: 'String',
+      name: 'type'
+    },
+    {
+      /** The ID of the object. */
+      name: 'id'
+    },
+    {
+      /** The object in the first DAO, or null if it was added. */
+      name: 'old',
+      value: null
+    },
+    {
+      /** The object in the second DAO, or null if it was removed. */
+      name: 'nu',
+      value: null
+    },
+    {
+      /**
+       * For a changed object, the changed properties, as returned by
+       * FObject.diff(): a map from each property's name to its value in the
+       * second DAO. Its value in the first is old[name].
+       */
+      name: 'changes',
+      value: null
+    }
+  ]
+});
+
+
+/**
+ * Compares two DAOs, for DAO.diff() and DAO.applyDiff().
+ *
+ * Both DAOs are selected in ID order, a batch at a time, and merged like two
+ * sorted lists, so neither has to fit in memory. Each batch is selected by
+ * key, as the objects with IDs after the last one of the previous batch,
+ * rather than by skipping, so an MDAO can use its ID index, and objects put
+ * or removed during the diff don't shift the batches.
+ *
+ * <pre>
+ * fixtureDAO.diff(liveDAO).then(function(sink) {
+ *   sink.array.forEach(function(d) { console.log(d.type, d.id, d.changes); });
+ *   // Make a copy of the fixtures match the live data.
+ *   return copyDAO.applyDiff(sink.array);
+ * });
+ * </pre>
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'DAODiff',
+
+  implements: ['foam.mlang.Expressions'],
+
+  requires: [
+    'foam.dao.ArraySink',
+    'foam.dao.DiffRecord'
+  ],
+
+  properties: [
+    {
+      /** The DAO compared from. */
+      name: 'from'
+    },
+    {
+      /** The DAO compared to. */
+      name: 'to'
+    },
+    {
+      /** The number of objects selected from each DAO at a time. */
+      class: 'Int',
+      name: 'batchSize',
+      value: 100
+    }
+  ],
+
+  methods: [
+    function diff(opt_sink) {
+      /**
+       * Puts a foam.dao.DiffRecord into opt_sink, or a new ArraySink, for
+       * each object which differs between <tt>from</tt> and <tt>to</tt>, in
+       * ID order. Returns a Promise of the sink, after its eof().
+       * @param {foam.dao.Sink=} opt_sink
+       */
+      var self = this;
+      var sink = opt_sink || this.ArraySink.create();
+      var id   = this.of_().ID;
+      var a    = this.iterator_(this.from, id);
+      var b    = this.iterator_(this.to, id);
+
+      function step(x, y) {
+        if ( x.done && y.done ) {
+          sink.eof();
+          return sink;
+        }
+
+        var c = x.done ? 1 : y.done ? -1 : id.compare(x.value, y.value);
+
+        if ( c < 0 ) {
+          sink.put(self.DiffRecord.create({
+            type: 'removed',
+            id: x.value.id,
+            old: x.value
+          }));
+          return a.next().then(function(x) { return step(x, y); });
+        }
+
+        if ( c > 0 ) {
+          sink.put(self.DiffRecord.create({
+            type: 'added',
+            id: y.value.id,
+            nu: y.value
+          }));
+          return b.next().then(function(y) { return step(x, y); });
+        }
+
+        var changes = x.value.diff(y.value);
+        if ( Object.keys(changes).length ) {
+          sink.put(self.DiffRecord.create({
+            type: 'changed',
+            id: x.value.id,
+            old: x.value,
+            nu: y.value,
+            changes: changes
+          }));
+        }
+
+        return Promise.all([a.next(), b.next()]).then(function(r) {
+          return step(r[0], r[1]);
+        });
+      }
+
+      return Promise.all([a.next(), b.next()]).then(function(r) {
+        return step(r[0], r[1]);
+      }).catch(function(err) {
+        a.return();
+        b.return();
+        return self.from.reject_(err, sink);
+      });
+    },
+
+    function applyDiff(dao, records) {
+      /**
+       * Replays records, made by diff(), onto dao: puts added objects,
+       * removes removed ones, and sets the changed properties of changed
+       * ones, leaving their other properties as they are in dao. A changed
+       * object which dao doesn't have is put whole. Returns a Promise which
+       * resolves once every record has been applied, in order.
+       * @param {foam.dao.DAO} dao
+       * @param {Array} records
+       */
+      var self = this;
+
+      return records.reduce(function(p, record) {
+        return p.then(function() { return self.applyRecord_(dao, record); });
+      }, Promise.resolve()).then(function() {});
+    },
+
+    function applyRecord_(dao, record) {
+      /**
+       * @param {foam.dao.DAO} dao
+       * @param {foam.dao.DiffRecord} record
+       */
+      if ( record.type === 'added' ) return dao.put(record.nu.clone());
+      if ( record.type === 'removed' ) return dao.remove(record.old);
+
+      foam.assert(record.type === 'changed',
+          'Unknown DiffRecord type:', record.type);
+
+      return dao.find(record.id).then(function(obj) {
+        if ( ! obj ) return dao.put(record.nu.clone());
+
+        obj = obj.clone();
+        for ( var key in record.changes ) {
+          obj[key] = foam.util.clone(record.changes[key]);
+        }
+
+        return dao.put(obj);
+      });
+    },
+
+    function iterator_(dao, id) {
+      /**
+       * Returns an iterator over dao's objects in ID order, with next() and
+       * return() like a DAOIterator's, which selects each batch by key.
+       * @param {foam.dao.DAO} dao
+       * @param {foam.core.Property} id
+       */
+      var self   = this;
+      var buffer = [];
+      var done   = false;
+      var last;
+
+      return {
+        next: function next() {
+          if ( buffer.length ) {
+            return Promise.resolve({value: buffer.shift(), done: false});
+          }
+
+          if ( done ) return Promise.resolve({value: undefined, done: true});
+
+          var batch = last === undefined ? dao : dao.where(self.GT(id, last));
+
+          return batch.orderBy(id).limit(self.batchSize).select()
+              .then(function(sink) {
+                // return() may have been called meanwhile.
+                if ( done ) return next();
+
+                buffer = sink.array;
+                done   = buffer.length < self.batchSize;
+                if ( buffer.length ) last = id.f(buffer[buffer.length - 1]);
+                return next();
+              });
+        },
+
+        return: function() {
+          done   = true;
+          buffer = [];
+          return Promise.resolve({value: undefined, done: true});
+        }
+      };
+    },
+
+    function of_() {
+      /** The class of the objects compared. */
+      return foam.dao.classOf(this.from.of || this.to.of, this.__context__);
+    }
+  ]
+});
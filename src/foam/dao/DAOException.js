@@ -0,0 +1,63 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * The error with which DAO methods reject their Promises.
+ *
+ * Subclasses describe particular failures, which callers can tell apart by
+ * class or by code:
+ *
+ * <ul>
+ * <li>'notFound': foam.dao.NotFoundException
+ * <li>'validation': foam.dao.ValidationException
+ * <li>'permission': foam.dao.PermissionException
+ * <li>'internal': any other exception, such as one thrown by a Sink, which
+ *     is kept as 'cause'
+ * </ul>
+ *
+ * <pre>
+ * dao.put(obj).catch(function(e) {
+ *   if ( e.code === 'validation' ) ...
+ * });
+ * </pre>
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'DAOException',
+
+  properties: [
+    {
+      class: 'String',
+      name: 'code',
+      value: 'internal'
+    },
+    {
+      class: 'String',
+      name: 'message'
+    },
+    {
+      /** The original exception, if this one wraps it. */
+      name: 'cause'
+    }
+  ],
+
+  methods: [
+    function toString() {
+      return this.cls_.name + ': ' + this.message;
+    }
+  ]
+});
@@ -0,0 +1,153 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * An async iterator over the objects selected from a DAO, returned by
+ * DAO.iterate():
+ *
+ * <pre>
+ * for await ( var p of personDAO.iterate(EQ(Person.CITY, 'Waterloo')) ) {
+ *   ...
+ * }
+ * </pre>
+ *
+ * Objects are selected in batches of batchSize, using skip and limit, and
+ * the next batch is only selected once the previous one has been consumed,
+ * so a slow consumer doesn't cause the whole DAO to be buffered. Breaking
+ * out of the loop calls return(), which stops iterating, and detaches from
+ * any select still in progress.
+ *
+ * Objects put or removed during iteration may shift the batches, causing
+ * objects to be skipped or repeated, unless an order is given which places
+ * new objects after the ones already seen.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'DAOIterator',
+  implements: ['foam.dao.Sink'],
+
+  properties: [
+    {
+      name: 'dao',
+      required: true
+    },
+    'predicate',
+    'skip',
+    'limit',
+    'order',
+    {
+      /** The number of objects selected at a time. */
+      class: 'Int',
+      name: 'batchSize',
+      value: 100
+    },
+    {
+      /** The selected objects waiting to be returned by next(). */
+      name: 'buffer_',
+      factory: function() { return []; }
+    },
+    {
+      /** The number of objects selected so far. */
+      class: 'Int',
+      name: 'offset_'
+    },
+    {
+      /** True once the last batch has been selected, or after return(). */
+      class: 'Boolean',
+      name: 'done_'
+    },
+    {
+      class: 'Boolean',
+      name: 'closed_'
+    }
+  ],
+
+  methods: [
+    function next() {
+      /** Returns a Promise of the next {value, done} iterator result. */
+      var self = this;
+
+      if ( this.buffer_.length ) {
+        return Promise.resolve({value: this.buffer_.shift(), done: false});
+      }
+
+      if ( this.done_ ) return Promise.resolve({value: undefined, done: true});
+
+      return this.fetch_().then(function() { return self.next(); });
+    },
+
+    {
+      /** Stops iterating. Called by 'break' in a for await loop. */
+      name: 'return',
+      code: function() {
+        this.closed_ = this.done_ = true;
+        this.buffer_ = [];
+        return Promise.resolve({value: undefined, done: true});
+      }
+    },
+
+    function put(obj, sub) {
+      /**
+       * Receives the objects of the batch being selected.
+       * @param {any} obj
+       * @param {any=} sub
+       */
+      if ( this.closed_ ) {
+        if ( sub ) sub.detach();
+        return;
+      }
+
+      this.buffer_.push(obj);
+    },
+
+    function fetch_() {
+      /** Selects the next batch into buffer_. */
+      var self  = this;
+      var limit = this.limit === undefined || this.limit === null ?
+          Infinity :
+          this.limit;
+      var count = Math.min(this.batchSize, limit - this.offset_);
+
+      if ( count <= 0 ) {
+        this.done_ = true;
+        return Promise.resolve();
+      }
+
+      var length = this.buffer_.length;
+
+      return this.dao.select(
+          this,
+          ( this.skip || 0 ) + this.offset_,
+          count,
+          this.order,
+          this.predicate).then(function() {
+            var n = self.buffer_.length - length;
+            self.offset_ += n;
+            if ( n < count ) self.done_ = true;
+          });
+    }
+  ]
+});
+
+
+// for await ( ... of ... ) finds the iterator through a Symbol, which can't
+// be the name of a modelled method.
+if ( typeof Symbol !== 'undefined' && Symbol.asyncIterator ) {
+  foam.dao.DAOIterator.prototype[Symbol.asyncIterator] = function() {
+    return this;
+  };
+}
@@ -0,0 +1,95 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+foam.LIB({
+  name: 'foam.dao',
+
+  methods: [
+    function daoKey(id) {
+      /**
+       * Returns the context key of the DAO of the class with the given id, by
+       * convention its name with a lower-case first letter followed by 'DAO':
+       * 'example.Person' is stored in 'personDAO'.
+       * @param {String} id
+       */
+      var name = id.split('.').pop();
+      return name[0].toLowerCase() + name.substring(1) + 'DAO';
+    }
+  ]
+});
+
+
+/**
+ * Lets a class declare the DAOs that it provides to its sub-context, as
+ * foam.dao.EasyDAOs. Each entry of <tt>daos</tt> is a class id, or a map of
+ * EasyDAO properties, and adds a property holding the DAO, created when
+ * first used, which is exported under the same name. The name is
+ * foam.dao.daoKey() of the class unless given:
+ *
+ * <pre>
+ * foam.CLASS({
+ *   name: 'App',
+ *   daos: [
+ *     'example.Person',
+ *     { of: 'example.Order', seqNo: true, persistent: true },
+ *     { of: 'example.Order', name: 'archivedOrderDAO' }
+ *   ]
+ * });
+ * </pre>
+ *
+ * Objects created by an App can then import 'personDAO', 'orderDAO' and
+ * 'archivedOrderDAO', as can foam.RELATIONSHIP()s, which find their DAOs by
+ * the same convention.
+ */
+foam.CLASS({
+  refines: 'foam.core.Model',
+
+  properties: [
+    {
+      name: 'daos',
+      assertValue: function(value) {
+        foam.assert(foam.Array.isInstance(value), '"daos" must be an array.');
+      },
+      postSet: function(_, daos) {
+        for ( var i = 0 ; i < daos.length ; i++ ) {
+          var spec = foam.String.isInstance(daos[i]) ?
+              {of: daos[i]} :
+              daos[i];
+
+          foam.assert(spec.of, 'DAOs must have an "of" class.');
+
+          var name = spec.name || foam.dao.daoKey(
+              foam.String.isInstance(spec.of) ? spec.of : spec.of.id);
+
+          this.axioms_.push(
+              foam.core.Property.create({
+                name: name,
+                factory: this.daoFactory_(Object.assign({name: name}, spec))
+              }),
+              foam.core.Export.create({exportName: name, key: name}));
+        }
+      }
+    }
+  ],
+
+  methods: [
+    function daoFactory_(spec) {
+      /** @param {Object} spec */
+      return function() { return foam.dao.EasyDAO.create(spec, this); };
+    }
+  ]
+});
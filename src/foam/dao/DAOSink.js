@@ -0,0 +1,71 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A Sink which puts the objects it receives into a DAO, and removes the ones
+ * removed. Useful for copying one DAO into another:
+ *
+ * <pre>
+ * var sink = foam.dao.DAOSink.create({dao: destination});
+ * source.select(sink).then(function() { return sink.written; });
+ * </pre>
+ *
+ * Sinks can't return Promises, so those of the writes are collected in
+ * <tt>written</tt>, which rejects if any of them fails.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'DAOSink',
+  implements: ['foam.dao.Sink'],
+
+  properties: [
+    {
+      /** The DAO which receives the objects. */
+      name: 'dao',
+      required: true
+    },
+    {
+      /**
+       * A Promise which resolves once every put and remove received so far
+       * has been written to dao, or rejects with the first failure.
+       */
+      name: 'written',
+      factory: function() { return Promise.resolve(); }
+    }
+  ],
+
+  methods: [
+    function put(obj) {
+      /** @param {any} obj */
+      this.write_(this.dao.put(obj));
+    },
+
+    function remove(obj) {
+      /** @param {any} obj */
+      this.write_(this.dao.remove(obj));
+    },
+
+    function write_(p) {
+      /** @param {any} p */
+      this.written = Promise.all([this.written, p]).then(function() {});
+
+      // A failure is reported to whoever waits on written, if anyone,
+      // rather than going unhandled here.
+      this.written.catch(function() {});
+    }
+  ]
+});
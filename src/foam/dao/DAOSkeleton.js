@@ -0,0 +1,106 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * The server side of a foam.dao.ClientDAO: a Box which receives the
+ * RPCMessages sent by the client, calls the corresponding method of a real
+ * DAO, and sends the results to replyBox.
+ *
+ * Objects passed to the sinks of select() and removeAll() are streamed back
+ * as SinkMessages, before the call's ReturnMessage.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'DAOSkeleton',
+  implements: ['foam.box.Box'],
+
+  requires: [
+    'foam.box.ErrorMessage',
+    'foam.box.ReturnMessage',
+    'foam.dao.BoxSink',
+    'foam.dao.DAOException'
+  ],
+
+  constants: {
+    /** The DAO methods which clients may call. */
+    METHODS: ['put', 'remove', 'find', 'select', 'removeAll']
+  },
+
+  properties: [
+    {
+      /** The DAO which serves the calls. */
+      name: 'dao',
+      required: true
+    },
+    {
+      /** The Box to which replies are sent. */
+      name: 'replyBox',
+      required: true
+    }
+  ],
+
+  methods: [
+    function send(message) {
+      /** @param {FObject} message */
+      var self = this;
+      var id   = message.id;
+      var name = message.name;
+      // JSON turns missing arguments into nulls.
+      var args = message.args.map(function(a) {
+        return a === null ? undefined : a;
+      });
+
+      if ( this.METHODS.indexOf(name) === -1 ) {
+        this.replyBox.send(this.ErrorMessage.create({
+          id: id,
+          error: this.DAOException.create({
+            message: 'Unsupported DAO method: ' + name
+          })
+        }));
+        return;
+      }
+
+      var sink;
+      if ( name === 'select' ) {
+        sink = args[0] = this.BoxSink.create({box: this.replyBox, id: id});
+      }
+
+      Promise.resolve().then(function() {
+        return self.dao[name].apply(self.dao, args);
+      }).then(function(value) {
+        self.replyBox.send(self.ReturnMessage.create({
+          id: id,
+          value: value === sink ? null : value
+        }));
+      }, function(err) {
+        // The cause of a DAOException isn't sent, as it may not be an FObject.
+        if ( self.DAOException.isInstance(err) && err.cause !== undefined ) {
+          err = err.clone();
+          err.clearProperty('cause');
+        }
+
+        self.replyBox.send(self.ErrorMessage.create({
+          id: id,
+          error: self.DAOException.isInstance(err) ? err :
+              self.DAOException.create({
+                message: ( err && err.message ) || String(err)
+              })
+        }));
+      });
+    }
+  ]
+});
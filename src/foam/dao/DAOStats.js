@@ -0,0 +1,49 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * The MethodStats of each DAO method, as recorded by foam.dao.TimingDAO.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'DAOStats',
+
+  requires: ['foam.dao.MethodStats'],
+
+  properties: [
+    {
+      name: 'put',
+      factory: function() { return this.MethodStats.create(); }
+    },
+    {
+      name: 'remove',
+      factory: function() { return this.MethodStats.create(); }
+    },
+    {
+      name: 'find',
+      factory: function() { return this.MethodStats.create(); }
+    },
+    {
+      name: 'select',
+      factory: function() { return this.MethodStats.create(); }
+    },
+    {
+      name: 'removeAll',
+      factory: function() { return this.MethodStats.create(); }
+    }
+  ]
+});
@@ -0,0 +1,167 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A DAO which assembles the usual stack of decorators from a few flags,
+ * rather than creating each of them by hand:
+ *
+ * <pre>
+ * var dao = foam.dao.EasyDAO.create({
+ *   of: 'example.Person',
+ *   persistent: true,
+ *   seqNo: true,
+ *   validated: true
+ * });
+ * </pre>
+ *
+ * From the outside in, the stack is:
+ *
+ * <ul>
+ * <li>a LoggingDAO, if <tt>logging</tt> is set
+ * <li>a SequenceNumberDAO or GUIDDAO, if <tt>seqNo</tt> or <tt>guid</tt> is
+ *     set, which assigns IDs to new objects
+ * <li>a ValidationDAO, if <tt>validated</tt> is set
+ * <li>a CachingDAO, if <tt>cached</tt> is set
+ * <li><tt>remoteDAO</tt> if given, or else a JournalDAO, writing to
+ *     <tt>journalName</tt>, if <tt>persistent</tt> is set, or else an MDAO
+ * </ul>
+ *
+ * Use the <tt>daos</tt> of a class to create EasyDAOs and export them to
+ * its sub-context.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'EasyDAO',
+  extends: 'foam.dao.ProxyDAO',
+
+  requires: [
+    'foam.dao.CachingDAO',
+    'foam.dao.GUIDDAO',
+    'foam.dao.JournalDAO',
+    'foam.dao.LoggingDAO',
+    'foam.dao.MDAO',
+    'foam.dao.SequenceNumberDAO',
+    'foam.dao.ValidationDAO'
+  ],
+
+  properties: [
+    {
+      /**
+       * The context key of the DAO, by convention the class name with a
+       * lower-case first letter followed by 'DAO', such as 'personDAO'. Used
+       * as the label of logged calls.
+       */
+      class: 'String',
+      name: 'name',
+      expression: function(of) {
+        return foam.dao.daoKey(foam.String.isInstance(of) ? of : of.id);
+      }
+    },
+    {
+      /** Store objects in a JournalDAO, rather than an MDAO. Node only. */
+      class: 'Boolean',
+      name: 'persistent'
+    },
+    {
+      /** The journal file of a persistent DAO. */
+      class: 'String',
+      name: 'journalName',
+      expression: function(name) { return name + '.journal'; }
+    },
+    {
+      /**
+       * An existing DAO to store objects in, such as a ClientDAO, which the
+       * other decorators are added to.
+       */
+      name: 'remoteDAO',
+      value: null
+    },
+    {
+      /** Cache the stored objects in memory. */
+      class: 'Boolean',
+      name: 'cached'
+    },
+    {
+      /** Assign sequential numeric IDs to objects put without one. */
+      class: 'Boolean',
+      name: 'seqNo'
+    },
+    {
+      /** Assign GUIDs to objects put without an ID. */
+      class: 'Boolean',
+      name: 'guid'
+    },
+    {
+      /** Log every call. */
+      class: 'Boolean',
+      name: 'logging'
+    },
+    {
+      /** Validate objects before they're stored. */
+      class: 'Boolean',
+      name: 'validated'
+    },
+    {
+      name: 'delegate',
+      factory: function() {
+        var of  = this.of;
+        var dao = this.remoteDAO ||
+            ( this.persistent ?
+                this.JournalDAO.create({of: of, filename: this.journalName}) :
+                this.MDAO.create({of: of}) );
+
+        if ( this.cached ) {
+          dao = this.CachingDAO.create({of: of, delegate: dao});
+        }
+
+        if ( this.validated ) {
+          dao = this.ValidationDAO.create({of: of, delegate: dao});
+        }
+
+        if ( this.seqNo ) {
+          dao = this.SequenceNumberDAO.create({of: of, delegate: dao});
+        } else if ( this.guid ) {
+          dao = this.GUIDDAO.create({of: of, delegate: dao});
+        }
+
+        if ( this.logging ) {
+          dao = this.LoggingDAO.create(
+              {of: of, delegate: dao, name: this.name});
+        }
+
+        return dao;
+      }
+    }
+  ],
+
+  methods: [
+    function init() {
+      this.SUPER();
+
+      if ( this.seqNo && this.guid ) {
+        throw new Error('EasyDAO can\'t use both seqNo and guid.');
+      }
+      if ( this.persistent && this.remoteDAO ) {
+        throw new Error(
+            'EasyDAO can\'t be both persistent and have a remoteDAO.');
+      }
+
+      // Build the stack now, so that its onData events are republished.
+      this.delegate;
+    }
+  ]
+});
@@ -0,0 +1,88 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A view of a DAO which only contains the items matching a predicate.
+ * Usually created by calling <tt>dao.where(predicate)</tt>.
+ *
+ * Puts and removes are passed through unfiltered.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'FilteredDAO',
+  extends: 'foam.dao.ProxyDAO',
+
+  implements: ['foam.mlang.Expressions'],
+
+  properties: [
+    {
+      /** Only items matching this mLang predicate are in the view. */
+      name: 'predicate',
+      required: true
+    }
+  ],
+
+  methods: [
+    function find(id) {
+      /** @param {any} id */
+      var predicate = this.predicate;
+      return this.delegate.find(id).then(function(obj) {
+        return obj && predicate.f(obj) ? obj : null;
+      });
+    },
+
+    function select(sink, skip, limit, order, predicate) {
+      /**
+       * @param {foam.dao.Sink=} sink
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      return this.delegate.select(
+          sink, skip, limit, order, this.combine_(predicate));
+    },
+
+    function removeAll(skip, limit, order, predicate) {
+      /**
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      return this.delegate.removeAll(
+          skip, limit, order, this.combine_(predicate));
+    },
+
+    function combine_(predicate) {
+      /** @param {foam.mlang.predicate.Predicate=} predicate */
+      return predicate ? this.AND(this.predicate, predicate) : this.predicate;
+    }
+  ],
+
+  listeners: [
+    function onDelegateData(sub, on, event, obj) {
+      if ( event === 'reset' || this.predicate.f(obj) ) {
+        this.SUPER(sub, on, event, obj);
+      } else if ( event === 'put' ) {
+        // The object may have matched before this update, so tell listeners
+        // that it has left the view.
+        this.onData.remove.pub(obj);
+      }
+    }
+  ]
+});
@@ -0,0 +1,45 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A Sink which keeps the first object it receives, as <tt>value</tt>, then
+ * detaches so that the DAO stops the select. Used by DAO.findFirst().
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'FirstSink',
+  implements: ['foam.dao.Sink'],
+
+  properties: [
+    {
+      /** The first object received, or null. */
+      name: 'value',
+      value: null
+    }
+  ],
+
+  methods: [
+    function put(obj, sub) {
+      /**
+       * @param {any} obj
+       * @param {any=} sub
+       */
+      if ( this.value === null ) this.value = obj;
+      if ( sub ) sub.detach();
+    }
+  ]
+});
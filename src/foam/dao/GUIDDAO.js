@@ -0,0 +1,60 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A DAO decorator which assigns a random GUID, from foam.uuid.randomGUID(),
+ * to objects put without one.
+ *
+ * The GUID is assigned to <tt>property</tt>, which defaults to the ID. For
+ * classes with a MultiPartID, it must be set to one of the ID's parts, or
+ * creating the DAO throws.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'GUIDDAO',
+  extends: 'foam.dao.ProxyDAO',
+
+  properties: [
+    {
+      /** The Property which is assigned GUIDs. */
+      name: 'property',
+      factory: function() {
+        return foam.dao.classOf(this.of, this.__context__).ID;
+      }
+    }
+  ],
+
+  methods: [
+    function init() {
+      this.SUPER();
+      foam.dao.assertAssignable(this.property, 'GUIDDAO');
+    },
+
+    function put(obj) {
+      /** @param {FObject} obj */
+      var prop = this.property;
+
+      try {
+        if ( ! prop.f(obj) ) prop.set(obj, foam.uuid.randomGUID());
+      } catch (err) {
+        return this.reject_(err);
+      }
+
+      return this.delegate.put(obj);
+    }
+  ]
+});
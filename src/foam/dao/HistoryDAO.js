@@ -0,0 +1,194 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A DAO decorator which records every put() and remove() as a
+ * foam.dao.HistoryRecord in historyDAO, holding who made the change, when,
+ * and the properties which it changed, so that earlier versions of an object
+ * can be rebuilt with findAsOf():
+ *
+ * <pre>
+ * var dao = foam.dao.HistoryDAO.create({delegate: personDAO});
+ * ...
+ * dao.findAsOf(id, lastTuesday).then(function(person) { ... });
+ * </pre>
+ *
+ * The principal is imported from the context, as for a
+ * foam.dao.AuthorizationDAO. Changes are found by diffing the object put
+ * with the one it replaces, so objects should be cloned, rather than changed
+ * in place, before being put again.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'HistoryDAO',
+  extends: 'foam.dao.ProxyDAO',
+
+  implements: ['foam.mlang.Expressions'],
+
+  requires: [
+    'foam.dao.HistoryRecord',
+    'foam.dao.MDAO',
+    'foam.dao.WriteQueue'
+  ],
+
+  imports: ['principal?'],
+
+  properties: [
+    {
+      /** The DAO of HistoryRecords. Defaults to an MDAO. */
+      name: 'historyDAO',
+      factory: function() {
+        return this.MDAO.create({of: this.HistoryRecord});
+      }
+    },
+    {
+      /**
+       * Queues writes so that each object's versions are numbered in order.
+       */
+      name: 'writes_',
+      factory: function() { return this.WriteQueue.create(); }
+    }
+  ],
+
+  methods: [
+    function put(obj) {
+      /** @param {FObject} obj */
+      var self = this;
+      return this.enqueue_(function() {
+        return self.delegate.find(obj.id).then(function(old) {
+          var before = old ? old.clone() : obj.cls_.create();
+
+          return self.delegate.put(obj).then(function(nu) {
+            return self.record_(nu.id, {
+              changes: before.diff(nu.clone())
+            }).then(function() { return nu; });
+          });
+        });
+      });
+    },
+
+    function remove(obj) {
+      /** @param {FObject} obj */
+      var self = this;
+      return this.enqueue_(function() {
+        return self.delegate.find(obj.id).then(function(old) {
+          // Don't record the removal of objects which weren't here.
+          if ( ! old ) return;
+
+          return self.delegate.remove(old).then(function() {
+            return self.record_(old.id, {removed: true});
+          });
+        });
+      });
+    },
+
+    function removeAll(skip, limit, order, predicate) {
+      /**
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      var self = this;
+      return this.delegate.select(undefined, skip, limit, order, predicate)
+          .then(function(sink) {
+            return Promise.all(sink.array.map(function(o) {
+              return self.remove(o);
+            }));
+          }).then(function() {});
+    },
+
+    function historyOf(id) {
+      /**
+       * Returns a DAO of the HistoryRecords of the object with the given ID,
+       * ordered by version.
+       * @param {any} id
+       */
+      return this.historyDAO
+          .where(this.EQ(this.HistoryRecord.OBJECT_ID, id))
+          .orderBy(this.HistoryRecord.VERSION);
+    },
+
+    function findAsOf(id, time) {
+      /**
+       * Returns a Promise of the object with the given ID as it was at time,
+       * a Date or a number of milliseconds since the epoch, or of null if it
+       * didn't exist then. The object is rebuilt by applying the changes of
+       * each version up to that time.
+       * @param {any} id
+       * @param {any} time
+       */
+      var of = foam.dao.classOf(this.of, this.__context__);
+      var t  = foam.Date.isInstance(time) ? time.getTime() : time;
+
+      return this.historyOf(id)
+          .where(this.LTE(this.HistoryRecord.TIMESTAMP, t))
+          .select()
+          .then(function(sink) {
+            var obj = null;
+
+            sink.array.forEach(function(record) {
+              if ( record.removed ) {
+                obj = null;
+                return;
+              }
+
+              if ( ! obj ) obj = of.create();
+              for ( var key in record.changes ) {
+                obj[key] = record.changes[key];
+              }
+            });
+
+            // Don't share values with the history.
+            return obj && obj.clone();
+          });
+    },
+
+    function record_(id, args) {
+      /**
+       * Adds the next version of the object with the given ID to the
+       * history.
+       * @param {any} id
+       * @param {Object} args
+       */
+      var self      = this;
+      var principal = this.principal;
+
+      return this.historyOf(id).select(this.MAX(this.HistoryRecord.VERSION))
+          .then(function(max) {
+            args.objectId  = id;
+            args.version   = ( max.value || 0 ) + 1;
+            args.user      = principal ? principal.id : null;
+            args.timestamp = Date.now();
+
+            return self.historyDAO.put(self.HistoryRecord.create(args));
+          });
+    },
+
+    function enqueue_(fn) {
+      /**
+       * Runs fn once all previously queued writes have finished. Returns a
+       * Promise for fn's result.
+       * @param {Function} fn
+       */
+      var self = this;
+      return this.writes_.enqueue(fn).catch(function(err) {
+        return self.reject_(err);
+      });
+    }
+  ]
+});
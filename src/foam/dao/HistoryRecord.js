@@ -0,0 +1,63 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * One version of an object in the history recorded by a foam.dao.HistoryDAO:
+ * who put or removed it, when, and what changed.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'HistoryRecord',
+
+  ids: ['objectId', 'version'],
+
+  properties: [
+    {
+      /** The ID of the object. */
+      name: 'objectId'
+    },
+    {
+      /** Numbers the versions of each object, from 1. */
+      class: 'Int',
+      name: 'version'
+    },
+    {
+      /** The ID of the principal who made the change, if known. */
+      name: 'user',
+      value: null
+    },
+    {
+      /** The time of the change, in milliseconds since the epoch. */
+      class: 'Int',
+      name: 'timestamp'
+    },
+    {
+      /** True if the object was removed. */
+      class: 'Boolean',
+      name: 'removed'
+    },
+    {
+      /**
+       * The changed properties, as returned by FObject.diff(): a map from
+       * each property's name to its new value. The first version holds every
+       * property which differs from its default value.
+       */
+      name: 'changes',
+      factory: function() { return {}; }
+    }
+  ]
+});
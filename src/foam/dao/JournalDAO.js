@@ -0,0 +1,390 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A DAO which persists its contents to a journal file, so that they survive
+ * restarts. Only supported on Node.
+ *
+ * Each put() and remove() which the delegate accepts is then appended to the
+ * journal as a line of JSON, and flushed to disk before its Promise resolves.
+ * If the journal can't be written, the change is undone in the delegate and
+ * the Promise rejected.
+ *
+ * Reads are served by the in-memory delegate, an MDAO unless another DAO is
+ * provided, which is loaded by replaying the journal when the JournalDAO is
+ * created.
+ *
+ * The journal only grows, so call <tt>compact()</tt> occasionally to rewrite
+ * it with just the current contents. The new journal is written to a
+ * temporary file which is then renamed over the old one, so a crash leaves
+ * one or the other intact. A crash part way through an append can leave a
+ * partial last line, which is discarded on the next startup.
+ *
+ * <pre>
+ * var dao = foam.dao.JournalDAO.create({
+ *   of: 'example.Person',
+ *   filename: 'people.journal'
+ * });
+ * </pre>
+ *
+ * Call <tt>detach()</tt> to close the journal when done with the DAO.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'JournalDAO',
+  extends: 'foam.dao.ProxyDAO',
+
+  requires: [
+    'foam.dao.DAOException',
+    'foam.dao.MDAO',
+    'foam.dao.WriteQueue'
+  ],
+
+  properties: [
+    {
+      /** The path of the journal file. */
+      class: 'String',
+      name: 'filename',
+      required: true
+    },
+    {
+      name: 'delegate',
+      factory: function() { return this.MDAO.create({of: this.of}); }
+    },
+    {
+      /**
+       * A Promise which resolves once the journal has been replayed into the
+       * delegate, or rejects with a foam.dao.DAOException if it couldn't be
+       * read. Every operation waits on it, so fails the same way.
+       */
+      name: 'loaded',
+      factory: function() { return this.replay_(); }
+    },
+    {
+      /**
+       * Queues writes so that the journal records them in the order they
+       * were made.
+       */
+      name: 'writes_',
+      factory: function() { return this.WriteQueue.create(); }
+    },
+    {
+      /** The file descriptor which journal entries are appended to. */
+      name: 'fd_',
+      value: null
+    },
+    {
+      name: 'fs_',
+      factory: function() { return require('fs'); }
+    }
+  ],
+
+  methods: [
+    function init() {
+      this.SUPER();
+
+      foam.assert(foam.isServer, 'JournalDAO is only supported on Node.');
+
+      // Start replaying straight away. A failure is reported by every later
+      // operation, rather than going unhandled here.
+      this.loaded.catch(function() {});
+
+      this.onDetach(function() {
+        if ( this.fd_ !== null ) this.fs_.closeSync(this.fd_);
+        this.fd_ = null;
+      }.bind(this));
+    },
+
+    function put(obj) {
+      /** @param {FObject} obj */
+      var self = this;
+      return this.enqueue_(function() {
+        return self.delegate.find(obj.id).then(function(old) {
+          // Only journal what the delegate has accepted.
+          return self.delegate.put(obj).then(function(nu) {
+            return self.journal_(self.entry_('put', nu), function() {
+              return old ? self.delegate.put(old) : self.delegate.remove(nu);
+            }).then(function() { return nu; });
+          });
+        });
+      });
+    },
+
+    function remove(obj) {
+      /** @param {FObject} obj */
+      var self = this;
+      return this.enqueue_(function() {
+        return self.delegate.find(obj.id).then(function(found) {
+          // Don't journal the removal of objects which weren't here.
+          if ( ! found ) return;
+
+          return self.delegate.remove(found).then(function() {
+            return self.journal_(self.entry_('remove', found), function() {
+              return self.delegate.put(found);
+            });
+          });
+        });
+      });
+    },
+
+    function find(id) {
+      /** @param {any} id */
+      var self = this;
+      return this.loaded.then(function() { return self.delegate.find(id); });
+    },
+
+    function select(sink, skip, limit, order, predicate) {
+      /**
+       * @param {foam.dao.Sink=} sink
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      var self = this;
+      return this.loaded.then(function() {
+        return self.delegate.select(sink, skip, limit, order, predicate);
+      });
+    },
+
+    function removeAll(skip, limit, order, predicate) {
+      /**
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      var self = this;
+      var array;
+
+      return this.enqueue_(function() {
+        return self.delegate.select(
+            undefined, skip, limit, order, predicate).then(function(sink) {
+          array = sink.array;
+          return Promise.all(array.map(function(o) {
+            return self.delegate.remove(o);
+          }));
+        }).then(function() {
+          if ( ! array.length ) return;
+
+          // Journal every removal with a single write.
+          return self.journal_(array.map(function(o) {
+            return self.entry_('remove', o);
+          }).join(''), function() {
+            return Promise.all(array.map(function(o) {
+              return self.delegate.put(o);
+            }));
+          });
+        }).then(function() {});
+      });
+    },
+
+    function compact() {
+      /**
+       * Rewrites the journal with just the current contents of the DAO.
+       * Returns a Promise which resolves once the new journal is in place.
+       */
+      var self = this;
+      var tmp  = this.filename + '.tmp';
+
+      return this.enqueue_(function() {
+        return self.delegate.select().then(function(sink) {
+          return self.writeFile_(tmp, sink.array.map(function(o) {
+            return self.entry_('put', o);
+          }).join(''));
+        }).then(function() {
+          return self.close_();
+        }).then(function() {
+          return self.fsCall_('rename', tmp, self.filename);
+        });
+      });
+    },
+
+    function entry_(op, obj) {
+      /**
+       * Returns the journal line for a put or remove of obj. Removes only
+       * record the id.
+       * @param {String} op
+       * @param {FObject} obj
+       */
+      var entry = {};
+      entry[op] = foam.json.objectify(op === 'put' ? obj : obj.id);
+      return JSON.stringify(entry) + '\n';
+    },
+
+    function replay_() {
+      /**
+       * Reads the journal and applies each of its entries to the delegate.
+       * A partial last line is truncated from the file.
+       */
+      var self = this;
+
+      return this.fsCall_('readFile', this.filename).catch(function(err) {
+        if ( err.code === 'ENOENT' ) return null;
+        throw self.error_('Couldn\'t read journal ' + self.filename, err);
+      }).then(function(buf) {
+        if ( ! buf ) return;
+
+        // Everything after the last newline was cut short by a crash.
+        var end   = buf.lastIndexOf(10) + 1;
+        var lines = buf.toString('utf8', 0, end).split('\n');
+        var p     = end < buf.length ?
+            self.fsCall_('truncate', self.filename, end) :
+            Promise.resolve();
+
+        lines.forEach(function(line, i) {
+          if ( ! line ) return;
+
+          p = p.then(function() {
+            return Promise.resolve(line).then(
+                self.replayEntry_.bind(self)).catch(function(err) {
+              throw self.error_(
+                  'Bad journal entry at ' + self.filename + ':' + ( i + 1 ),
+                  err);
+            });
+          });
+        });
+
+        return p;
+      });
+    },
+
+    function replayEntry_(line) {
+      /**
+       * Applies one line of the journal to the delegate.
+       * @param {String} line
+       */
+      var self  = this;
+      var entry = JSON.parse(line);
+
+      if ( entry.put ) {
+        return this.delegate.put(foam.json.parse(entry.put, this.__context__));
+      }
+
+      return this.delegate.find(
+          foam.json.parse(entry.remove)).then(function(obj) {
+        return obj && self.delegate.remove(obj);
+      });
+    },
+
+    function error_(message, cause) {
+      /**
+       * Returns a foam.dao.DAOException for a failure to load the journal.
+       * @param {String} message
+       * @param {any} cause
+       */
+      return this.DAOException.create({
+        message: message + ': ' + ( cause && cause.message || cause ),
+        cause: cause
+      });
+    },
+
+    function enqueue_(fn) {
+      /**
+       * Runs fn once the journal is loaded and all previously queued writes
+       * have finished. Returns a Promise for fn's result.
+       * @param {Function} fn
+       */
+      var self = this;
+      return this.writes_.enqueue(function() {
+        return self.loaded.then(fn);
+      }).catch(function(err) {
+        return self.reject_(err);
+      });
+    },
+
+    function journal_(text, undo) {
+      /**
+       * Appends text to the journal, after the delegate has made the changes
+       * it records. If it can't be written, undo() reverts the delegate to
+       * match the journal, and the Promise is rejected.
+       * @param {String} text
+       * @param {Function} undo
+       */
+      return this.append_(text).catch(function(err) {
+        return Promise.resolve(undo()).then(function() { throw err; });
+      });
+    },
+
+    function append_(text) {
+      /**
+       * Appends text to the journal and flushes it to disk.
+       * @param {String} text
+       */
+      var self = this;
+      var open = this.fd_ !== null ?
+          Promise.resolve(this.fd_) :
+          this.fsCall_('open', this.filename, 'a');
+
+      return open.then(function(fd) {
+        self.fd_ = fd;
+        return self.fsCall_('write', fd, text);
+      }).then(function() {
+        return self.fsCall_('fsync', self.fd_);
+      });
+    },
+
+    function writeFile_(filename, text) {
+      /**
+       * Writes text to a new file and flushes it to disk.
+       * @param {String} filename
+       * @param {String} text
+       */
+      var self = this;
+      var fd;
+
+      return this.fsCall_('open', filename, 'w').then(function(f) {
+        fd = f;
+        return self.fsCall_('write', fd, text);
+      }).then(function() {
+        return self.fsCall_('fsync', fd);
+      }).then(function() {
+        return self.fsCall_('close', fd);
+      });
+    },
+
+    function close_() {
+      /** Closes the journal, if it's open. It's reopened by the next write. */
+      if ( this.fd_ === null ) return Promise.resolve();
+
+      var fd = this.fd_;
+      this.fd_ = null;
+      return this.fsCall_('close', fd);
+    },
+
+    function fsCall_(name) {
+      /**
+       * Calls the Node fs function with the given name, passing the rest of
+       * the arguments and a callback. Returns a Promise for the result.
+       * @param {String} name
+       */
+      var fs   = this.fs_;
+      var args = Array.from(arguments).slice(1);
+
+      return new Promise(function(resolve, reject) {
+        args.push(function(err, value) {
+          if ( err ) {
+            reject(err);
+          } else {
+            resolve(value);
+          }
+        });
+        fs[name].apply(fs, args);
+      });
+    }
+  ]
+});
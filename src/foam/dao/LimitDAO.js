@@ -0,0 +1,79 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A view of a DAO with only its first <tt>limit_</tt> items. Usually created
+ * by calling <tt>dao.limit(n)</tt>.
+ *
+ * Changes to the delegate are published as onData.reset events.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'LimitDAO',
+  extends: 'foam.dao.ProxyDAO',
+
+  properties: [
+    {
+      /** Named limit_ to avoid conflicting with the limit() method. */
+      class: 'Int',
+      name: 'limit_'
+    }
+  ],
+
+  methods: [
+    function select(sink, skip, limit, order, predicate) {
+      /**
+       * @param {foam.dao.Sink=} sink
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      return this.delegate.select(
+          sink, skip, this.limitFor_(skip, limit), order, predicate);
+    },
+
+    function removeAll(skip, limit, order, predicate) {
+      /**
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      return this.delegate.removeAll(
+          skip, this.limitFor_(skip, limit), order, predicate);
+    },
+
+    function limitFor_(skip, limit) {
+      /**
+       * Skipping into this view uses up part of its limit.
+       * @param {Number=} skip
+       * @param {Number=} limit
+       */
+      var l = Math.max(0, this.limit_ - ( skip || 0 ));
+      return limit !== undefined && limit !== null ? Math.min(l, limit) : l;
+    }
+  ],
+
+  listeners: [
+    function onDelegateData() {
+      // A single put or remove can shift items into or out of this view, so
+      // listeners are told to rebuild instead.
+      this.onData.reset.pub();
+    }
+  ]
+});
@@ -0,0 +1,113 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A DAO decorator which logs each call made to the DAO, with its arguments,
+ * and then its result or error.
+ *
+ * Output goes to the 'log' function imported from the context, which
+ * foam.core.Window exports as console.log. Export another 'log' to capture
+ * or redirect it:
+ *
+ * <pre>
+ * var x = foam.__context__.createSubContext({
+ *   log: function() { myLogger.info(Array.from(arguments).join(' ')); }
+ * });
+ * var dao = foam.dao.LoggingDAO.create({delegate: personDAO}, x);
+ * </pre>
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'LoggingDAO',
+  extends: 'foam.dao.ProxyDAO',
+
+  imports: ['log'],
+
+  properties: [
+    {
+      /** Prefixed to each log entry. Defaults to the id of 'of'. */
+      class: 'String',
+      name: 'name',
+      factory: function() {
+        var of = this.of;
+        return ! of ? 'DAO' : foam.String.isInstance(of) ? of : of.id;
+      }
+    }
+  ],
+
+  methods: [
+    function put(obj) {
+      /** @param {FObject} obj */
+      return this.log_('put', arguments, this.delegate.put(obj));
+    },
+
+    function remove(obj) {
+      /** @param {FObject} obj */
+      return this.log_('remove', arguments, this.delegate.remove(obj));
+    },
+
+    function find(id) {
+      /** @param {any} id */
+      return this.log_('find', arguments, this.delegate.find(id));
+    },
+
+    function select(sink, skip, limit, order, predicate) {
+      /**
+       * @param {foam.dao.Sink=} sink
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      return this.log_('select', arguments,
+          this.delegate.select(sink, skip, limit, order, predicate));
+    },
+
+    function removeAll(skip, limit, order, predicate) {
+      /**
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      return this.log_('removeAll', arguments,
+          this.delegate.removeAll(skip, limit, order, predicate));
+    },
+
+    function log_(method, args, promise) {
+      /**
+       * Logs the call to method with args, and its outcome once promise
+       * settles.
+       * @param {String} method
+       * @param {any} args
+       * @param {any} promise
+       */
+      var self  = this;
+      var label = this.name + '.' + method;
+
+      this.log.apply(null, [label].concat(Array.from(args)));
+
+      return promise.then(function(ret) {
+        self.log(label, '->', ret);
+        return ret;
+      }, function(err) {
+        self.log(label, 'failed:', err);
+        throw err;
+      });
+    }
+  ]
+});
@@ -0,0 +1,443 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * An indexed, in-memory implementation of the DAO interface.
+ *
+ * Objects are stored in a balanced tree ordered by their ID, so put(),
+ * remove() and find() are O(log n) rather than ArrayDAO's linear scan.
+ *
+ * Secondary indexes can be added for individual Properties with
+ * addPropertyIndex(). select() and removeAll() use an index when the
+ * predicate constrains an indexed Property with EQ, LT, LTE, GT or GTE (alone
+ * or within an AND), and when ordering by an indexed Property, or the DESC() of
+ * one, optionally followed by the ID in the same direction, in which case
+ * results are streamed in index order and the scan stops once the limit is
+ * reached. Otherwise they fall back to filtering and sorting
+ * every object.
+ *
+ * <pre>
+ * var dao = foam.dao.MDAO.create({of: 'example.Person'})
+ *     .addPropertyIndex(example.Person.AGE);
+ *
+ * dao.where(M.GT(example.Person.AGE, 65)).orderBy(example.Person.AGE).select();
+ * </pre>
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'MDAO',
+  implements: ['foam.dao.DAO'],
+
+  requires: [
+    'foam.dao.ArraySink',
+    'foam.dao.Subscription',
+    'foam.dao.index.TreeIndex',
+    'foam.mlang.Constant',
+    'foam.mlang.order.Desc',
+    'foam.mlang.order.ThenBy',
+    'foam.mlang.predicate.And',
+    'foam.mlang.predicate.Eq',
+    'foam.mlang.predicate.False',
+    'foam.mlang.predicate.Gt',
+    'foam.mlang.predicate.Gte',
+    'foam.mlang.predicate.Lt',
+    'foam.mlang.predicate.Lte',
+    'foam.mlang.predicate.True'
+  ],
+
+  properties: [
+    {
+      /** The class of the items added to the DAO. */
+      name: 'of',
+      required: true
+    },
+    {
+      /** The primary index, ordered by ID. */
+      name: 'idIndex_',
+      factory: function() {
+        var of = foam.dao.classOf(this.of, this.__context__);
+        return this.TreeIndex.create({prop: of.ID});
+      }
+    },
+    {
+      /** Map of Property names to the indexes ordered by them. */
+      name: 'indexes_',
+      factory: function() {
+        var m = {};
+        m[this.idIndex_.prop.name] = this.idIndex_;
+        return m;
+      }
+    },
+    {
+      /**
+       * For each secondary index, by Property name, a map from the JSON of
+       * each object's ID to the key it was stored under. An object changed
+       * in place and put again no longer has that key, so it is needed to
+       * find the object's old entry.
+       */
+      name: 'keys_',
+      factory: function() { return {}; }
+    }
+  ],
+
+  methods: [
+    function addPropertyIndex(prop) {
+      /**
+       * Adds a secondary index ordered by prop, which is used by select() and
+       * removeAll() to filter and order by prop. Returns this DAO, so calls
+       * can be chained.
+       * @param {foam.core.Property} prop
+       */
+      if ( this.indexes_[prop.name] ) return this;
+
+      var index = this.TreeIndex.create({
+        prop: prop,
+        tail: this.idIndex_.prop
+      });
+
+      var keys = this.keys_[prop.name] = {};
+
+      this.idIndex_.forEach(function(o) {
+        index.put(o);
+        keys[foam.json.stringify(o.id)] = index.keyOf(o);
+      });
+      this.indexes_[prop.name] = index;
+
+      return this;
+    },
+
+    function put(obj) {
+      /** @param {FObject} obj */
+      try {
+        var id  = foam.json.stringify(obj.id);
+        var old = this.idIndex_.get(obj.id);
+
+        for ( var key in this.indexes_ ) {
+          var index = this.indexes_[key];
+
+          if ( index === this.idIndex_ ) {
+            index.put(obj);
+            continue;
+          }
+
+          var keys = this.keys_[key];
+          if ( old ) index.removeKey(keys[id]);
+          index.put(obj);
+          keys[id] = index.keyOf(obj);
+        }
+      } catch (err) {
+        return this.reject_(err);
+      }
+
+      // Published outside of the try, since a listener which throws hasn't
+      // failed the put.
+      this.onData.put.pub(obj);
+      return Promise.resolve(obj);
+    },
+
+    function remove(obj) {
+      /** @param {FObject} obj */
+      var old;
+
+      try {
+        old = this.remove_(obj.id);
+      } catch (err) {
+        return this.reject_(err);
+      }
+
+      if ( old ) this.onData.remove.pub(old);
+      return Promise.resolve();
+    },
+
+    function find(id) {
+      /** @param {any} id */
+      try {
+        return Promise.resolve(this.idIndex_.get(id));
+      } catch (err) {
+        return this.reject_(err);
+      }
+    },
+
+    function select(sink, skip, limit, order, predicate) {
+      /**
+       * @param {foam.dao.Sink=} sink
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      var resultSink = sink || this.ArraySink.create();
+      var sub        = this.Subscription.create({src: this});
+
+      try {
+        this.forEachSelected_(function(o) {
+          resultSink.put(o, sub);
+          return ! sub.detached;
+        }, skip, limit, order, predicate);
+
+        resultSink.eof();
+      } catch (err) {
+        return this.reject_(err, resultSink);
+      }
+
+      return Promise.resolve(resultSink);
+    },
+
+    function removeAll(skip, limit, order, predicate) {
+      /**
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      // Collect first, since the indexes can't be modified while scanning.
+      var array = [];
+      var i;
+
+      try {
+        this.forEachSelected_(function(o) {
+          array.push(o);
+        }, skip, limit, order, predicate);
+
+        for ( i = 0 ; i < array.length ; i++ ) this.remove_(array[i].id);
+      } catch (err) {
+        return this.reject_(err);
+      }
+
+      for ( i = 0 ; i < array.length ; i++ ) this.onData.remove.pub(array[i]);
+
+      return Promise.resolve();
+    },
+
+    function remove_(id) {
+      /**
+       * Removes the object with the given id from every index and returns it,
+       * or returns undefined if there wasn't one.
+       * @param {any} id
+       */
+      var old = this.idIndex_.removeKey(id);
+
+      if ( old !== undefined ) {
+        var json = foam.json.stringify(id);
+
+        for ( var key in this.indexes_ ) {
+          var index = this.indexes_[key];
+
+          if ( index !== this.idIndex_ ) {
+            index.removeKey(this.keys_[key][json]);
+            delete this.keys_[key][json];
+          }
+        }
+      }
+
+      return old;
+    },
+
+    function forEachSelected_(fn, skip, limit, order, predicate) {
+      /**
+       * Calls fn(obj) for each item selected by the arguments, in order.
+       * Stops early if fn returns false.
+       * @param {Function} fn
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      if ( predicate ) {
+        predicate = predicate.partialEval();
+        if ( this.False.isInstance(predicate) ) return;
+        if ( this.True.isInstance(predicate) ) predicate = null;
+      }
+
+      var start = skip || 0;
+      var end   = limit !== undefined && limit !== null ?
+          start + limit :
+          Infinity;
+
+      if ( end <= start ) return;
+
+      var range   = predicate ? this.rangeOf_(predicate) : null;
+      var ordered = order ? this.orderIndexOf_(order) : null;
+      var index   = range ? range.index :
+          ordered ? ordered.index :
+          this.idIndex_;
+
+      if ( ! order || ( ordered && ordered.index === index ) ) {
+        // The index is already in the requested order, so stream the results
+        // and stop as soon as the limit is reached.
+        var i       = 0;
+        var reverse = !! ( ordered && ordered.reverse );
+
+        this.scan_(index, range, reverse, function(o) {
+          if ( predicate && ! predicate.f(o) ) return true;
+          if ( i++ >= start && fn(o) === false ) return false;
+          return i < end;
+        });
+        return;
+      }
+
+      var array = [];
+      this.scan_(index, range, false, function(o) {
+        if ( ! predicate || predicate.f(o) ) array.push(o);
+      });
+
+      array.sort(function(o1, o2) { return order.compare(o1, o2); });
+      array = array.slice(start, end);
+
+      for ( var j = 0 ; j < array.length ; j++ ) {
+        if ( fn(array[j]) === false ) return;
+      }
+    },
+
+    function scan_(index, range, reverse, fn) {
+      /**
+       * Calls fn(obj) for each object of index within range, or for every
+       * object of index if range is null. Stops early if fn returns false.
+       * @param {foam.dao.index.TreeIndex} index
+       * @param {Object=} range
+       * @param {Boolean} reverse
+       * @param {Function} fn
+       */
+      if ( ! range ) return index.forEach(fn, reverse);
+      if ( ! range.lo ) return index.forEach(fn, reverse, undefined, range.hi);
+
+      // Null and undefined values are ordered first, so they are outside of
+      // any range with a lower bound, but foam.util.compare() orders them
+      // after other values, so GT and GTE can match them. Scan them too and
+      // let the predicate decide.
+      var nulls = {value: null, inclusive: true};
+
+      if ( reverse ) {
+        return index.forEach(fn, true, range.lo, range.hi) &&
+            index.forEach(fn, true, undefined, nulls);
+      }
+
+      return index.forEach(fn, false, undefined, nulls) &&
+          index.forEach(fn, false, range.lo, range.hi);
+    },
+
+    function rangeOf_(predicate) {
+      /**
+       * Returns the range of an index which contains every object matched by
+       * predicate, as a map of the form {index: <index>, lo: <bound>,
+       * hi: <bound>}, or null if no index applies. Bounds are of the form
+       * {value: <value>, inclusive: <Boolean>} and are null when unbounded.
+       * EQ conditions are preferred over ranges, and the ID over other
+       * Properties.
+       * @param {foam.mlang.predicate.Predicate} predicate
+       */
+      var args   = this.And.isInstance(predicate) ?
+          predicate.args :
+          [predicate];
+      var ranges = {};
+      var best   = null;
+
+      for ( var i = 0 ; i < args.length ; i++ ) {
+        var p = args[i];
+
+        if ( ! ( this.Eq.isInstance(p) || this.Lt.isInstance(p) ||
+                 this.Lte.isInstance(p) || this.Gt.isInstance(p) ||
+                 this.Gte.isInstance(p) ) ) {
+          continue;
+        }
+
+        if ( ! foam.core.Property.isInstance(p.arg1) ||
+             ! this.Constant.isInstance(p.arg2) ) {
+          continue;
+        }
+
+        var index = this.indexes_[p.arg1.name];
+        var value = p.arg2.value;
+
+        if ( ! index || value === undefined || value === null ) continue;
+
+        var r = ranges[p.arg1.name] ||
+            ( ranges[p.arg1.name] = {index: index, lo: null, hi: null} );
+        var eq = this.Eq.isInstance(p);
+
+        if ( eq || this.Gt.isInstance(p) || this.Gte.isInstance(p) ) {
+          r.lo = this.tighten_(index, r.lo, {
+            value: value,
+            inclusive: ! this.Gt.isInstance(p)
+          }, 1);
+        }
+
+        if ( eq || this.Lt.isInstance(p) || this.Lte.isInstance(p) ) {
+          r.hi = this.tighten_(index, r.hi, {
+            value: value,
+            inclusive: ! this.Lt.isInstance(p)
+          }, -1);
+        }
+
+        if ( eq ) r.eq = true;
+
+        if ( ! best ||
+             ( r.eq && ! best.eq ) ||
+             ( r.eq && index === this.idIndex_ ) ) {
+          best = r;
+        }
+      }
+
+      return best;
+    },
+
+    function tighten_(index, old, bound, dir) {
+      /**
+       * Returns whichever of the bounds old and bound is the more restrictive,
+       * where dir is 1 for lower bounds and -1 for upper bounds.
+       * @param {foam.dao.index.TreeIndex} index
+       * @param {Object=} old
+       * @param {Object} bound
+       * @param {Number} dir
+       */
+      if ( ! old ) return bound;
+
+      var c = index.compareValues(index.prop, bound.value, old.value) * dir;
+
+      return c > 0 || ( c === 0 && ! bound.inclusive ) ? bound : old;
+    },
+
+    function orderIndexOf_(order) {
+      /**
+       * Returns the index which is ordered by order, as a map of the form
+       * {index: <index>, reverse: <Boolean>}, or null if there isn't one.
+       * @param {any} order
+       */
+      var reverse = false;
+
+      // Secondary indexes order equal values by ID, so also serve THEN_BY()
+      // the ID in the same direction.
+      if ( this.ThenBy.isInstance(order) ) {
+        var head = this.orderIndexOf_(order.head);
+        var tail = this.orderIndexOf_(order.tail);
+
+        return head && tail && tail.index === this.idIndex_ &&
+            head.reverse === tail.reverse ? head : null;
+      }
+
+      if ( this.Desc.isInstance(order) ) {
+        order   = order.arg1;
+        reverse = true;
+      }
+
+      if ( ! foam.core.Property.isInstance(order) ) return null;
+
+      var index = this.indexes_[order.name];
+      return index ? {index: index, reverse: reverse} : null;
+    }
+  ]
+});
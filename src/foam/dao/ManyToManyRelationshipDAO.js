@@ -0,0 +1,215 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * The objects related to one side of a many-to-many Relationship: a view of
+ * the related DAO containing the objects linked to sourceId by a junction
+ * object in junctionDAO.
+ *
+ * put() stores the object and links it, remove() only unlinks it.
+ *
+ * onData publishes the related DAO's events only for linked objects, and a
+ * put or remove when an object is linked or unlinked. If whether an object
+ * is linked can't be found out, a reset is published instead.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'ManyToManyRelationshipDAO',
+  extends: 'foam.dao.ProxyDAO',
+
+  implements: ['foam.mlang.Expressions'],
+
+  requires: ['foam.dao.ArraySink'],
+
+  properties: [
+    {
+      /** The DAO of junction objects. */
+      name: 'junctionDAO',
+      required: true
+    },
+    {
+      /** The class of the junction objects. */
+      name: 'junction',
+      required: true
+    },
+    {
+      /** The junction property holding this side's ID. */
+      name: 'sourceProperty',
+      required: true
+    },
+    {
+      /** The junction property holding the related object's ID. */
+      name: 'targetProperty',
+      required: true
+    },
+    {
+      /** The ID of the object whose related objects are viewed. */
+      name: 'sourceId'
+    }
+  ],
+
+  methods: [
+    function put(obj) {
+      /** @param {FObject} obj */
+      var self = this;
+      return this.delegate.put(obj).then(function(obj) {
+        return self.junctionDAO.put(self.junction_(obj.id)).then(function() {
+          return obj;
+        });
+      });
+    },
+
+    function remove(obj) {
+      /** @param {FObject} obj */
+      return this.junctionDAO.remove(this.junction_(obj.id));
+    },
+
+    function find(id) {
+      /** @param {any} id */
+      var self = this;
+      return this.junctionDAO.find(this.junction_(id).id).then(function(j) {
+        return j ? self.delegate.find(id) : null;
+      });
+    },
+
+    function select(sink, skip, limit, order, predicate) {
+      /**
+       * @param {foam.dao.Sink=} sink
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      var self = this;
+      return this.predicate_(predicate).then(function(predicate) {
+        return self.delegate.select(sink, skip, limit, order, predicate);
+      });
+    },
+
+    function removeAll(skip, limit, order, predicate) {
+      /**
+       * Unlinks the matching objects, leaving them in the related DAO.
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      var self = this;
+      return this.select(this.ArraySink.create(), skip, limit, order, predicate)
+          .then(function(sink) {
+            return Promise.all(sink.array.map(function(obj) {
+              return self.remove(obj);
+            }));
+          }).then(function() {});
+    },
+
+    function updateDelegateSub_() {
+      this.SUPER();
+
+      // Links and unlinks change this view too.
+      var listen     = this.hasOwnPrivate_('delegateSub') && this.junctionDAO;
+      var subscribed = this.hasOwnPrivate_('junctionSub');
+
+      if ( listen && ! subscribed ) {
+        this.setPrivate_('junctionSub',
+            this.junctionDAO.onData.sub(this.onJunctionData));
+      } else if ( subscribed && ! listen ) {
+        this.unsubJunction_();
+      }
+    },
+
+    function unsubDelegate_() {
+      this.SUPER();
+      this.unsubJunction_();
+    },
+
+    function unsubJunction_() {
+      var sub = this.getPrivate_('junctionSub');
+
+      if ( sub ) {
+        sub.detach();
+        this.clearPrivate_('junctionSub');
+      }
+    },
+
+    function junction_(id) {
+      /** @param {any} id */
+      var j = this.junction.create();
+      this.sourceProperty.set(j, this.sourceId);
+      this.targetProperty.set(j, id);
+      return j;
+    },
+
+    function predicate_(predicate) {
+      /**
+       * Resolves to a predicate matching the linked objects and predicate.
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      var self = this;
+      return this.junctionDAO
+          .where(this.EQ(this.sourceProperty, this.sourceId))
+          .select(this.MAP(this.targetProperty))
+          .then(function(map) {
+            var linked = self.IN(self.of.ID, map.value);
+            return predicate ? self.AND(linked, predicate) : linked;
+          });
+    },
+
+    function publishLater_(p, event) {
+      /**
+       * Publishes event with the object p resolves to, if any, or a reset
+       * if p rejects.
+       * @param {any} p
+       * @param {String} event
+       */
+      var self = this;
+      p.then(function(obj) {
+        if ( obj ) self.onData.pub(event, obj);
+      }, function() {
+        self.onData.reset.pub();
+      });
+    }
+  ],
+
+  listeners: [
+    function onDelegateData(sub, on, event, obj) {
+      if ( event === 'reset' ) {
+        this.onData.reset.pub();
+        return;
+      }
+
+      this.publishLater_(
+          this.junctionDAO.find(this.junction_(obj.id).id).then(function(j) {
+            return j && obj;
+          }),
+          event);
+    },
+
+    function onJunctionData(sub, on, event, j) {
+      if ( event === 'reset' ) {
+        this.onData.reset.pub();
+        return;
+      }
+
+      if ( ! foam.util.equals(this.sourceProperty.f(j), this.sourceId) ) {
+        return;
+      }
+
+      this.publishLater_(this.delegate.find(this.targetProperty.f(j)), event);
+    }
+  ]
+});
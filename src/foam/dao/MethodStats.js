@@ -0,0 +1,99 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Call count and latency statistics for one method, recorded by
+ * foam.dao.TimingDAO. Times are in milliseconds.
+ *
+ * All of the statistics are properties, so they can be observed or bound to:
+ *
+ * <pre>
+ * timingDAO.stats.find.count$.sub(function() { ... });
+ * </pre>
+ *
+ * histogram[i] counts the calls which took at most buckets[i] ms, and more
+ * than buckets[i - 1] ms. Its last element counts the calls slower than
+ * every bucket.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'MethodStats',
+
+  properties: [
+    {
+      class: 'Int',
+      name: 'count'
+    },
+    {
+      /** The number of calls which failed. */
+      class: 'Int',
+      name: 'errors'
+    },
+    {
+      class: 'Int',
+      name: 'totalTime'
+    },
+    {
+      class: 'Int',
+      name: 'minTime'
+    },
+    {
+      class: 'Int',
+      name: 'maxTime'
+    },
+    {
+      name: 'averageTime',
+      expression: function(count, totalTime) {
+        return count ? totalTime / count : 0;
+      }
+    },
+    {
+      /** The upper bounds of the histogram's buckets, in ascending order. */
+      name: 'buckets',
+      factory: function() { return [1, 5, 10, 50, 100, 500, 1000]; }
+    },
+    {
+      name: 'histogram',
+      factory: function() {
+        return this.buckets.concat([Infinity]).map(function() { return 0; });
+      }
+    }
+  ],
+
+  methods: [
+    function record(time, opt_failed) {
+      /**
+       * Records a call which took time ms.
+       * @param {Number} time
+       * @param {Boolean=} opt_failed
+       */
+      var i = 0;
+      while ( i < this.buckets.length && time > this.buckets[i] ) i++;
+
+      // Replaced rather than updated in place, so that a change is published.
+      var histogram = this.histogram.slice();
+      histogram[i]++;
+      this.histogram = histogram;
+
+      if ( ! this.count || time < this.minTime ) this.minTime = time;
+      if ( time > this.maxTime ) this.maxTime = time;
+      this.totalTime += time;
+      if ( opt_failed ) this.errors++;
+      this.count++;
+    }
+  ]
+});
@@ -0,0 +1,43 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * The error for a lookup of an object which must be in a DAO, but isn't, such
+ * as the source of a Relationship's target. find() resolves to null instead.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'NotFoundException',
+  extends: 'foam.dao.DAOException',
+
+  properties: [
+    {
+      class: 'String',
+      name: 'code',
+      value: 'notFound'
+    },
+    {
+      /** The ID which wasn't found. */
+      name: 'id'
+    },
+    {
+      class: 'String',
+      name: 'message',
+      expression: function(id) { return 'Object not found: ' + id; }
+    }
+  ]
+});
@@ -0,0 +1,61 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A view of a DAO which selects its items in order. Usually created by calling
+ * <tt>dao.orderBy(comparator)</tt>.
+ *
+ * An order passed explicitly to <tt>select()</tt> takes precedence.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'OrderedDAO',
+  extends: 'foam.dao.ProxyDAO',
+
+  properties: [
+    {
+      /** A Property or foam.mlang.order.Comparator. */
+      name: 'comparator',
+      required: true
+    }
+  ],
+
+  methods: [
+    function select(sink, skip, limit, order, predicate) {
+      /**
+       * @param {foam.dao.Sink=} sink
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      return this.delegate.select(
+          sink, skip, limit, order || this.comparator, predicate);
+    },
+
+    function removeAll(skip, limit, order, predicate) {
+      /**
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      return this.delegate.removeAll(
+          skip, limit, order || this.comparator, predicate);
+    }
+  ]
+});
@@ -0,0 +1,236 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** A page of objects returned by foam.dao.Pager. */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'Page',
+
+  properties: [
+    {
+      /** The objects on this page. */
+      name: 'array',
+      factory: function() { return []; }
+    },
+    {
+      /**
+       * The cursor String for the next page, or null if this is the last one.
+       */
+      name: 'cursor',
+      value: null
+    }
+  ]
+});
+
+
+/**
+ * Selects a DAO a page at a time, returned by DAO.page():
+ *
+ * <pre>
+ * var page = await personDAO.page(20, null, Person.LAST_NAME);
+ * ...
+ * page = await personDAO.page(20, page.cursor, Person.LAST_NAME);
+ * </pre>
+ *
+ * Rather than skipping the objects on earlier pages, which gets slower with
+ * each page, and shifts the pages when objects are put before the current
+ * one, each page starts after a cursor. The cursor holds the sort keys of the
+ * last object on the previous page: the values of the order's Properties,
+ * followed by its ID, which breaks ties so that no two objects share a
+ * position. Ties are broken in the direction of the last Property, and the
+ * cursor is matched with ordinary mlang comparisons, so an MDAO can use a
+ * secondary index on the first Property both to find and to order a page.
+ *
+ * Cursors are opaque strings, only valid for the order they were made with.
+ * page() rejects with a foam.dao.DAOException if given any other string.
+ * Any DAO which supports order and predicate in select() can be paged.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'Pager',
+
+  requires: [
+    'foam.dao.ArraySink',
+    'foam.dao.DAOException',
+    'foam.dao.Page'
+  ],
+
+  properties: [
+    {
+      name: 'dao',
+      required: true
+    },
+    {
+      /**
+       * A Property, or a Comparator made of Properties with DESC() and
+       * THEN_BY(). Defaults to ID order.
+       */
+      name: 'order'
+    },
+    {
+      /** The number of objects per page. */
+      class: 'Int',
+      name: 'limit',
+      value: 100
+    },
+    {
+      /**
+       * The order as an array of {prop, desc}, ending with the ID, which
+       * takes the direction of the key before it.
+       */
+      name: 'keys_',
+      factory: function() {
+        var of   = foam.dao.classOf(this.dao.of, this.__context__);
+        var keys = this.order ? this.toKeys_(this.order, false) : [];
+        var last = keys[keys.length - 1];
+
+        if ( ! last || last.prop !== of.ID ) {
+          keys.push({prop: of.ID, desc: !! ( last && last.desc )});
+        }
+
+        return keys;
+      }
+    }
+  ],
+
+  methods: [
+    function page(opt_cursor) {
+      /**
+       * Returns a Promise of the foam.dao.Page after opt_cursor, or the first
+       * page if there is no cursor.
+       * @param {String=} opt_cursor
+       */
+      var self = this;
+      var values;
+
+      try {
+        if ( opt_cursor ) values = this.decode_(opt_cursor);
+      } catch (err) {
+        return this.dao.reject_(err);
+      }
+
+      // Select one extra object to find out whether there's another page.
+      return this.dao.select(
+          this.ArraySink.create(),
+          undefined,
+          this.limit + 1,
+          this.comparator_(),
+          opt_cursor ? this.after_(values) : undefined).then(function(sink) {
+            var array = sink.array.slice(0, self.limit);
+            var last  = array[array.length - 1];
+
+            return self.Page.create({
+              array: array,
+              cursor: sink.array.length > self.limit ?
+                  self.encode_(last) :
+                  null
+            });
+          });
+    },
+
+    function toKeys_(order, desc) {
+      /**
+       * @param {any} order
+       * @param {Boolean} desc
+       */
+      if ( foam.mlang.order.Desc.isInstance(order) ) {
+        return this.toKeys_(order.arg1, ! desc);
+      }
+
+      if ( foam.mlang.order.ThenBy.isInstance(order) ) {
+        return this.toKeys_(order.head, desc).concat(
+            this.toKeys_(order.tail, desc));
+      }
+
+      foam.assert(foam.core.Property.isInstance(order),
+          'Can only page by Properties, DESC() and THEN_BY():', order);
+
+      return [{prop: order, desc: desc}];
+    },
+
+    function comparator_() {
+      /** Returns a Comparator which sorts by all of the keys. */
+      var M = foam.mlang.ExpressionsSingleton.create();
+      return M.THEN_BY.apply(M, this.keys_.map(function(key) {
+        return key.desc ? M.DESC(key.prop) : key.prop;
+      }));
+    },
+
+    function after_(values) {
+      /**
+       * Returns a predicate which matches the objects after the cursor with
+       * the given key values, such as, for keys k1 and ID:
+       * AND(GTE(k1, v1), OR(GT(k1, v1), AND(EQ(k1, v1), GT(ID, id)))).
+       * The leading bound lets an MDAO scan just the range of k1's index.
+       * @param {Array} values
+       */
+      var M    = foam.mlang.ExpressionsSingleton.create();
+      var keys = this.keys_;
+
+      function from(i, inclusive) {
+        var key = keys[i];
+        var cmp = key.desc ?
+            inclusive ? M.LTE : M.LT :
+            inclusive ? M.GTE : M.GT;
+        return cmp.call(M, key.prop, values[i]);
+      }
+
+      function after(i) {
+        if ( i === keys.length - 1 ) return from(i, false);
+
+        return M.OR(
+            from(i, false),
+            M.AND(M.EQ(keys[i].prop, values[i]), after(i + 1)));
+      }
+
+      return keys.length > 1 ? M.AND(from(0, true), after(0)) : after(0);
+    },
+
+    function encode_(obj) {
+      /** @param {FObject} obj */
+      return foam.json.stringify(this.keys_.map(function(key) {
+        return key.prop.f(obj);
+      }));
+    },
+
+    function decode_(cursor) {
+      /**
+       * Returns the values of the keys in cursor. Throws a
+       * foam.dao.DAOException if it isn't a cursor for this Pager's order.
+       * @param {String} cursor
+       */
+      var keys = this.keys_;
+      var values;
+
+      try {
+        values = foam.json.parseString(cursor, this.__context__);
+      } catch (x) {
+        // Reported as an invalid cursor below.
+      }
+
+      if ( ! Array.isArray(values) || values.length !== keys.length ) {
+        throw this.DAOException.create({message: 'Invalid cursor: ' + cursor});
+      }
+
+      // Restores values, such as Dates, which JSON doesn't preserve.
+      return values.map(function(v, i) {
+        var prop = keys[i].prop;
+        return prop.adapt ? prop.adapt(undefined, v, prop) : v;
+      });
+    }
+  ]
+});
@@ -0,0 +1,173 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A DAO which forwards all of its calls to a delegate DAO. It is the base
+ * class for DAO decorators, which override some methods to add behaviour.
+ *
+ * The delegate's onData events are republished by the ProxyDAO, so listeners
+ * of a decorated view are notified of changes to the underlying data. If the
+ * delegate is replaced, an onData.reset event is published.
+ *
+ * The ProxyDAO only listens to its delegate while its own onData has
+ * listeners, so that short-lived views, like those made by where(), don't
+ * stay subscribed to the DAO they decorate. Decorators which must follow
+ * every change to the delegate override listensToDelegate_().
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'ProxyDAO',
+  implements: ['foam.dao.DAO'],
+
+  properties: [
+    {
+      /** The DAO to which calls are forwarded. */
+      name: 'delegate',
+      required: true,
+      postSet: function(old, nu) {
+        this.unsubDelegate_();
+        this.updateDelegateSub_();
+
+        if ( old ) this.onData.reset.pub();
+      }
+    },
+    {
+      /** The class of the items in the DAO. Defaults to the delegate's. */
+      name: 'of',
+      factory: function() { return this.delegate.of; }
+    }
+  ],
+
+  methods: [
+    function put(obj) {
+      /** @param {FObject} obj */
+      return this.delegate.put(obj);
+    },
+
+    function remove(obj) {
+      /** @param {FObject} obj */
+      return this.delegate.remove(obj);
+    },
+
+    function find(id) {
+      /** @param {any} id */
+      return this.delegate.find(id);
+    },
+
+    function select(sink, skip, limit, order, predicate) {
+      /**
+       * @param {foam.dao.Sink=} sink
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      return this.delegate.select(sink, skip, limit, order, predicate);
+    },
+
+    function removeAll(skip, limit, order, predicate) {
+      /**
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      return this.delegate.removeAll(skip, limit, order, predicate);
+    },
+
+    function sub() {
+      var s = this.SUPER.apply(this, arguments);
+
+      // Listeners of everything, or of onData, need the delegate's events.
+      if ( arguments.length === 1 || arguments[0] === 'onData' ) {
+        var self   = this;
+        var detach = s.detach;
+
+        s.detach = function() {
+          detach();
+          self.updateDelegateSub_();
+        };
+
+        this.updateDelegateSub_();
+      }
+
+      return s;
+    },
+
+    function detach() {
+      this.unsubDelegate_();
+      this.SUPER();
+    },
+
+    function listensToDelegate_() {
+      /**
+       * Returns whether to listen to the delegate's onData. By default, only
+       * while there are listeners to republish its events to.
+       */
+      var listeners = this.getPrivate_('listeners');
+
+      function any(l) {
+        if ( ! l ) return false;
+        if ( l.next ) return true;
+        for ( var key in l.children ) {
+          if ( any(l.children[key]) ) return true;
+        }
+        return false;
+      }
+
+      return !! listeners && ( !! listeners.next ||
+          any(listeners.children && listeners.children.onData) );
+    },
+
+    function updateDelegateSub_() {
+      /**
+       * Subscribes to, or unsubscribes from, the delegate's onData, as
+       * listensToDelegate_() decides.
+       */
+      // Read the delegate first, as its factory's postSet may subscribe.
+      var listen     = !! this.delegate && this.listensToDelegate_();
+      var subscribed = this.hasOwnPrivate_('delegateSub');
+
+      if ( listen && ! subscribed ) {
+        this.setPrivate_('delegateSub',
+            this.delegate.onData.sub(this.onDelegateData));
+      } else if ( subscribed && ! listen ) {
+        this.unsubDelegate_();
+      }
+    },
+
+    function unsubDelegate_() {
+      var sub = this.getPrivate_('delegateSub');
+
+      if ( sub ) {
+        sub.detach();
+        this.clearPrivate_('delegateSub');
+      }
+    }
+  ],
+
+  listeners: [
+    function onDelegateData(sub, on, event, obj) {
+      // Republish as our own onData event.
+      if ( event === 'reset' ) {
+        this.onData.reset.pub();
+      } else {
+        this.onData.pub(event, obj);
+      }
+    }
+  ]
+});
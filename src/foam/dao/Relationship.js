@@ -0,0 +1,332 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A Relationship links two classes through their DAOs, so that objects can
+ * navigate to related objects instead of looking up raw IDs by hand.
+ *
+ * Relationships are declared with foam.RELATIONSHIP() once both classes are
+ * defined:
+ *
+ * <pre>
+ * foam.RELATIONSHIP({
+ *   sourceModel: 'example.Department',
+ *   targetModel: 'example.Employee',
+ *   forwardName: 'employees',
+ *   inverseName: 'department'
+ * });
+ *
+ * dept.employees              // DAO of the department's employees
+ * employee.department         // the department's ID
+ * employee.department$find    // Promise of the department
+ * </pre>
+ *
+ * A '*:*' cardinality links the classes through a junction class with
+ * sourceId and targetId properties, which is defined if it doesn't already
+ * exist. Both sides then get a DAO accessor:
+ *
+ * <pre>
+ * course.students             // DAO of the course's students
+ * student.courses             // DAO of the student's courses
+ * </pre>
+ *
+ * The DAOs are imported from the context of the object, by default under
+ * the class name with a lowercase first letter and a 'DAO' suffix,
+ * ex. 'employeeDAO'. The junction DAO is named the same way, ex.
+ * 'courseStudentJunctionDAO'.
+ *
+ * The Relationship is installed as an axiom of the source class under its
+ * forwardName. Decorate the source DAO with a foam.dao.CascadeDAO to remove
+ * related objects along with their source when 'cascade' is set.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'Relationship',
+
+  requires: [
+    'foam.dao.ManyToManyRelationshipDAO',
+    'foam.dao.NotFoundException',
+    'foam.dao.RelationshipAccessor',
+    'foam.dao.RelationshipDAO'
+  ],
+
+  properties: [
+    {
+      class: 'String',
+      name: 'sourceModel',
+      required: true
+    },
+    {
+      class: 'String',
+      name: 'targetModel',
+      required: true
+    },
+    {
+      /** Name of the source's accessor for its targets. */
+      class: 'String',
+      name: 'forwardName',
+      required: true
+    },
+    {
+      /**
+       * Name of the target's property holding the source's ID, or, for
+       * '*:*' relationships, of its accessor for its sources.
+       */
+      class: 'String',
+      name: 'inverseName',
+      required: true
+    },
+    {
+      /** Either '1:*' (one-to-many) or '*:*' (many-to-many). */
+      class: 'String',
+      name: 'cardinality',
+      value: '1:*'
+    },
+    {
+      /** When true, a CascadeDAO removes targets along with their source. */
+      class: 'Boolean',
+      name: 'cascade'
+    },
+    {
+      class: 'String',
+      name: 'sourceDAOKey',
+      expression: function(sourceModel) {
+        return foam.dao.daoKey(sourceModel);
+      }
+    },
+    {
+      class: 'String',
+      name: 'targetDAOKey',
+      expression: function(targetModel) {
+        return foam.dao.daoKey(targetModel);
+      }
+    },
+    {
+      /** The junction class of a '*:*' relationship. */
+      class: 'String',
+      name: 'junctionModel',
+      expression: function(sourceModel, targetModel) {
+        return sourceModel + targetModel.split('.').pop() + 'Junction';
+      }
+    },
+    {
+      class: 'String',
+      name: 'junctionDAOKey',
+      expression: function(junctionModel) {
+        return foam.dao.daoKey(junctionModel);
+      }
+    },
+    {
+      name: 'name',
+      getter: function() { return this.forwardName; }
+    }
+  ],
+
+  methods: [
+    function init() {
+      foam.assert(this.cardinality === '1:*' || this.cardinality === '*:*',
+          'Unsupported relationship cardinality:', this.cardinality);
+
+      var self   = this;
+      var source = this.lookup_(this.sourceModel);
+      var target = this.lookup_(this.targetModel);
+      var many   = this.cardinality === '*:*';
+
+      if ( many && ! foam.lookup(this.junctionModel, true) ) {
+        var path = this.junctionModel.split('.');
+        foam.CLASS({
+          package: path.slice(0, -1).join('.'),
+          name: path[path.length - 1],
+          ids: ['sourceId', 'targetId'],
+          properties: ['sourceId', 'targetId']
+        });
+      }
+
+      var keys = many ?
+          [this.sourceDAOKey, this.targetDAOKey, this.junctionDAOKey] :
+          [this.sourceDAOKey, this.targetDAOKey];
+
+      foam.CLASS({
+        refines: source.id,
+        flags: {noWarnOnRefinesAfterCreate: true},
+        imports: this.imports_(source, keys),
+        axioms: [this]
+      });
+
+      foam.CLASS({
+        refines: target.id,
+        flags: {noWarnOnRefinesAfterCreate: true},
+        imports: this.imports_(target, keys),
+        properties: many || target.getAxiomByName(this.inverseName) ?
+            [] : [this.inverseName],
+        axioms: [
+          many ?
+            this.RelationshipAccessor.create({
+              name: this.inverseName,
+              getter: function() { return self.sourcesOf(this, this); }
+            }) :
+            this.RelationshipAccessor.create({
+              name: this.inverseName + '$find',
+              getter: function() { return self.sourceOf(this, this); }
+            })
+        ]
+      });
+    },
+
+    function installInProto(proto) {
+      /** @param {any} proto */
+      var self = this;
+      Object.defineProperty(proto, this.forwardName, {
+        get: function() { return self.targetsOf(this, this); },
+        configurable: true,
+        enumerable: false
+      });
+    },
+
+    function targetsOf(source, x) {
+      /**
+       * Returns a DAO of the targets related to source, using the DAOs
+       * found in x, which may be a context or an object importing them.
+       * @param {FObject} source
+       * @param {any} x
+       */
+      var targetDAO = this.dao_(x, this.targetDAOKey);
+
+      if ( this.cardinality === '1:*' ) {
+        return this.RelationshipDAO.create({
+          of: this.lookup_(this.targetModel),
+          delegate: targetDAO,
+          property: this.lookup_(this.targetModel)
+              .getAxiomByName(this.inverseName),
+          sourceId: source.id
+        }, x);
+      }
+
+      var junction = this.lookup_(this.junctionModel);
+      return this.ManyToManyRelationshipDAO.create({
+        of: this.lookup_(this.targetModel),
+        delegate: targetDAO,
+        junction: junction,
+        junctionDAO: this.dao_(x, this.junctionDAOKey),
+        sourceProperty: junction.SOURCE_ID,
+        targetProperty: junction.TARGET_ID,
+        sourceId: source.id
+      }, x);
+    },
+
+    function sourcesOf(target, x) {
+      /**
+       * Returns a DAO of the sources related to target. Only for '*:*'
+       * relationships.
+       * @param {FObject} target
+       * @param {any} x
+       */
+      foam.assert(this.cardinality === '*:*',
+          'sourcesOf() requires a *:* relationship.');
+
+      var junction = this.lookup_(this.junctionModel);
+      return this.ManyToManyRelationshipDAO.create({
+        of: this.lookup_(this.sourceModel),
+        delegate: this.dao_(x, this.sourceDAOKey),
+        junction: junction,
+        junctionDAO: this.dao_(x, this.junctionDAOKey),
+        sourceProperty: junction.TARGET_ID,
+        targetProperty: junction.SOURCE_ID,
+        sourceId: target.id
+      }, x);
+    },
+
+    function sourceOf(target, x) {
+      /**
+       * Returns a Promise of the source of target, or null if it has none.
+       * Rejects with a foam.dao.NotFoundException if target refers to a
+       * source which isn't in the source DAO. Only for '1:*' relationships.
+       * @param {FObject} target
+       * @param {any} x
+       */
+      var self = this;
+      var id   = target[this.inverseName];
+      if ( id === undefined || id === null ) return Promise.resolve(null);
+
+      return this.dao_(x, this.sourceDAOKey).find(id).then(function(source) {
+        if ( ! source ) throw self.NotFoundException.create({id: id});
+        return source;
+      });
+    },
+
+    function dao_(x, key) {
+      /**
+       * @param {any} x
+       * @param {String} key
+       */
+      var dao = x[key];
+      foam.assert(dao, 'Relationship', this.forwardName,
+          'is missing DAO:', key);
+      return dao;
+    },
+
+    function imports_(cls, keys) {
+      /**
+       * Returns the optional imports of keys which cls doesn't yet have.
+       * @param {any} cls
+       * @param {Array} keys
+       */
+      return keys.filter(function(key) {
+        return ! cls.getAxiomByName(key);
+      }).map(function(key) { return key + '?'; });
+    },
+
+    function lookup_(id) {
+      /** @param {String} id */
+      var cls = foam.lookup(id, true);
+      foam.assert(cls, 'Unknown class in relationship:', id);
+      return cls;
+    }
+  ]
+});
+
+
+/**
+ * A read-only accessor installed by a Relationship on the related class.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'RelationshipAccessor',
+
+  properties: ['name', 'getter'],
+
+  methods: [
+    function installInProto(proto) {
+      /** @param {any} proto */
+      Object.defineProperty(proto, this.name, {
+        get: this.getter,
+        configurable: true,
+        enumerable: false
+      });
+    }
+  ]
+});
+
+
+/**
+ * Declares a Relationship between two classes.
+ * See foam.dao.Relationship.
+ * @param {Object} m
+ */
+foam.RELATIONSHIP = function RELATIONSHIP(m) {
+  return foam.dao.Relationship.create(m);
+};
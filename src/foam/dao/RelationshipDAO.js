@@ -0,0 +1,52 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * The targets of a one-to-many Relationship: a view of the target DAO
+ * containing the objects whose inverse property holds the source's ID.
+ *
+ * Objects put into the view are linked to the source first.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'RelationshipDAO',
+  extends: 'foam.dao.FilteredDAO',
+
+  properties: [
+    {
+      /** The target's property holding the source's ID. */
+      name: 'property',
+      required: true
+    },
+    {
+      /** The ID of the source object. */
+      name: 'sourceId'
+    },
+    {
+      name: 'predicate',
+      factory: function() { return this.EQ(this.property, this.sourceId); }
+    }
+  ],
+
+  methods: [
+    function put(obj) {
+      /** @param {FObject} obj */
+      this.property.set(obj, this.sourceId);
+      return this.delegate.put(obj);
+    }
+  ]
+});
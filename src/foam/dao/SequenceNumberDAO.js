@@ -0,0 +1,113 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A DAO decorator which assigns increasing integer IDs to objects put without
+ * one.
+ *
+ * On startup it finds the largest existing value in the delegate, and starts
+ * counting from there. Objects put with a value already set keep it, but the
+ * sequence skips past it. With reassign set, every object put is numbered
+ * instead, so the numbers record the order of the puts.
+ *
+ * The value is assigned to <tt>property</tt>, which defaults to the ID. For
+ * classes with a MultiPartID, it must be set to one of the ID's parts, or
+ * creating the DAO throws:
+ *
+ * <pre>
+ * foam.dao.SequenceNumberDAO.create({
+ *   delegate: orderLineDAO,
+ *   property: OrderLine.LINE_NUMBER
+ * });
+ * </pre>
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'SequenceNumberDAO',
+  extends: 'foam.dao.ProxyDAO',
+
+  requires: [
+    'foam.mlang.sink.Max'
+  ],
+
+  properties: [
+    {
+      /** The Property which is assigned sequence numbers. */
+      name: 'property',
+      factory: function() {
+        return foam.dao.classOf(this.of, this.__context__).ID;
+      }
+    },
+    {
+      /** The next number to assign. */
+      class: 'Int',
+      name: 'value',
+      value: 1
+    },
+    {
+      /** Assign the next number to every object put, even if it has one. */
+      class: 'Boolean',
+      name: 'reassign'
+    },
+    {
+      /**
+       * A Promise which resolves once <tt>value</tt> has been moved past the
+       * largest value in the delegate. Cleared if the select fails, so that
+       * the next put retries it.
+       */
+      name: 'calcDelegateMax_',
+      factory: function() {
+        var self = this;
+
+        return this.delegate.select(
+            this.Max.create({arg1: this.property})).then(function(max) {
+          if ( typeof max.value === 'number' && max.value >= self.value ) {
+            self.value = max.value + 1;
+          }
+        }, function(err) {
+          self.clearProperty('calcDelegateMax_');
+          throw err;
+        });
+      }
+    }
+  ],
+
+  methods: [
+    function init() {
+      this.SUPER();
+      foam.dao.assertAssignable(this.property, 'SequenceNumberDAO');
+    },
+
+    function put(obj) {
+      /** @param {FObject} obj */
+      var self = this;
+
+      return this.calcDelegateMax_.then(function() {
+        var prop = self.property;
+        var v    = prop.f(obj);
+
+        if ( ! v || self.reassign ) {
+          prop.set(obj, self.value++);
+        } else if ( typeof v === 'number' && v >= self.value ) {
+          self.value = v + 1;
+        }
+
+        return self.delegate.put(obj);
+      });
+    }
+  ]
+});
@@ -17,9 +17,13 @@
 
 /**
  * A Sink is a destination for results retrieved from a DAO by
- * <tt>select()</tt>. The DAO will call <tt>sink.put(obj)</tt> for each
+ * <tt>select()</tt>. The DAO will call <tt>sink.put(obj, sub)</tt> for each
  * <tt>obj</tt> in the query. When all the results have been sent, it calls
  * <tt>eof()</tt>.
+ *
+ * A sink which doesn't need the rest of the results can call
+ * <tt>sub.detach()</tt>, like a listener detaching from a topic. The DAO
+ * then stops sending results and calls <tt>eof()</tt>.
  */
 foam.INTERFACE({
   package: 'foam.dao',
@@ -27,12 +31,18 @@ foam.INTERFACE({
 
   methods: [
     {
-      /** Called by <tt>DAO.select()</tt> for each object in the DAO. */
+      /**
+       * Called by <tt>DAO.select()</tt> for each object in the DAO, with a
+       * subscription whose <tt>detach()</tt> stops the select.
+       */
       name: 'put',
       returns: '',
       args: [
         {
           name: 'obj',
+        },
+        {
+          name: 'sub'
         }
       ],
       code: function() {}
@@ -47,6 +57,9 @@ foam.INTERFACE({
       args: [
         {
           name: 'obj',
+        },
+        {
+          name: 'sub'
         }
       ],
       code: function() {}
@@ -65,7 +78,8 @@ foam.INTERFACE({
     {
       /**
        * Called by the DAO if there's an error, such as insufficient
-       * credentials.
+       * credentials, or an exception thrown by this sink, with a
+       * foam.dao.DAOException. No eof() follows.
        */
       name: 'error',
       returns: '',
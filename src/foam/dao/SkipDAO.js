@@ -0,0 +1,69 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A view of a DAO without its first <tt>skip_</tt> items. Usually created by
+ * calling <tt>dao.skip(n)</tt>.
+ *
+ * Changes to the delegate are published as onData.reset events.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'SkipDAO',
+  extends: 'foam.dao.ProxyDAO',
+
+  properties: [
+    {
+      /** Named skip_ to avoid conflicting with the skip() method. */
+      class: 'Int',
+      name: 'skip_'
+    }
+  ],
+
+  methods: [
+    function select(sink, skip, limit, order, predicate) {
+      /**
+       * @param {foam.dao.Sink=} sink
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      return this.delegate.select(
+          sink, ( skip || 0 ) + this.skip_, limit, order, predicate);
+    },
+
+    function removeAll(skip, limit, order, predicate) {
+      /**
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      return this.delegate.removeAll(
+          ( skip || 0 ) + this.skip_, limit, order, predicate);
+    }
+  ],
+
+  listeners: [
+    function onDelegateData() {
+      // A single put or remove can shift items into or out of this view, so
+      // listeners are told to rebuild instead.
+      this.onData.reset.pub();
+    }
+  ]
+});
@@ -0,0 +1,44 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Passed by a DAO to <tt>sink.put(obj, sub)</tt> during a select(). Calling
+ * <tt>sub.detach()</tt> asks the DAO to stop sending results, as detaching
+ * from a topic stops its events.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'Subscription',
+
+  properties: [
+    {
+      /** The DAO running the select. */
+      name: 'src'
+    },
+    {
+      class: 'Boolean',
+      name: 'detached'
+    }
+  ],
+
+  methods: [
+    function detach() {
+      this.detached = true;
+      this.SUPER();
+    }
+  ]
+});
@@ -0,0 +1,555 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A SyncDAO's saved state: either a local change not yet pushed, or, for the
+ * record with an empty id, the sync marker.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'SyncRecord',
+
+  properties: [
+    {
+      /** The key of the changed object's ID, or '' for the marker. */
+      class: 'String',
+      name: 'id'
+    },
+    {
+      /** The ID of the changed object. */
+      name: 'objectId'
+    },
+    {
+      /** The version the change was made to, or null for a new object. */
+      name: 'base',
+      value: null
+    },
+    {
+      /** The version of the change. */
+      name: 'version',
+      value: null
+    },
+    {
+      /** True if the change removed the object. */
+      class: 'Boolean',
+      name: 'removed'
+    },
+    {
+      /** The sync marker, in the marker's record. */
+      name: 'marker',
+      value: null
+    }
+  ]
+});
+
+/**
+ * A DAO decorator which keeps its delegate, a local DAO, in sync with a
+ * remote DAO.
+ *
+ * Puts and removes are applied locally at once, and remembered until
+ * sync() pushes them to remoteDAO, so the DAO keeps working while the
+ * remote one is unreachable. sync() first pulls the remote objects changed
+ * since the last sync, then pushes the local changes. If it fails, nothing
+ * is lost, and the next sync() carries on. The unpushed changes and the
+ * sync marker are saved in syncRecordDAO; make it persistent, for example
+ * with a JournalDAO, to resume after a restart.
+ *
+ * Each object carries a last-modified version, in versionProperty, which
+ * the SyncDAO sets to the current time on every local change, and a sequence
+ * number, in sequenceProperty, which the remote DAO assigns when the change
+ * reaches it. Versions detect and settle conflicts, but can't be used to
+ * pull, since a change made offline may be pushed long after newer ones.
+ * Instead, the largest sequence number pulled is kept as the sync marker,
+ * and the next sync() pulls the objects with larger ones. The first sync(),
+ * and resync(), copy the whole remote DAO instead, and publish
+ * onData.reset. Objects removed remotely are only removed locally by a full
+ * resync.
+ *
+ * The remote DAO must assign a new sequence number to every object put,
+ * whoever puts it, which a SequenceNumberDAO with reassign set does:
+ *
+ * <pre>
+ * // On the server:
+ * var noteDAO = foam.dao.SequenceNumberDAO.create({
+ *   delegate: foam.dao.MDAO.create({of: Note}),
+ *   property: Note.SYNC_SEQUENCE,
+ *   reassign: true
+ * });
+ * </pre>
+ *
+ * An object changed both locally and remotely since the last sync is a
+ * conflict, settled by conflictStrategy:
+ *
+ * <ul>
+ * <li>'lastWriterWins': the most recent change is kept (the default)
+ * <li>'keepLocal': the local change is kept
+ * <li>'keepRemote': the remote change is kept
+ * <li>a function(local, remote, localVersion) returning the merged object,
+ *     or a Promise of it. local is null if it was removed, and returning null
+ *     removes the object.
+ * </ul>
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'SyncDAO',
+  extends: 'foam.dao.ProxyDAO',
+
+  implements: ['foam.mlang.Expressions'],
+
+  requires: [
+    'foam.dao.ArraySink',
+    'foam.dao.MDAO',
+    'foam.dao.SyncRecord'
+  ],
+
+  properties: [
+    {
+      /** The DAO to keep in sync with. */
+      name: 'remoteDAO',
+      required: true
+    },
+    {
+      /** The Property holding each object's last-modified version. */
+      name: 'versionProperty',
+      factory: function() {
+        return foam.dao.classOf(this.of, this.__context__)
+            .getAxiomByName('version');
+      }
+    },
+    {
+      /**
+       * The Property holding the sequence number assigned to each object by
+       * remoteDAO when it was last put there.
+       */
+      name: 'sequenceProperty',
+      factory: function() {
+        return foam.dao.classOf(this.of, this.__context__)
+            .getAxiomByName('syncSequence');
+      }
+    },
+    {
+      /** The name of a built-in conflict strategy, or a merge function. */
+      name: 'conflictStrategy',
+      value: 'lastWriterWins'
+    },
+    {
+      /**
+       * The DAO of SyncRecords in which the unpushed changes and the marker
+       * are saved.
+       */
+      name: 'syncRecordDAO',
+      factory: function() {
+        return this.MDAO.create({of: this.SyncRecord});
+      }
+    },
+    {
+      /**
+       * The largest sequence number pulled from remoteDAO, or null before the
+       * first sync. Restored from syncRecordDAO.
+       */
+      name: 'marker',
+      value: null
+    },
+    {
+      /** Map of the SyncRecords of the unpushed changes, by their id. */
+      name: 'pending_',
+      factory: function() { return {}; }
+    },
+    {
+      /**
+       * A Promise which resolves once the marker and pending_ have been
+       * loaded from syncRecordDAO.
+       */
+      name: 'loaded_',
+      factory: function() {
+        var self = this;
+
+        return this.syncRecordDAO.select().then(function(sink) {
+          sink.array.forEach(function(r) {
+            if ( r.id ) {
+              self.pending_[r.id] = r;
+            } else {
+              self.marker = r.marker;
+            }
+          });
+        });
+      }
+    },
+    {
+      /** The sync() in progress, if any. */
+      name: 'syncing_',
+      value: null
+    },
+    {
+      /** Set during a full resync, which publishes a single reset. */
+      class: 'Boolean',
+      name: 'resyncing_'
+    }
+  ],
+
+  methods: [
+    function put(obj) {
+      /** @param {FObject} obj */
+      var self = this;
+      var prop = this.versionProperty;
+
+      return this.loaded_.then(function() {
+        return self.delegate.find(obj.id);
+      }).then(function(old) {
+        var entry = self.track_(obj.id, old);
+        prop.set(obj, self.nextVersion_(old ? prop.f(old) : 0));
+        entry.version = prop.f(obj);
+        entry.removed = false;
+        return self.save_(entry);
+      }).then(function() {
+        return self.delegate.put(obj);
+      });
+    },
+
+    function remove(obj) {
+      /** @param {FObject} obj */
+      var self = this;
+
+      return this.loaded_.then(function() {
+        return self.delegate.find(obj.id);
+      }).then(function(old) {
+        if ( ! old ) return;
+
+        var entry = self.track_(obj.id, old);
+        var saved;
+        if ( entry.base === null ) {
+          // Never pushed, so there's nothing to remove remotely.
+          saved = self.forget_(entry);
+        } else {
+          entry.version = self.nextVersion_(self.versionProperty.f(old));
+          entry.removed = true;
+          saved = self.save_(entry);
+        }
+
+        return saved.then(function() {
+          return self.delegate.remove(old);
+        });
+      });
+    },
+
+    function removeAll(skip, limit, order, predicate) {
+      /**
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      var self = this;
+      return this.delegate.select(
+          this.ArraySink.create(), skip, limit, order, predicate)
+          .then(function(sink) {
+            return self.sequence_(sink.array, function(o) {
+              return self.remove(o);
+            });
+          });
+    },
+
+    function sync() {
+      /**
+       * Pulls remote changes since the marker, or everything on the first
+       * sync, then pushes local changes. Returns a Promise which rejects if
+       * remoteDAO fails, in which case sync() can be retried later.
+       */
+      if ( this.syncing_ ) return this.syncing_;
+
+      var self = this;
+
+      return this.syncing_ = this.loaded_.then(function() {
+        return self.marker === null ? self.resync_() : self.pull_();
+      }).then(function() {
+        return self.saveMarker_();
+      }).then(function() {
+        return self.push_();
+      }).then(function() {
+        self.syncing_ = null;
+      }, function(err) {
+        self.syncing_ = null;
+        throw err;
+      });
+    },
+
+    function resync() {
+      /** Discards the marker and syncs everything. */
+      var self = this;
+      return Promise.resolve(this.syncing_).then(function() {
+        self.marker = null;
+        return self.sync();
+      });
+    },
+
+    function lastWriterWins(local, remote, localVersion) {
+      /**
+       * Keeps the most recent change, or the remote one on a tie.
+       * @param {any} local
+       * @param {FObject} remote
+       * @param {any} localVersion
+       */
+      return foam.util.compare(
+          localVersion, this.versionProperty.f(remote)) > 0 ? local : remote;
+    },
+
+    function keepLocal(local) {
+      /** @param {any} local */
+      return local;
+    },
+
+    function keepRemote(local, remote) {
+      /**
+       * @param {any} local
+       * @param {FObject} remote
+       */
+      return remote;
+    },
+
+    function resync_() {
+      /**
+       * Replaces the local objects with the remote ones, except for those
+       * with unpushed changes, which are merged, and publishes a reset.
+       */
+      var self = this;
+
+      return Promise.all([
+        this.remoteDAO.select(),
+        this.delegate.select()
+      ]).then(function(sinks) {
+        self.resyncing_ = true;
+
+        return self.sequence_(sinks[1].array, function(local) {
+          if ( ! self.pending_[self.key_(local.id)] ) {
+            return self.delegate.remove(local);
+          }
+        }).then(function() {
+          return self.sequence_(sinks[0].array, function(remote) {
+            return self.pulled_(remote);
+          });
+        });
+      }).then(function() {
+        self.resyncing_ = false;
+        self.onData.reset.pub();
+      }, function(err) {
+        self.resyncing_ = false;
+        throw err;
+      });
+    },
+
+    function pull_() {
+      /** Applies the remote objects put since the marker. */
+      var self = this;
+      var prop = this.sequenceProperty;
+
+      return this.remoteDAO
+          .where(this.GT(prop, this.marker))
+          .orderBy(prop)
+          .select()
+          .then(function(sink) {
+            return self.sequence_(sink.array, function(remote) {
+              return self.pulled_(remote);
+            });
+          });
+    },
+
+    function pulled_(remote) {
+      /**
+       * Applies a remote object locally, resolving the conflict if there is
+       * an unpushed local change to it, and advances the marker.
+       * @param {FObject} remote
+       */
+      var self     = this;
+      var sequence = this.sequenceProperty.f(remote);
+      var entry    = this.pending_[this.key_(remote.id)];
+      var done     = entry ?
+          this.resolve_(entry, remote) :
+          this.delegate.put(remote.clone());
+
+      return done.then(function() {
+        if ( self.marker === null ||
+            foam.util.compare(sequence, self.marker) > 0 ) {
+          self.marker = sequence;
+        }
+      });
+    },
+
+    function push_() {
+      /** Pushes the unpushed local changes, one at a time. */
+      var self    = this;
+      var entries = [];
+      for ( var key in this.pending_ ) entries.push(this.pending_[key]);
+
+      return this.sequence_(entries, function(entry) {
+        return self.pushOne_(entry);
+      });
+    },
+
+    function pushOne_(entry) {
+      /** @param {foam.dao.SyncRecord} entry */
+      var self    = this;
+      var prop    = this.versionProperty;
+      var version = entry.version;
+
+      return this.remoteDAO.find(entry.objectId).then(function(remote) {
+        if ( remote && ! foam.util.equals(prop.f(remote), entry.base) ) {
+          // Changed remotely since the local change was made.
+          return self.resolve_(entry, remote).then(function() {
+            if ( self.pending_[entry.id] === entry ) {
+              return self.pushOne_(entry);
+            }
+          });
+        }
+
+        var push = entry.removed ?
+            remote ? self.remoteDAO.remove(remote) : Promise.resolve() :
+            self.delegate.find(entry.objectId).then(function(local) {
+              return self.remoteDAO.put(local.clone());
+            });
+
+        return push.then(function() {
+          // Changed again locally while being pushed.
+          if ( entry.version !== version ) {
+            entry.base = version;
+            return self.save_(entry);
+          }
+          return self.forget_(entry);
+        });
+      });
+    },
+
+    function resolve_(entry, remote) {
+      /**
+       * Settles a conflict between the local change in entry and remote.
+       * @param {foam.dao.SyncRecord} entry
+       * @param {FObject} remote
+       */
+      var self = this;
+      var prop = this.versionProperty;
+
+      return this.delegate.find(entry.objectId).then(function(local) {
+        var s = self.conflictStrategy;
+        foam.assert(foam.Function.isInstance(s) ||
+            foam.Function.isInstance(self[s]),
+            'Unknown conflict strategy:', s);
+
+        var f = foam.Function.isInstance(s) ? s : self[s];
+        return Promise.all([
+          local,
+          f.call(self, entry.removed ? null : local, remote, entry.version)
+        ]);
+      }).then(function(results) {
+        var local  = results[0];
+        var winner = results[1];
+
+        if ( winner === remote ) {
+          return self.forget_(entry).then(function() {
+            return self.delegate.put(remote.clone());
+          });
+        }
+
+        entry.base = prop.f(remote);
+
+        if ( ! winner ) {
+          entry.removed = true;
+          return self.save_(entry).then(function() {
+            return local ? self.delegate.remove(local) : undefined;
+          });
+        }
+
+        // The kept or merged change must be newer than the remote one.
+        prop.set(winner, self.nextVersion_(
+            foam.util.compare(entry.version, entry.base) > 0 ?
+                entry.version :
+                entry.base));
+        entry.version = prop.f(winner);
+        entry.removed = false;
+        return self.save_(entry).then(function() {
+          return self.delegate.put(winner);
+        });
+      });
+    },
+
+    function track_(id, old) {
+      /**
+       * Returns the pending entry for id, creating one for a change to old,
+       * the current local object, if there isn't one.
+       * @param {any} id
+       * @param {any} old
+       */
+      var key = this.key_(id);
+      if ( ! this.pending_[key] ) {
+        this.pending_[key] = this.SyncRecord.create({
+          id: key,
+          objectId: id,
+          base: old ? this.versionProperty.f(old) : null
+        });
+      }
+      return this.pending_[key];
+    },
+
+    function save_(entry) {
+      /** @param {foam.dao.SyncRecord} entry */
+      return this.syncRecordDAO.put(entry);
+    },
+
+    function forget_(entry) {
+      /**
+       * Drops entry, once its change has been pushed or overridden.
+       * @param {foam.dao.SyncRecord} entry
+       */
+      delete this.pending_[entry.id];
+      return this.syncRecordDAO.remove(entry);
+    },
+
+    function saveMarker_() {
+      return this.syncRecordDAO.put(
+          this.SyncRecord.create({id: '', marker: this.marker}));
+    },
+
+    function nextVersion_(previous) {
+      /**
+       * Returns the current time, or previous + 1 if the clock is behind it.
+       * @param {any} previous
+       */
+      return Math.max(Date.now(), ( previous || 0 ) + 1);
+    },
+
+    function key_(id) {
+      /** @param {any} id */
+      return foam.String.isInstance(id) ? 's' + id : foam.json.stringify(id);
+    },
+
+    function sequence_(array, fn) {
+      /**
+       * Calls fn on each element of array, waiting for the Promise it
+       * returns before the next call.
+       * @param {Array} array
+       * @param {Function} fn
+       */
+      return array.reduce(function(p, o) {
+        return p.then(function() { return fn(o); });
+      }, Promise.resolve());
+    }
+  ],
+
+  listeners: [
+    function onDelegateData(sub, on, event, obj) {
+      if ( ! this.resyncing_ ) this.SUPER(sub, on, event, obj);
+    }
+  ]
+});
@@ -0,0 +1,98 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A DAO decorator which counts the calls made to each DAO method and records
+ * how long they take to complete, in a foam.dao.DAOStats.
+ *
+ * <pre>
+ * var dao = foam.dao.TimingDAO.create({delegate: personDAO});
+ * ...
+ * dao.stats.select.averageTime
+ * </pre>
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'TimingDAO',
+  extends: 'foam.dao.ProxyDAO',
+
+  requires: ['foam.dao.DAOStats'],
+
+  properties: [
+    {
+      name: 'stats',
+      factory: function() { return this.DAOStats.create(); }
+    }
+  ],
+
+  methods: [
+    function put(obj) {
+      /** @param {FObject} obj */
+      return this.time_('put', Date.now(), this.delegate.put(obj));
+    },
+
+    function remove(obj) {
+      /** @param {FObject} obj */
+      return this.time_('remove', Date.now(), this.delegate.remove(obj));
+    },
+
+    function find(id) {
+      /** @param {any} id */
+      return this.time_('find', Date.now(), this.delegate.find(id));
+    },
+
+    function select(sink, skip, limit, order, predicate) {
+      /**
+       * @param {foam.dao.Sink=} sink
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      return this.time_('select', Date.now(),
+          this.delegate.select(sink, skip, limit, order, predicate));
+    },
+
+    function removeAll(skip, limit, order, predicate) {
+      /**
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      return this.time_('removeAll', Date.now(),
+          this.delegate.removeAll(skip, limit, order, predicate));
+    },
+
+    function time_(name, start, promise) {
+      /**
+       * Records the call to name, started at start, once promise settles.
+       * @param {String} name
+       * @param {Number} start
+       * @param {any} promise
+       */
+      var stats = this.stats[name];
+      return promise.then(function(ret) {
+        stats.record(Date.now() - start);
+        return ret;
+      }, function(err) {
+        stats.record(Date.now() - start, true);
+        throw err;
+      });
+    }
+  ]
+});
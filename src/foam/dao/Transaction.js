@@ -0,0 +1,187 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A group of writes to a DAO which either all take effect or, on rollback(),
+ * are all undone. Usually created by calling <tt>dao.begin()</tt>:
+ *
+ * <pre>
+ * var t = dao.begin();
+ * t.put(a);
+ * t.remove(b);
+ * t.commit().then(...);
+ * </pre>
+ *
+ * This generic implementation works on any DAO. Writes are applied to the
+ * DAO as they're made, so the DAO publishes its usual events for each one,
+ * and the previous version of each object is remembered so that rollback()
+ * can restore it. If any write fails, commit() rolls the others back and
+ * rejects with the failure.
+ *
+ * DAOs which can do better, like ArrayDAO, return their own Transactions
+ * from <tt>begin()</tt>.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'Transaction',
+
+  properties: [
+    {
+      /** The DAO being written to. */
+      name: 'dao',
+      required: true
+    },
+    {
+      /** One of 'open', 'committed' or 'rolledBack'. */
+      class: 'String',
+      name: 'state',
+      value: 'open'
+    },
+    {
+      /**
+       * A Promise for the completion of the last write. Writes are chained so
+       * that they're applied in order.
+       */
+      name: 'pending_',
+      factory: function() { return Promise.resolve(); }
+    },
+    {
+      /**
+       * For each write applied so far, a map of the form
+       * {obj: <object written>, previous: <object it replaced, or null>}.
+       */
+      name: 'log_',
+      factory: function() { return []; }
+    },
+    {
+      /** The first error from a write, if any failed. */
+      name: 'error_',
+      value: null
+    }
+  ],
+
+  methods: [
+    function put(obj) {
+      /**
+       * Puts obj into the DAO as part of this transaction. Returns a Promise
+       * for the put object.
+       * @param {FObject} obj
+       */
+      var dao = this.dao;
+      return this.write_(obj, function() { return dao.put(obj); });
+    },
+
+    function remove(obj) {
+      /**
+       * Removes obj from the DAO as part of this transaction.
+       * @param {FObject} obj
+       */
+      var dao = this.dao;
+      return this.write_(obj, function() { return dao.remove(obj); });
+    },
+
+    function putAll(objs) {
+      /**
+       * Puts each of objs, in order. Returns a Promise for the array of put
+       * objects.
+       * @param {Array} objs
+       */
+      var self = this;
+      return Promise.all(objs.map(function(o) { return self.put(o); }));
+    },
+
+    function commit() {
+      /**
+       * Ends the transaction once its writes have finished. If any failed, the
+       * rest are rolled back and the returned Promise is rejected with the
+       * first failure.
+       */
+      this.assertOpen_();
+
+      var self = this;
+
+      return this.pending_.then(function() {
+        if ( self.error_ ) {
+          return self.undo_().then(function() {
+            self.state = 'rolledBack';
+            throw self.error_;
+          });
+        }
+
+        self.state = 'committed';
+      });
+    },
+
+    function rollback() {
+      /** Ends the transaction, undoing all of its writes. */
+      this.assertOpen_();
+
+      var self = this;
+
+      return this.pending_.then(function() {
+        return self.undo_();
+      }).then(function() {
+        self.state = 'rolledBack';
+      });
+    },
+
+    function write_(obj, fn) {
+      /**
+       * Queues a write of obj, made by calling fn(), remembering the object it
+       * replaces.
+       * @param {FObject} obj
+       * @param {Function} fn
+       */
+      this.assertOpen_();
+
+      var self = this;
+      var p = this.pending_.then(function() {
+        return self.dao.find(obj.id);
+      }).then(function(previous) {
+        self.log_.push({obj: obj, previous: previous});
+        return fn();
+      });
+
+      this.pending_ = p.catch(function(e) {
+        if ( ! self.error_ ) self.error_ = e;
+      });
+
+      return p;
+    },
+
+    function undo_() {
+      /** Restores each object written, most recent first. */
+      var dao  = this.dao;
+      var log  = this.log_.reverse();
+      var p    = Promise.resolve();
+
+      this.log_ = [];
+
+      log.forEach(function(u) {
+        p = p.then(function() {
+          return u.previous ? dao.put(u.previous) : dao.remove(u.obj);
+        });
+      });
+
+      return p;
+    },
+
+    function assertOpen_() {
+      foam.assert(this.state === 'open', 'Transaction is already', this.state);
+    }
+  ]
+});
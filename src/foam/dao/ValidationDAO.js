@@ -0,0 +1,80 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A DAO decorator which validates objects before putting them into its
+ * delegate.
+ *
+ * Each axiom of the object's class with a <tt>validateInstance()</tt> method,
+ * such as a <tt>required</tt> Property, is checked. If any fail, the put() is
+ * rejected with a foam.dao.ValidationException listing all of the failures,
+ * and nothing is put into the delegate. If a sink is passed to put(), the
+ * exception is also reported to its <tt>error()</tt> method.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'ValidationDAO',
+  extends: 'foam.dao.ProxyDAO',
+
+  requires: [
+    'foam.dao.ValidationException'
+  ],
+
+  methods: [
+    function put(obj, opt_sink) {
+      /**
+       * @param {FObject} obj
+       * @param {foam.dao.Sink=} opt_sink
+       */
+      var errors = this.validate_(obj);
+
+      if ( errors.length ) {
+        return this.reject_(
+            this.ValidationException.create({obj: obj, errors: errors}),
+            opt_sink);
+      }
+
+      return this.delegate.put(obj);
+    },
+
+    function validate_(obj) {
+      /**
+       * Returns an array of the failures from validating obj, in the form
+       * used by ValidationException.errors.
+       * @param {FObject} obj
+       */
+      var errors = [];
+      var as     = obj.cls_.getAxioms();
+
+      for ( var i = 0 ; i < as.length ; i++ ) {
+        var a = as[i];
+        if ( ! a.validateInstance ) continue;
+
+        try {
+          a.validateInstance(obj);
+        } catch (x) {
+          errors.push({
+            property: a.name,
+            message: x && x.message ? x.message : String(x)
+          });
+        }
+      }
+
+      return errors;
+    }
+  ]
+});
@@ -0,0 +1,54 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * The error with which a ValidationDAO rejects an invalid object. Lists every
+ * failing Property, rather than just the first.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'ValidationException',
+  extends: 'foam.dao.DAOException',
+
+  properties: [
+    {
+      class: 'String',
+      name: 'code',
+      value: 'validation'
+    },
+    {
+      /** The object which failed validation. */
+      name: 'obj'
+    },
+    {
+      /**
+       * An array with a map of the form {property: <name>, message: <String>}
+       * for each failure.
+       */
+      name: 'errors',
+      factory: function() { return []; }
+    },
+    {
+      /** A summary of the errors. */
+      class: 'String',
+      name: 'message',
+      expression: function(errors) {
+        return errors.map(function(e) { return e.message; }).join(' ');
+      }
+    }
+  ]
+});
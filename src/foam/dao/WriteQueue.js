@@ -0,0 +1,49 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Runs asynchronous writes one at a time, in the order they were queued,
+ * for DAOs which must not interleave them.
+ */
+foam.CLASS({
+  package: 'foam.dao',
+  name: 'WriteQueue',
+
+  properties: [
+    {
+      /** A Promise for the completion of the last queued write. */
+      name: 'last_',
+      factory: function() { return Promise.resolve(); }
+    }
+  ],
+
+  methods: [
+    function enqueue(fn) {
+      /**
+       * Runs fn once all previously queued writes have finished. Returns a
+       * Promise for fn's result.
+       * @param {Function} fn
+       */
+      var p = this.last_.then(fn);
+
+      // A failed write fails its own Promise, but not later writes.
+      this.last_ = p.catch(function() {});
+
+      return p;
+    }
+  ]
+});
@@ -0,0 +1,314 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+(function() {
+  // The tree is an AVL tree built from plain javascript objects rather than
+  // modeled ones, since it's on the critical path of every DAO operation.
+  // Nodes have the structure:
+  //   {key: <key>, value: <object>, height: <Int>, left: <node>, right: <node>}
+  // An empty tree is null.
+
+  function height(n) { return n ? n.height : 0; }
+
+  function update(n) {
+    n.height = Math.max(height(n.left), height(n.right)) + 1;
+    return n;
+  }
+
+  function rotateRight(n) {
+    var l = n.left;
+    n.left = l.right;
+    l.right = update(n);
+    return update(l);
+  }
+
+  function rotateLeft(n) {
+    var r = n.right;
+    n.right = r.left;
+    r.left = update(n);
+    return update(r);
+  }
+
+  function balance(n) {
+    update(n);
+    var b = height(n.left) - height(n.right);
+
+    if ( b > 1 ) {
+      if ( height(n.left.left) < height(n.left.right) ) {
+        n.left = rotateLeft(n.left);
+      }
+      return rotateRight(n);
+    }
+
+    if ( b < -1 ) {
+      if ( height(n.right.right) < height(n.right.left) ) {
+        n.right = rotateRight(n.right);
+      }
+      return rotateLeft(n);
+    }
+
+    return n;
+  }
+
+  // Returns the new root. Sets state.added if a new node was created.
+  function insert(n, key, value, compare, state) {
+    if ( ! n ) {
+      state.added = true;
+      return {key: key, value: value, height: 1, left: null, right: null};
+    }
+
+    var c = compare(key, n.key);
+
+    if ( c === 0 ) {
+      n.key   = key;
+      n.value = value;
+      return n;
+    }
+
+    if ( c < 0 ) {
+      n.left = insert(n.left, key, value, compare, state);
+    } else {
+      n.right = insert(n.right, key, value, compare, state);
+    }
+
+    return balance(n);
+  }
+
+  function removeMin(n, state) {
+    if ( ! n.left ) {
+      state.min = n;
+      return n.right;
+    }
+    n.left = removeMin(n.left, state);
+    return balance(n);
+  }
+
+  // Returns the new root. Sets state.removed if a node was removed.
+  function remove(n, key, compare, state) {
+    if ( ! n ) return null;
+
+    var c = compare(key, n.key);
+
+    if ( c < 0 ) {
+      n.left = remove(n.left, key, compare, state);
+    } else if ( c > 0 ) {
+      n.right = remove(n.right, key, compare, state);
+    } else {
+      state.removed = n.value;
+      if ( ! n.left ) return n.right;
+      if ( ! n.right ) return n.left;
+
+      // Replace this node with the smallest node of its right sub-tree.
+      var right = removeMin(n.right, state);
+      var min   = state.min;
+      min.left  = n.left;
+      min.right = right;
+      n = min;
+    }
+
+    return balance(n);
+  }
+
+  // In-order traversal of the nodes whose keys are within the range defined
+  // by aboveLow() and belowHigh(), which must be monotonic over the keys.
+  // Returns false if fn() returned false, which stops the traversal.
+  function visit(n, fn, reverse, aboveLow, belowHigh) {
+    if ( ! n ) return true;
+
+    var lo = aboveLow(n.key);
+    var hi = belowHigh(n.key);
+
+    if ( reverse ) {
+      if ( hi && ! visit(n.right, fn, reverse, aboveLow, belowHigh) ) {
+        return false;
+      }
+      if ( lo && hi && fn(n.value) === false ) return false;
+      return ! lo || visit(n.left, fn, reverse, aboveLow, belowHigh);
+    }
+
+    if ( lo && ! visit(n.left, fn, reverse, aboveLow, belowHigh) ) {
+      return false;
+    }
+    if ( lo && hi && fn(n.value) === false ) return false;
+    return ! hi || visit(n.right, fn, reverse, aboveLow, belowHigh);
+  }
+
+  function always() { return true; }
+
+
+  /**
+   * A balanced-tree index of objects, ordered by the value of a Property.
+   *
+   * If a <tt>tail</tt> Property is provided, usually the ID, then objects with
+   * equal values for <tt>prop</tt> are ordered by their <tt>tail</tt>, which
+   * allows many objects to share a value. Otherwise, values of <tt>prop</tt>
+   * must be unique, as for a primary key.
+   *
+   * Null and undefined values are ordered before all other values.
+   */
+  foam.CLASS({
+    package: 'foam.dao.index',
+    name: 'TreeIndex',
+
+    properties: [
+      {
+        /** The Property whose values order this index. */
+        name: 'prop',
+        required: true
+      },
+      {
+        /** Optional Property used to order objects with equal values. */
+        name: 'tail'
+      },
+      {
+        /** The root node of the tree. */
+        name: 'root',
+        value: null
+      },
+      {
+        /** The number of objects in the index. */
+        class: 'Int',
+        name: 'size'
+      },
+      {
+        /** Compares two keys of this index. */
+        name: 'compareKeys',
+        expression: function(prop, tail) {
+          var compareValues = this.compareValues;
+          return tail ?
+              function(k1, k2) {
+                return compareValues(prop, k1[0], k2[0]) ||
+                    compareValues(tail, k1[1], k2[1]);
+              } :
+              function(k1, k2) {
+                return compareValues(prop, k1, k2);
+              };
+        }
+      }
+    ],
+
+    methods: [
+      function compareValues(prop, v1, v2) {
+        /**
+         * Compares two values of prop, ordering null and undefined first.
+         * @param {any=} prop
+         * @param {any=} v1
+         * @param {any=} v2
+         */
+        if ( v1 === null || v1 === undefined ) {
+          return v2 === null || v2 === undefined ? 0 : -1;
+        }
+        if ( v2 === null || v2 === undefined ) return 1;
+
+        return prop.comparePropertyValues(v1, v2);
+      },
+
+      function keyOf(obj) {
+        /**
+         * Returns the key under which obj is stored.
+         * @param {any=} obj
+         */
+        return this.tail ?
+            [this.prop.f(obj), this.tail.f(obj)] :
+            this.prop.f(obj);
+      },
+
+      function valueOf(key) {
+        /**
+         * Returns the value of prop from a key.
+         * @param {any=} key
+         */
+        return this.tail ? key[0] : key;
+      },
+
+      function put(obj) {
+        /**
+         * Adds obj to the index, replacing any object with the same key.
+         * @param {any=} obj
+         */
+        var state = {added: false};
+        this.root = insert(
+            this.root, this.keyOf(obj), obj, this.compareKeys, state);
+        if ( state.added ) this.size++;
+      },
+
+      function remove(obj) {
+        /**
+         * Removes the object with obj's key. Returns the removed object, or
+         * undefined if there wasn't one.
+         * @param {any=} obj
+         */
+        return this.removeKey(this.keyOf(obj));
+      },
+
+      function removeKey(key) {
+        /** @param {any=} key */
+        var state = {removed: undefined};
+        this.root = remove(this.root, key, this.compareKeys, state);
+        if ( state.removed !== undefined ) this.size--;
+        return state.removed;
+      },
+
+      function get(key) {
+        /**
+         * Returns the object stored under key, or null.
+         * @param {any=} key
+         */
+        var compare = this.compareKeys;
+        var n = this.root;
+
+        while ( n ) {
+          var c = compare(key, n.key);
+          if ( c === 0 ) return n.value;
+          n = c < 0 ? n.left : n.right;
+        }
+
+        return null;
+      },
+
+      function forEach(fn, opt_reverse, opt_lo, opt_hi) {
+        /**
+         * Calls fn(obj) for each object in index order, or the reverse order
+         * if opt_reverse is true. Stops early, and returns false, if fn returns
+         * false.
+         *
+         * The optional bounds restrict the objects visited to those whose
+         * values of prop are within the range. Each is a map of the form
+         * {value: <value>, inclusive: <Boolean>}.
+         * @param {Function} fn
+         * @param {Boolean=} opt_reverse
+         * @param {Object=} opt_lo
+         * @param {Object=} opt_hi
+         */
+        var self = this;
+        var prop = this.prop;
+
+        var aboveLow = opt_lo ? function(key) {
+          var c = self.compareValues(prop, self.valueOf(key), opt_lo.value);
+          return opt_lo.inclusive ? c >= 0 : c > 0;
+        } : always;
+
+        var belowHigh = opt_hi ? function(key) {
+          var c = self.compareValues(prop, self.valueOf(key), opt_hi.value);
+          return opt_hi.inclusive ? c <= 0 : c < 0;
+        } : always;
+
+        return visit(this.root, fn, !! opt_reverse, aboveLow, belowHigh);
+      }
+    ]
+  });
+})();
@@ -0,0 +1,95 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+foam.LIB({
+  name: 'foam.dao.search',
+
+  methods: [
+    function textProperties(cls) {
+      /**
+       * Returns the String and StringArray properties of cls, which are
+       * searched by default.
+       * @param {Object} cls
+       */
+      return cls.getAxiomsByClass(foam.core.Property).filter(function(p) {
+        return foam.core.property.String.isInstance(p) ||
+            foam.core.property.StringArray.isInstance(p);
+      });
+    }
+  ]
+});
+
+
+/**
+ * Matches objects which contain every term of a search query in their text
+ * properties. Create one with SearchDAO.KEYWORD(), so that it uses the
+ * SearchDAO's properties and Tokenizer.
+ *
+ * A SearchDAO answers selects with a Keyword from its index, and ranks the
+ * results. Elsewhere, f() tokenizes each object.
+ */
+foam.CLASS({
+  package: 'foam.dao.search',
+  name: 'Keyword',
+  extends: 'foam.mlang.predicate.AbstractPredicate',
+
+  requires: ['foam.dao.search.Tokenizer'],
+
+  properties: [
+    {
+      /** The search query. */
+      class: 'String',
+      name: 'query'
+    },
+    {
+      /**
+       * The Properties to search. Defaults to all of the String and
+       * StringArray properties of each object.
+       */
+      name: 'searchProperties',
+      value: null
+    },
+    {
+      name: 'tokenizer',
+      factory: function() { return this.Tokenizer.create(); }
+    }
+  ],
+
+  methods: [
+    function f(o) {
+      /** @param {any=} o */
+      var terms = this.tokenizer.tokenize(this.query);
+      if ( ! terms.length ) return true;
+
+      var props = this.searchProperties ||
+          foam.dao.search.textProperties(o.cls_);
+      var found = {};
+
+      for ( var i = 0 ; i < props.length ; i++ ) {
+        var ts = this.tokenizer.tokenize(props[i].f(o));
+        for ( var j = 0 ; j < ts.length ; j++ ) found[ts[j]] = true;
+      }
+
+      return terms.every(function(t) { return found[t] === true; });
+    },
+
+    function toString() {
+      return 'KEYWORD(' + foam.json.stringify(this.query) + ')';
+    }
+  ]
+});
+
@@ -0,0 +1,349 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A DAO decorator which keeps an inverted index of the terms in the text
+ * properties of its delegate's objects, for fast keyword search:
+ *
+ * <pre>
+ * var dao = foam.dao.search.SearchDAO.create({
+ *   delegate: articleDAO,
+ *   tokenizer: foam.dao.search.Tokenizer.create({stem: true})
+ * });
+ *
+ * dao.where(dao.KEYWORD('fast search')).limit(10).select(...);
+ * </pre>
+ *
+ * A select() whose predicate is a KEYWORD(), or an AND() of one and other
+ * predicates, finds the objects containing every term of the query from the
+ * index, rather than by scanning the delegate. Unless an order is given,
+ * they are ranked by the number of times the query's terms occur in them,
+ * and, for a KEYWORD() alone, only the objects within skip and limit are
+ * fetched from the delegate.
+ *
+ * The index is built from the delegate when the SearchDAO is created, and
+ * updated from the delegate's onData events, so it also reflects changes
+ * made to the delegate directly.
+ */
+foam.CLASS({
+  package: 'foam.dao.search',
+  name: 'SearchDAO',
+  extends: 'foam.dao.ProxyDAO',
+
+  implements: ['foam.mlang.Expressions'],
+
+  requires: [
+    'foam.dao.ArrayDAO',
+    'foam.dao.ArraySink',
+    'foam.dao.search.Keyword',
+    'foam.dao.search.Tokenizer',
+    'foam.mlang.predicate.And'
+  ],
+
+  properties: [
+    {
+      /**
+       * The String and StringArray Properties to index. Defaults to all of
+       * them.
+       */
+      name: 'searchProperties',
+      factory: function() {
+        return foam.dao.search.textProperties(
+            foam.dao.classOf(this.of, this.__context__));
+      }
+    },
+    {
+      name: 'tokenizer',
+      factory: function() { return this.Tokenizer.create(); }
+    },
+    {
+      /**
+       * A Promise which resolves once the index has been built from the
+       * delegate, or rejects if that failed, in which case the next search
+       * builds it again.
+       */
+      name: 'indexed',
+      factory: function() { return this.rebuild_(); }
+    },
+    {
+      /** Map from each term to a map from object key to term count. */
+      name: 'index_',
+      factory: function() { return Object.create(null); }
+    },
+    {
+      /** Map from object key to {id, terms}, the counts of its terms. */
+      name: 'docs_',
+      factory: function() { return Object.create(null); }
+    }
+  ],
+
+  methods: [
+    function init() {
+      this.SUPER();
+
+      // Start indexing straight away.
+      this.indexed;
+    },
+
+    function KEYWORD(query) {
+      /**
+       * Returns a Keyword predicate, searching this DAO's properties with its
+       * Tokenizer.
+       * @param {String} query
+       */
+      return this.Keyword.create({
+        query: query,
+        searchProperties: this.searchProperties,
+        tokenizer: this.tokenizer
+      });
+    },
+
+    function select(sink, skip, limit, order, predicate) {
+      /**
+       * @param {foam.dao.Sink=} sink
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      var split = this.split_(predicate);
+
+      if ( ! split ) {
+        return this.delegate.select(sink, skip, limit, order, predicate);
+      }
+
+      // Without an order or another predicate, the ranking alone decides
+      // which objects are within skip and limit.
+      var ranked = ! order && ! split.rest;
+
+      var self = this;
+      return this.search_(
+          split.keyword,
+          split.rest,
+          ranked ? skip : undefined,
+          ranked ? limit : undefined).then(function(objs) {
+        // An ArrayDAO of the results takes care of order, skip and limit.
+        return self.ArrayDAO.create({of: self.of, array: objs}).select(
+            sink,
+            ranked ? undefined : skip,
+            ranked ? undefined : limit,
+            order);
+      });
+    },
+
+    function removeAll(skip, limit, order, predicate) {
+      /**
+       * @param {Number=} skip
+       * @param {Number=} limit
+       * @param {any=} order
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      if ( ! this.split_(predicate) ) {
+        return this.delegate.removeAll(skip, limit, order, predicate);
+      }
+
+      var self = this;
+      return this.select(this.ArraySink.create(), skip, limit, order, predicate)
+          .then(function(sink) {
+            return Promise.all(sink.array.map(function(o) {
+              return self.delegate.remove(o);
+            }));
+          }).then(function() {});
+    },
+
+    function split_(predicate) {
+      /**
+       * Returns {keyword, rest} if predicate is a Keyword, or an And with
+       * one, where rest is the rest of the And, or null otherwise.
+       * @param {foam.mlang.predicate.Predicate=} predicate
+       */
+      if ( this.Keyword.isInstance(predicate) ) {
+        return {keyword: predicate, rest: null};
+      }
+
+      if ( ! this.And.isInstance(predicate) ) return null;
+
+      var args = predicate.args;
+      for ( var i = 0 ; i < args.length ; i++ ) {
+        if ( this.Keyword.isInstance(args[i]) ) {
+          var rest = args.slice(0, i).concat(args.slice(i + 1));
+          return {
+            keyword: args[i],
+            rest: rest.length === 1 ? rest[0] : this.And.create({args: rest})
+          };
+        }
+      }
+
+      return null;
+    },
+
+    function search_(keyword, rest, opt_skip, opt_limit) {
+      /**
+       * Returns a Promise of the objects matching keyword, and rest if
+       * given, ranked by the total count of the keyword's terms in them.
+       * If opt_skip or opt_limit is given, only that slice of the ranking is
+       * fetched.
+       * @param {foam.dao.search.Keyword} keyword
+       * @param {foam.mlang.predicate.Predicate=} rest
+       * @param {Number=} opt_skip
+       * @param {Number=} opt_limit
+       */
+      var self  = this;
+      var start = opt_skip || 0;
+      var end   = opt_limit !== undefined && opt_limit !== null ?
+          start + opt_limit :
+          undefined;
+
+      return this.indexed.then(function() {
+        var ranked = self.rank_(self.tokenizer.tokenize(keyword.query))
+            .slice(start, end);
+
+        return Promise.all(ranked.map(function(doc) {
+          return self.delegate.find(doc.id);
+        }));
+      }).then(function(objs) {
+        return objs.filter(function(o) {
+          return o && ( ! rest || rest.f(o) );
+        });
+      });
+    },
+
+    function rank_(terms) {
+      /**
+       * Returns the {id, terms} of the indexed objects containing all of
+       * terms, or all objects if there are none, in descending order of the
+       * total count of terms.
+       * @param {Array} terms
+       */
+      var docs  = this.docs_;
+      var index = this.index_;
+
+      // Repeating a term doesn't make it count more.
+      terms = terms.filter(function(t, i) { return terms.indexOf(t) === i; });
+
+      for ( var i = 0 ; i < terms.length ; i++ ) {
+        if ( ! index[terms[i]] ) return [];
+      }
+
+      // Start from the objects containing the first term, and only keep
+      // those which contain the others too.
+      var keys = Object.keys(terms.length ? index[terms[0]] : docs).filter(
+          function(key) {
+            for ( var i = 1 ; i < terms.length ; i++ ) {
+              if ( ! index[terms[i]][key] ) return false;
+            }
+            return true;
+          });
+
+      var scores = {};
+      keys.forEach(function(key) {
+        scores[key] = 0;
+        for ( var i = 0 ; i < terms.length ; i++ ) {
+          scores[key] += docs[key].terms[terms[i]];
+        }
+      });
+
+      // Array.sort() is stable, so equal scores stay in index order.
+      return keys.sort(function(k1, k2) {
+        return scores[k2] - scores[k1];
+      }).map(function(key) { return docs[key]; });
+    },
+
+    function add_(obj) {
+      /**
+       * Indexes obj, replacing any earlier version of it.
+       * @param {FObject} obj
+       */
+      var key   = foam.json.stringify(obj.id);
+      var terms = Object.create(null);
+      var props = this.searchProperties;
+
+      this.remove_(obj);
+
+      for ( var i = 0 ; i < props.length ; i++ ) {
+        var ts = this.tokenizer.tokenize(props[i].f(obj));
+        for ( var j = 0 ; j < ts.length ; j++ ) {
+          terms[ts[j]] = ( terms[ts[j]] || 0 ) + 1;
+        }
+      }
+
+      for ( var term in terms ) {
+        var postings = this.index_[term] ||
+            ( this.index_[term] = Object.create(null) );
+        postings[key] = terms[term];
+      }
+
+      this.docs_[key] = {id: obj.id, terms: terms};
+    },
+
+    function remove_(obj) {
+      /**
+       * Removes obj from the index.
+       * @param {FObject} obj
+       */
+      var key = foam.json.stringify(obj.id);
+      var doc = this.docs_[key];
+      if ( ! doc ) return;
+
+      for ( var term in doc.terms ) delete this.index_[term][key];
+
+      delete this.docs_[key];
+    },
+
+    function rebuild_() {
+      /** Indexes the delegate's objects from scratch. */
+      var self = this;
+
+      this.index_ = Object.create(null);
+      this.docs_  = Object.create(null);
+
+      var p = this.delegate.select().then(function(sink) {
+        sink.array.forEach(function(o) { self.add_(o); });
+      });
+
+      // A failure is reported to the searches waiting on it, if any, rather
+      // than going unhandled here. Clearing indexed makes the next search
+      // rebuild the index.
+      p.catch(function() {
+        if ( self.hasOwnProperty('indexed') && self.indexed === p ) {
+          self.clearProperty('indexed');
+        }
+      });
+
+      return p;
+    },
+
+    function listensToDelegate_() {
+      /** The index must follow every change to the delegate. */
+      return true;
+    }
+  ],
+
+  listeners: [
+    function onDelegateData(sub, on, event, obj) {
+      if ( event === 'put' ) {
+        this.add_(obj);
+      } else if ( event === 'remove' ) {
+        this.remove_(obj);
+      } else if ( event === 'reset' ) {
+        this.indexed = this.rebuild_();
+      }
+
+      this.SUPER(sub, on, event, obj);
+    }
+  ]
+});
@@ -0,0 +1,78 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Splits text into the terms indexed and searched for by a
+ * foam.dao.search.SearchDAO: runs of letters and digits, lower-cased, and
+ * optionally stemmed.
+ */
+foam.CLASS({
+  package: 'foam.dao.search',
+  name: 'Tokenizer',
+
+  properties: [
+    {
+      /**
+       * Reduce words to their stems, so that 'matches' finds 'matching'.
+       * See stemWord().
+       */
+      class: 'Boolean',
+      name: 'stem'
+    }
+  ],
+
+  methods: [
+    function tokenize(text) {
+      /**
+       * Returns the terms in text, a String or an Array of Strings.
+       * @param {any=} text
+       */
+      if ( foam.Array.isInstance(text) ) text = text.join(' ');
+      if ( ! text ) return [];
+
+      var words = String(text).toLowerCase().split(/[^a-z0-9\u00c0-\uffff]+/);
+      var terms = [];
+
+      for ( var i = 0 ; i < words.length ; i++ ) {
+        var w = words[i];
+        if ( w ) terms.push(this.stem ? this.stemWord(w) : w);
+      }
+
+      return terms;
+    },
+
+    function stemWord(word) {
+      /**
+       * A light English stemmer, which strips plural, '-ing' and '-ed'
+       * endings. Override for other languages, or a more thorough stemmer.
+       * @param {String} word
+       */
+      if ( word.length <= 3 ) return word;
+
+      if ( word.endsWith('sses') ) return word.slice(0, -2);
+      if ( word.endsWith('ies') ) return word.slice(0, -3) + 'y';
+      if ( /(ch|sh|x|z)es$/.test(word) ) return word.slice(0, -2);
+      if ( word.endsWith('ing') && word.length > 5 ) return word.slice(0, -3);
+      if ( word.endsWith('ed') && word.length > 4 ) return word.slice(0, -2);
+      if ( word.endsWith('s') && ! /(ss|us|is)$/.test(word) ) {
+        return word.slice(0, -1);
+      }
+
+      return word;
+    }
+  ]
+});
@@ -0,0 +1,116 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Conversion of FObjects to and from JSON.
+ *
+ * FObjects are output as JSON objects with a <tt>class</tt> key holding the
+ * id of their class, plus a key for each Property which has been set.
+ * Property values are converted recursively, and functions are dropped.
+ *
+ * <pre>
+ * var s = foam.json.stringify(example.Person.create({name: 'Kevin'}));
+ * // s === '{"class":"example.Person","name":"Kevin"}'
+ * var p = foam.json.parseString(s);
+ * </pre>
+ */
+foam.LIB({
+  name: 'foam.json',
+
+  methods: [
+    function objectify(o) {
+      /**
+       * Returns a copy of o made only of plain JSON-compatible values.
+       * @param {any=} o
+       */
+      if ( foam.core.FObject.isInstance(o) ) {
+        var m     = {class: o.cls_.id};
+        var props = o.cls_.getAxiomsByClass(foam.core.Property);
+
+        for ( var i = 0 ; i < props.length ; i++ ) {
+          var name = props[i].name;
+          if ( o.hasOwnProperty(name) ) {
+            var v = foam.json.objectify(o[name]);
+            if ( v !== undefined ) m[name] = v;
+          }
+        }
+
+        return m;
+      }
+
+      if ( Array.isArray(o) ) {
+        return o.map(function(e) { return foam.json.objectify(e); });
+      }
+
+      if ( foam.Function.isInstance(o) ) return undefined;
+
+      if ( o !== null && typeof o === 'object' && ! ( o instanceof Date ) ) {
+        var copy = {};
+        for ( var key in o ) {
+          var value = foam.json.objectify(o[key]);
+          if ( value !== undefined ) copy[key] = value;
+        }
+        return copy;
+      }
+
+      return o;
+    },
+
+    function stringify(o) {
+      /**
+       * Returns the JSON string for o.
+       * @param {any=} o
+       */
+      return JSON.stringify(foam.json.objectify(o));
+    },
+
+    function parse(o, opt_ctx) {
+      /**
+       * Returns the value represented by the plain JSON value o, with
+       * objects that have a <tt>class</tt> key created as instances of that
+       * class. Classes are looked up, and created, in opt_ctx, which defaults
+       * to the global context.
+       * @param {any=} o
+       * @param {Object=} opt_ctx
+       */
+      if ( Array.isArray(o) ) {
+        return o.map(function(e) { return foam.json.parse(e, opt_ctx); });
+      }
+
+      if ( o === null || typeof o !== 'object' ) return o;
+
+      var args = {};
+      for ( var key in o ) {
+        if ( key !== 'class' ) args[key] = foam.json.parse(o[key], opt_ctx);
+      }
+
+      if ( typeof o.class !== 'string' ) return args;
+
+      var cls = ( opt_ctx || foam.__context__ ).lookup(o.class);
+      return cls.create(args, opt_ctx);
+    },
+
+    function parseString(s, opt_ctx) {
+      /**
+       * Parses a JSON string made by stringify().
+       * @param {String} s
+       * @param {Object=} opt_ctx
+       */
+      return foam.json.parse(JSON.parse(s), opt_ctx);
+    }
+  ]
+});
@@ -0,0 +1,930 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+  mLang is FOAM's modeled query language.
+
+  Queries are built from modeled Expressions (Exprs) and Predicates, which
+  are regular FObjects, so they can be compared, cloned and inspected like
+  any other data. Properties are Exprs, so they can be used directly as
+  operands:
+<pre>
+  var M = foam.mlang.ExpressionsSingleton.create();
+
+  dao.select(sink, M.AND(
+      M.GT(Person.AGE, 18),
+      M.STARTS_WITH(Person.NAME, 'K')));
+</pre>
+  Any non-Expr operand, like the 18 or 'K' above, is adapted into a
+  foam.mlang.Constant.
+*/
+
+/** An Expr is anything which can be evaluated against an object. */
+foam.INTERFACE({
+  package: 'foam.mlang',
+  name: 'Expr',
+
+  methods: [
+    {
+      /** Evaluates this Expr against the supplied object. */
+      name: 'f',
+      returns: 'any',
+      args: [
+        {
+          name: 'obj'
+        }
+      ]
+    }
+  ]
+});
+
+
+/** A Predicate is an Expr which evaluates to a boolean. */
+foam.INTERFACE({
+  package: 'foam.mlang.predicate',
+  name: 'Predicate',
+
+  methods: [
+    {
+      /** Returns true iff the supplied object matches this Predicate. */
+      name: 'f',
+      returns: 'Boolean',
+      args: [
+        {
+          name: 'obj'
+        }
+      ]
+    },
+    {
+      /**
+       * Returns a simplified, but equivalent, version of this Predicate.
+       * May return this Predicate if it can't be simplified.
+       */
+      name: 'partialEval',
+      returns: 'foam.mlang.predicate.Predicate',
+      args: []
+    }
+  ]
+});
+
+
+/** Properties are Exprs which evaluate to their value on the object. */
+foam.CLASS({
+  refines: 'foam.core.Property',
+  flags: {noWarnOnRefinesAfterCreate: true},
+
+  implements: ['foam.mlang.Expr'],
+
+  methods: [
+    function f(o) {
+      /** @param {any} o */
+      return o[this.name];
+    }
+  ]
+});
+
+
+/** An Expr whose value is fixed. */
+foam.CLASS({
+  package: 'foam.mlang',
+  name: 'Constant',
+
+  implements: ['foam.mlang.Expr'],
+
+  properties: [
+    {
+      /** The value returned for every object. */
+      name: 'value'
+    }
+  ],
+
+  methods: [
+    function f() { return this.value; },
+
+    function toString() {
+      return foam.String.isInstance(this.value) ?
+          '"' + this.value + '"' :
+          String(this.value);
+    }
+  ]
+});
+
+
+/**
+ * A Property whose value is an Expr. Values which aren't Exprs are adapted
+ * into Constants.
+ */
+foam.CLASS({
+  package: 'foam.mlang',
+  name: 'ExprProperty',
+  extends: 'Property',
+
+  properties: [
+    {
+      name: 'adapt',
+      value: function(_, o) {
+        return foam.mlang.Expr.isInstance(o) ?
+            o :
+            foam.mlang.Constant.create({value: o});
+      }
+    },
+    {
+      name: 'comparePropertyValues',
+      value: function(o1, o2) {
+        return foam.core.FObject.isInstance(o1) ?
+            o1.compareTo(o2) :
+            foam.util.compare(o1, o2);
+      }
+    }
+  ],
+
+  methods: [
+    function cloneProperty(value, cloneMap) {
+      /**
+       * Properties are shared rather than cloned, since they're axioms of
+       * their class.
+       * @param {any=} value
+       * @param {Object} cloneMap
+       */
+      cloneMap[this.name] = foam.core.Property.isInstance(value) ?
+          value :
+          value.clone();
+    }
+  ]
+});
+
+
+/** Base class for Predicates. */
+foam.CLASS({
+  package: 'foam.mlang.predicate',
+  name: 'AbstractPredicate',
+  abstract: true,
+
+  implements: ['foam.mlang.predicate.Predicate'],
+
+  methods: [
+    function f() {
+      throw new Error('Predicate ' + this.cls_.id + ' doesn\'t implement f().');
+    },
+
+    function partialEval() {
+      return this;
+    },
+
+    function toString() {
+      return foam.String.constantize(this.cls_.name);
+    }
+  ]
+});
+
+
+/** A Predicate which matches every object. */
+foam.CLASS({
+  package: 'foam.mlang.predicate',
+  name: 'True',
+  extends: 'foam.mlang.predicate.AbstractPredicate',
+
+  axioms: [foam.pattern.Singleton.create()],
+
+  methods: [
+    function f() { return true; }
+  ]
+});
+
+
+/** A Predicate which matches no objects. */
+foam.CLASS({
+  package: 'foam.mlang.predicate',
+  name: 'False',
+  extends: 'foam.mlang.predicate.AbstractPredicate',
+
+  axioms: [foam.pattern.Singleton.create()],
+
+  methods: [
+    function f() { return false; }
+  ]
+});
+
+
+/** Base class for Predicates which take a single Expr argument. */
+foam.CLASS({
+  package: 'foam.mlang.predicate',
+  name: 'Unary',
+  extends: 'foam.mlang.predicate.AbstractPredicate',
+  abstract: true,
+
+  properties: [
+    {
+      class: 'foam.mlang.ExprProperty',
+      name: 'arg1'
+    }
+  ],
+
+  methods: [
+    function toString() {
+      return this.SUPER() + '(' + this.arg1.toString() + ')';
+    }
+  ]
+});
+
+
+/** Base class for Predicates which compare two Exprs. */
+foam.CLASS({
+  package: 'foam.mlang.predicate',
+  name: 'Binary',
+  extends: 'foam.mlang.predicate.AbstractPredicate',
+  abstract: true,
+
+  properties: [
+    {
+      class: 'foam.mlang.ExprProperty',
+      name: 'arg1'
+    },
+    {
+      class: 'foam.mlang.ExprProperty',
+      name: 'arg2'
+    }
+  ],
+
+  methods: [
+    function partialEval() {
+      // Comparisons of two Constants can be evaluated now.
+      if ( foam.mlang.Constant.isInstance(this.arg1) &&
+           foam.mlang.Constant.isInstance(this.arg2) ) {
+        return this.f() ?
+            foam.mlang.predicate.True.create() :
+            foam.mlang.predicate.False.create();
+      }
+
+      return this;
+    },
+
+    function toString() {
+      return this.SUPER() + '(' + this.arg1.toString() + ', ' +
+          this.arg2.toString() + ')';
+    }
+  ]
+});
+
+
+/** Base class for Predicates which combine any number of Predicates. */
+foam.CLASS({
+  package: 'foam.mlang.predicate',
+  name: 'Nary',
+  extends: 'foam.mlang.predicate.AbstractPredicate',
+  abstract: true,
+
+  properties: [
+    {
+      class: 'FObjectArray',
+      of: 'foam.mlang.predicate.Predicate',
+      name: 'args',
+      adaptArrayElement: function(o) {
+        foam.assert(foam.mlang.predicate.Predicate.isInstance(o),
+            'Argument is not a Predicate:', o);
+        return o;
+      },
+      comparePropertyValues: function(a1, a2) {
+        if ( a1.length !== a2.length ) return a1.length < a2.length ? -1 : 1;
+
+        for ( var i = 0 ; i < a1.length ; i++ ) {
+          var c = a1[i].compareTo(a2[i]);
+          if ( c ) return c;
+        }
+        return 0;
+      }
+    }
+  ],
+
+  methods: [
+    function toString() {
+      return this.SUPER() + '(' + this.args.map(function(a) {
+        return a.toString();
+      }).join(', ') + ')';
+    }
+  ]
+});
+
+
+/** Matches objects which match all of its arguments. */
+foam.CLASS({
+  package: 'foam.mlang.predicate',
+  name: 'And',
+  extends: 'foam.mlang.predicate.Nary',
+
+  methods: [
+    function f(o) {
+      /** @param {any} o */
+      for ( var i = 0 ; i < this.args.length ; i++ ) {
+        if ( ! this.args[i].f(o) ) return false;
+      }
+      return true;
+    },
+
+    function partialEval() {
+      var TRUE  = foam.mlang.predicate.True.create();
+      var FALSE = foam.mlang.predicate.False.create();
+      var args  = [];
+
+      for ( var i = 0 ; i < this.args.length ; i++ ) {
+        var a = this.args[i].partialEval();
+
+        if ( a === FALSE ) return FALSE;
+
+        // Flatten nested ANDs, and drop TRUEs, which don't affect the result.
+        if ( foam.mlang.predicate.And.isInstance(a) ) {
+          args.push.apply(args, a.args);
+        } else if ( a !== TRUE ) {
+          args.push(a);
+        }
+      }
+
+      if ( args.length === 0 ) return TRUE;
+      if ( args.length === 1 ) return args[0];
+
+      return this.cls_.create({args: args});
+    }
+  ]
+});
+
+
+/** Matches objects which match any of its arguments. */
+foam.CLASS({
+  package: 'foam.mlang.predicate',
+  name: 'Or',
+  extends: 'foam.mlang.predicate.Nary',
+
+  methods: [
+    function f(o) {
+      /** @param {any} o */
+      for ( var i = 0 ; i < this.args.length ; i++ ) {
+        if ( this.args[i].f(o) ) return true;
+      }
+      return false;
+    },
+
+    function partialEval() {
+      var TRUE  = foam.mlang.predicate.True.create();
+      var FALSE = foam.mlang.predicate.False.create();
+      var args  = [];
+
+      for ( var i = 0 ; i < this.args.length ; i++ ) {
+        var a = this.args[i].partialEval();
+
+        if ( a === TRUE ) return TRUE;
+
+        // Flatten nested ORs, and drop FALSEs, which don't affect the result.
+        if ( foam.mlang.predicate.Or.isInstance(a) ) {
+          args.push.apply(args, a.args);
+        } else if ( a !== FALSE ) {
+          args.push(a);
+        }
+      }
+
+      if ( args.length === 0 ) return FALSE;
+      if ( args.length === 1 ) return args[0];
+
+      return this.cls_.create({args: args});
+    }
+  ]
+});
+
+
+/** Matches objects which don't match its argument. */
+foam.CLASS({
+  package: 'foam.mlang.predicate',
+  name: 'Not',
+  extends: 'foam.mlang.predicate.AbstractPredicate',
+
+  properties: [
+    {
+      name: 'arg1',
+      assertValue: function(o) {
+        foam.assert(foam.mlang.predicate.Predicate.isInstance(o),
+            'Argument to NOT() is not a Predicate:', o);
+      },
+      comparePropertyValues: function(o1, o2) { return o1.compareTo(o2); }
+    }
+  ],
+
+  methods: [
+    function f(o) {
+      /** @param {any} o */
+      return ! this.arg1.f(o);
+    },
+
+    function partialEval() {
+      var a = this.arg1.partialEval();
+
+      if ( foam.mlang.predicate.True.isInstance(a) ) {
+        return foam.mlang.predicate.False.create();
+      }
+      if ( foam.mlang.predicate.False.isInstance(a) ) {
+        return foam.mlang.predicate.True.create();
+      }
+      if ( foam.mlang.predicate.Not.isInstance(a) ) return a.arg1;
+
+      return a === this.arg1 ? this : this.cls_.create({arg1: a});
+    },
+
+    function toString() {
+      return 'NOT(' + this.arg1.toString() + ')';
+    }
+  ]
+});
+
+
+/** Matches when arg1 is equal to arg2. */
+foam.CLASS({
+  package: 'foam.mlang.predicate',
+  name: 'Eq',
+  extends: 'foam.mlang.predicate.Binary',
+
+  methods: [
+    function f(o) {
+      /** @param {any=} o */
+      return foam.util.equals(this.arg1.f(o), this.arg2.f(o));
+    }
+  ]
+});
+
+
+/** Matches when arg1 is not equal to arg2. */
+foam.CLASS({
+  package: 'foam.mlang.predicate',
+  name: 'Neq',
+  extends: 'foam.mlang.predicate.Binary',
+
+  methods: [
+    function f(o) {
+      /** @param {any=} o */
+      return ! foam.util.equals(this.arg1.f(o), this.arg2.f(o));
+    }
+  ]
+});
+
+
+/** Matches when arg1 is less than arg2. */
+foam.CLASS({
+  package: 'foam.mlang.predicate',
+  name: 'Lt',
+  extends: 'foam.mlang.predicate.Binary',
+
+  methods: [
+    function f(o) {
+      /** @param {any=} o */
+      return foam.util.compare(this.arg1.f(o), this.arg2.f(o)) < 0;
+    }
+  ]
+});
+
+
+/** Matches when arg1 is less than or equal to arg2. */
+foam.CLASS({
+  package: 'foam.mlang.predicate',
+  name: 'Lte',
+  extends: 'foam.mlang.predicate.Binary',
+
+  methods: [
+    function f(o) {
+      /** @param {any=} o */
+      return foam.util.compare(this.arg1.f(o), this.arg2.f(o)) <= 0;
+    }
+  ]
+});
+
+
+/** Matches when arg1 is greater than arg2. */
+foam.CLASS({
+  package: 'foam.mlang.predicate',
+  name: 'Gt',
+  extends: 'foam.mlang.predicate.Binary',
+
+  methods: [
+    function f(o) {
+      /** @param {any=} o */
+      return foam.util.compare(this.arg1.f(o), this.arg2.f(o)) > 0;
+    }
+  ]
+});
+
+
+/** Matches when arg1 is greater than or equal to arg2. */
+foam.CLASS({
+  package: 'foam.mlang.predicate',
+  name: 'Gte',
+  extends: 'foam.mlang.predicate.Binary',
+
+  methods: [
+    function f(o) {
+      /** @param {any=} o */
+      return foam.util.compare(this.arg1.f(o), this.arg2.f(o)) >= 0;
+    }
+  ]
+});
+
+
+/** Matches when arg1 is equal to one of the values in the array arg2. */
+foam.CLASS({
+  package: 'foam.mlang.predicate',
+  name: 'In',
+  extends: 'foam.mlang.predicate.Binary',
+
+  methods: [
+    function f(o) {
+      /** @param {any=} o */
+      var value  = this.arg1.f(o);
+      var values = this.arg2.f(o);
+
+      if ( ! values ) return false;
+
+      for ( var i = 0 ; i < values.length ; i++ ) {
+        if ( foam.util.equals(value, values[i]) ) return true;
+      }
+      return false;
+    }
+  ]
+});
+
+
+/**
+ * Matches when the String or Array arg1 contains arg2. For Arrays, the value
+ * must be equal to one of the elements.
+ */
+foam.CLASS({
+  package: 'foam.mlang.predicate',
+  name: 'Contains',
+  extends: 'foam.mlang.predicate.Binary',
+
+  methods: [
+    function f(o) {
+      /** @param {any=} o */
+      var container = this.arg1.f(o);
+      var value     = this.arg2.f(o);
+
+      if ( foam.String.isInstance(container) ) {
+        return container.indexOf(value) !== -1;
+      }
+
+      if ( foam.Array.isInstance(container) ) {
+        for ( var i = 0 ; i < container.length ; i++ ) {
+          if ( foam.util.equals(container[i], value) ) return true;
+        }
+      }
+
+      return false;
+    }
+  ]
+});
+
+
+/**
+ * Matches when the String arg1 starts with arg2. If arg1 is an Array, then
+ * matches when any of its elements starts with arg2.
+ */
+foam.CLASS({
+  package: 'foam.mlang.predicate',
+  name: 'StartsWith',
+  extends: 'foam.mlang.predicate.Binary',
+
+  methods: [
+    function f(o) {
+      /** @param {any=} o */
+      var value  = this.arg1.f(o);
+      var prefix = this.arg2.f(o);
+
+      if ( foam.String.isInstance(value) ) return value.startsWith(prefix);
+
+      if ( foam.Array.isInstance(value) ) {
+        for ( var i = 0 ; i < value.length ; i++ ) {
+          if ( foam.String.isInstance(value[i]) &&
+               value[i].startsWith(prefix) ) {
+            return true;
+          }
+        }
+      }
+
+      return false;
+    }
+  ]
+});
+
+
+/**
+ * Matches when arg1 has a value: not undefined, null, an empty String or an
+ * empty Array.
+ */
+foam.CLASS({
+  package: 'foam.mlang.predicate',
+  name: 'Has',
+  extends: 'foam.mlang.predicate.Unary',
+
+  methods: [
+    function f(o) {
+      /** @param {any=} o */
+      var value = this.arg1.f(o);
+
+      return ! ( value === undefined || value === null || value === '' ||
+          ( foam.Array.isInstance(value) && value.length === 0 ) );
+    }
+  ]
+});
+
+
+/**
+ * A Comparator orders objects, for use as the 'order' of a DAO.select().
+ *
+ * Properties can be used as ascending Comparators, since they have a compare()
+ * function, without implementing this interface.
+ */
+foam.INTERFACE({
+  package: 'foam.mlang.order',
+  name: 'Comparator',
+
+  methods: [
+    {
+      /** Returns -1, 0 or 1 as o1 sorts before, with or after o2. */
+      name: 'compare',
+      returns: 'Number',
+      args: [
+        {
+          name: 'o1'
+        },
+        {
+          name: 'o2'
+        }
+      ]
+    }
+  ]
+});
+
+
+/** Reverses the order of another Comparator. */
+foam.CLASS({
+  package: 'foam.mlang.order',
+  name: 'Desc',
+
+  implements: ['foam.mlang.order.Comparator'],
+
+  properties: [
+    {
+      name: 'arg1',
+      comparePropertyValues: function(o1, o2) { return o1.compareTo(o2); }
+    }
+  ],
+
+  methods: [
+    function compare(o1, o2) {
+      /**
+       * @param {any} o1
+       * @param {any} o2
+       */
+      return this.arg1.compare(o2, o1);
+    },
+
+    function toString() {
+      return 'DESC(' + this.arg1.toString() + ')';
+    }
+  ]
+});
+
+
+/**
+ * Orders by the head Comparator, and then by the tail Comparator for objects
+ * which the head considers equal.
+ */
+foam.CLASS({
+  package: 'foam.mlang.order',
+  name: 'ThenBy',
+
+  implements: ['foam.mlang.order.Comparator'],
+
+  properties: [
+    {
+      name: 'head',
+      comparePropertyValues: function(o1, o2) { return o1.compareTo(o2); }
+    },
+    {
+      name: 'tail',
+      comparePropertyValues: function(o1, o2) { return o1.compareTo(o2); }
+    }
+  ],
+
+  methods: [
+    function compare(o1, o2) {
+      /**
+       * @param {any} o1
+       * @param {any} o2
+       */
+      return this.head.compare(o1, o2) || this.tail.compare(o1, o2);
+    },
+
+    function toString() {
+      return 'THEN_BY(' + this.head.toString() + ', ' +
+          this.tail.toString() + ')';
+    }
+  ]
+});
+
+
+/**
+  Convenience methods for building mLang expressions.
+
+  Implement this interface to call them as methods, ie. this.EQ(a, b), or use
+  foam.mlang.ExpressionsSingleton.
+*/
+foam.INTERFACE({
+  package: 'foam.mlang',
+  name: 'Expressions',
+
+  methods: [
+    function EQ(a, b) {
+      /**
+       * @param {any} a
+       * @param {any} b
+       */
+      return foam.mlang.predicate.Eq.create({arg1: a, arg2: b});
+    },
+
+    function NEQ(a, b) {
+      /**
+       * @param {any} a
+       * @param {any} b
+       */
+      return foam.mlang.predicate.Neq.create({arg1: a, arg2: b});
+    },
+
+    function LT(a, b) {
+      /**
+       * @param {any} a
+       * @param {any} b
+       */
+      return foam.mlang.predicate.Lt.create({arg1: a, arg2: b});
+    },
+
+    function LTE(a, b) {
+      /**
+       * @param {any} a
+       * @param {any} b
+       */
+      return foam.mlang.predicate.Lte.create({arg1: a, arg2: b});
+    },
+
+    function GT(a, b) {
+      /**
+       * @param {any} a
+       * @param {any} b
+       */
+      return foam.mlang.predicate.Gt.create({arg1: a, arg2: b});
+    },
+
+    function GTE(a, b) {
+      /**
+       * @param {any} a
+       * @param {any} b
+       */
+      return foam.mlang.predicate.Gte.create({arg1: a, arg2: b});
+    },
+
+    function IN(a, b) {
+      /**
+       * @param {any} a
+       * @param {any} b
+       */
+      return foam.mlang.predicate.In.create({arg1: a, arg2: b});
+    },
+
+    function CONTAINS(a, b) {
+      /**
+       * @param {any} a
+       * @param {any} b
+       */
+      return foam.mlang.predicate.Contains.create({arg1: a, arg2: b});
+    },
+
+    function STARTS_WITH(a, b) {
+      /**
+       * @param {any} a
+       * @param {any} b
+       */
+      return foam.mlang.predicate.StartsWith.create({arg1: a, arg2: b});
+    },
+
+    function HAS(a) {
+      /** @param {any} a */
+      return foam.mlang.predicate.Has.create({arg1: a});
+    },
+
+    function NOT(a) {
+      /** @param {foam.mlang.predicate.Predicate} a */
+      return foam.mlang.predicate.Not.create({arg1: a});
+    },
+
+    function AND() {
+      return foam.mlang.predicate.And.create({args: Array.from(arguments)});
+    },
+
+    function OR() {
+      return foam.mlang.predicate.Or.create({args: Array.from(arguments)});
+    },
+
+    function DESC(a) {
+      /** @param {any} a */
+      return foam.mlang.order.Desc.create({arg1: a});
+    },
+
+    function THEN_BY() {
+      // Fold the arguments from the right: THEN_BY(a, b, c) is equivalent to
+      // THEN_BY(a, THEN_BY(b, c)).
+      var c = arguments[arguments.length - 1];
+      for ( var i = arguments.length - 2 ; i >= 0 ; i-- ) {
+        c = foam.mlang.order.ThenBy.create({head: arguments[i], tail: c});
+      }
+      return c;
+    },
+
+    function TRUE() {
+      return foam.mlang.predicate.True.create();
+    },
+
+    function FALSE() {
+      return foam.mlang.predicate.False.create();
+    },
+
+    function COUNT() {
+      return foam.mlang.sink.Count.create();
+    },
+
+    function SUM(a) {
+      /** @param {any} a */
+      return foam.mlang.sink.Sum.create({arg1: a});
+    },
+
+    function AVG(a) {
+      /** @param {any} a */
+      return foam.mlang.sink.Average.create({arg1: a});
+    },
+
+    function MIN(a) {
+      /** @param {any} a */
+      return foam.mlang.sink.Min.create({arg1: a});
+    },
+
+    function MAX(a) {
+      /** @param {any} a */
+      return foam.mlang.sink.Max.create({arg1: a});
+    },
+
+    function GROUP_BY(a, sink) {
+      /**
+       * @param {any} a
+       * @param {foam.dao.Sink=} sink
+       */
+      return foam.mlang.sink.GroupBy.create(
+          sink ? {arg1: a, arg2: sink} : {arg1: a});
+    },
+
+    function UNIQUE(a) {
+      /** @param {any} a */
+      return foam.mlang.sink.Unique.create({arg1: a});
+    },
+
+    function DISTINCT(a, sink) {
+      /**
+       * @param {any} a
+       * @param {foam.dao.Sink=} sink
+       */
+      return foam.mlang.sink.Distinct.create(
+          sink ? {arg1: a, delegate: sink} : {arg1: a});
+    },
+
+    function MAP() {
+      return foam.mlang.sink.Map.create({args: Array.from(arguments)});
+    }
+  ]
+});
+
+
+/** A Singleton which implements foam.mlang.Expressions. */
+foam.CLASS({
+  package: 'foam.mlang',
+  name: 'ExpressionsSingleton',
+
+  implements: ['foam.mlang.Expressions'],
+
+  axioms: [foam.pattern.Singleton.create()]
+});
@@ -0,0 +1,453 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+  Aggregating Sinks, which compute a result from the objects put() into them,
+  rather than collecting the objects themselves.
+
+  Each provides its result as its <tt>value</tt>, which is a plain number,
+  array or map once <tt>eof()</tt> has been called. They compose, so a
+  GroupBy can nest any other Sink to aggregate each group:
+<pre>
+  var M = foam.mlang.ExpressionsSingleton.create();
+
+  dao.select(M.GROUP_BY(Employee.DEPT, M.COUNT())).then(function(sink) {
+    console.log(sink.value); // eg. {sales: 12, support: 4}
+  });
+</pre>
+  Operands are Exprs, so Properties can be used directly. Like other mLang
+  objects, they're usually created through foam.mlang.Expressions.
+*/
+
+/** Counts the objects put() into it. */
+foam.CLASS({
+  package: 'foam.mlang.sink',
+  name: 'Count',
+  implements: ['foam.dao.Sink'],
+
+  properties: [
+    {
+      /** The number of objects put() so far. */
+      class: 'Int',
+      name: 'value'
+    }
+  ],
+
+  methods: [
+    function put() { this.value++; },
+
+    function toString() { return 'COUNT()'; }
+  ]
+});
+
+
+/** Abstract base class for Sinks which aggregate the value of one Expr. */
+foam.CLASS({
+  package: 'foam.mlang.sink',
+  name: 'AbstractExprSink',
+  implements: ['foam.dao.Sink'],
+
+  abstract: true,
+
+  properties: [
+    {
+      /** The Expr, usually a Property, evaluated against each object. */
+      class: 'foam.mlang.ExprProperty',
+      name: 'arg1'
+    }
+  ],
+
+  methods: [
+    function put() {},
+
+    function resultOf(sink) {
+      /**
+       * Returns the plain result of a nested Sink: its value, or the Sink
+       * itself if it doesn't have one.
+       * @param {foam.dao.Sink} sink
+       */
+      return 'value' in sink ? sink.value : sink;
+    },
+
+    function toString() {
+      return foam.String.constantize(this.cls_.name) +
+          '(' + this.arg1.toString() + ')';
+    }
+  ]
+});
+
+
+/** Sums the values of arg1. Non-numeric values are ignored. */
+foam.CLASS({
+  package: 'foam.mlang.sink',
+  name: 'Sum',
+  extends: 'foam.mlang.sink.AbstractExprSink',
+
+  properties: [
+    {
+      /** The sum of the values put() so far. */
+      name: 'value',
+      value: 0
+    }
+  ],
+
+  methods: [
+    function put(obj) {
+      /** @param {any} obj */
+      var v = this.arg1.f(obj);
+      if ( typeof v === 'number' ) this.value += v;
+    }
+  ]
+});
+
+
+/**
+ * Averages the values of arg1. Non-numeric values are ignored. The value is
+ * undefined until a numeric value has been put().
+ */
+foam.CLASS({
+  package: 'foam.mlang.sink',
+  name: 'Average',
+  extends: 'foam.mlang.sink.AbstractExprSink',
+
+  properties: [
+    {
+      /** The sum of the values put() so far. */
+      name: 'sum',
+      value: 0
+    },
+    {
+      /** The number of values put() so far. */
+      class: 'Int',
+      name: 'count'
+    },
+    {
+      /** The average of the values put() so far. */
+      name: 'value'
+    }
+  ],
+
+  methods: [
+    function put(obj) {
+      /** @param {any} obj */
+      var v = this.arg1.f(obj);
+      if ( typeof v !== 'number' ) return;
+
+      this.sum  += v;
+      this.count++;
+      this.value = this.sum / this.count;
+    },
+
+    function toString() { return 'AVG(' + this.arg1.toString() + ')'; }
+  ]
+});
+
+
+/**
+ * Finds the smallest value of arg1, as ordered by foam.util.compare(). Null and
+ * undefined values are ignored. The value is undefined until another value has
+ * been put().
+ */
+foam.CLASS({
+  package: 'foam.mlang.sink',
+  name: 'Min',
+  extends: 'foam.mlang.sink.AbstractExprSink',
+
+  properties: [
+    {
+      /** The smallest value put() so far. */
+      name: 'value'
+    }
+  ],
+
+  methods: [
+    function put(obj) {
+      /** @param {any} obj */
+      var v = this.arg1.f(obj);
+      if ( v === undefined || v === null ) return;
+
+      if ( this.value === undefined || this.better_(v, this.value) ) {
+        this.value = v;
+      }
+    },
+
+    function better_(v1, v2) {
+      /**
+       * Returns true iff v1 should replace v2 as the result.
+       * @param {any} v1
+       * @param {any} v2
+       */
+      return foam.util.compare(v1, v2) < 0;
+    }
+  ]
+});
+
+
+/**
+ * Finds the largest value of arg1, as ordered by foam.util.compare(). Null and
+ * undefined values are ignored. The value is undefined until another value has
+ * been put().
+ */
+foam.CLASS({
+  package: 'foam.mlang.sink',
+  name: 'Max',
+  extends: 'foam.mlang.sink.Min',
+
+  methods: [
+    function better_(v1, v2) {
+      /**
+       * @param {any} v1
+       * @param {any} v2
+       */
+      return foam.util.compare(v1, v2) > 0;
+    }
+  ]
+});
+
+
+/**
+ * Collects the distinct values of arg1, in the order they were first seen.
+ * Values are compared with foam.util.equals().
+ */
+foam.CLASS({
+  package: 'foam.mlang.sink',
+  name: 'Unique',
+  extends: 'foam.mlang.sink.AbstractExprSink',
+
+  properties: [
+    {
+      /** The array of distinct values put() so far. */
+      name: 'value',
+      factory: function() { return []; }
+    },
+    {
+      /** Map of the primitive values seen so far, for fast lookup. */
+      name: 'seen_',
+      factory: function() { return {}; }
+    }
+  ],
+
+  methods: [
+    function put(obj) {
+      /** @param {any} obj */
+      var v = this.arg1.f(obj);
+      if ( this.isNew_(v) ) this.value.push(v);
+    },
+
+    function isNew_(v) {
+      /**
+       * Returns true, and remembers v, iff v hasn't been seen before.
+       * @param {any=} v
+       */
+      if ( v === null || typeof v !== 'object' ) {
+        var key = typeof v + ':' + v;
+        if ( this.seen_.hasOwnProperty(key) ) return false;
+        this.seen_[key] = true;
+        return true;
+      }
+
+      var values = this.seen_[''] || ( this.seen_[''] = [] );
+      for ( var i = 0 ; i < values.length ; i++ ) {
+        if ( foam.util.equals(v, values[i]) ) return false;
+      }
+      values.push(v);
+      return true;
+    }
+  ]
+});
+
+
+/**
+ * Passes the first object with each distinct value of arg1 on to the delegate
+ * Sink. Its value is the delegate's value, or the delegate itself if it doesn't
+ * have one.
+ */
+foam.CLASS({
+  package: 'foam.mlang.sink',
+  name: 'Distinct',
+  extends: 'foam.mlang.sink.Unique',
+
+  requires: [
+    'foam.dao.ArraySink'
+  ],
+
+  properties: [
+    {
+      /** The Sink which receives the distinct objects. */
+      name: 'delegate',
+      factory: function() { return this.ArraySink.create(); }
+    },
+    {
+      name: 'value',
+      getter: function() {
+        return this.resultOf(this.delegate);
+      }
+    }
+  ],
+
+  methods: [
+    function put(obj) {
+      /** @param {any} obj */
+      if ( this.isNew_(this.arg1.f(obj)) ) this.delegate.put(obj);
+    },
+
+    function eof() { this.delegate.eof(); },
+
+    function toString() {
+      return 'DISTINCT(' + this.arg1.toString() + ')';
+    }
+  ]
+});
+
+
+/**
+ * Splits objects into groups by the value of arg1, and puts each object into
+ * a separate clone of the arg2 Sink for its group. Objects whose value is an
+ * array are put into the group of each element.
+ *
+ * Its value maps each group's key to the value of that group's Sink, or to the
+ * Sink itself if it doesn't have a value, like an ArraySink.
+ */
+foam.CLASS({
+  package: 'foam.mlang.sink',
+  name: 'GroupBy',
+  extends: 'foam.mlang.sink.AbstractExprSink',
+
+  requires: [
+    'foam.dao.ArraySink'
+  ],
+
+  properties: [
+    {
+      /** The Sink which is cloned to aggregate each group. */
+      name: 'arg2',
+      factory: function() { return this.ArraySink.create(); }
+    },
+    {
+      /** Map of group keys to the Sink for that group. */
+      name: 'groups',
+      factory: function() { return {}; }
+    },
+    {
+      /** The group keys, in the order that they were first seen. */
+      name: 'groupKeys',
+      factory: function() { return []; }
+    },
+    {
+      /** Map of group keys to the result of that group's Sink. */
+      name: 'value',
+      getter: function() {
+        var value = {};
+        for ( var key in this.groups ) {
+          value[key] = this.resultOf(this.groups[key]);
+        }
+        return value;
+      }
+    }
+  ],
+
+  methods: [
+    function put(obj) {
+      /** @param {any} obj */
+      var key = this.arg1.f(obj);
+
+      if ( Array.isArray(key) ) {
+        for ( var i = 0 ; i < key.length ; i++ ) this.putInGroup_(key[i], obj);
+      } else {
+        this.putInGroup_(key, obj);
+      }
+    },
+
+    function putInGroup_(key, obj) {
+      /**
+       * @param {any=} key
+       * @param {any} obj
+       */
+      var group = this.groups[key];
+
+      if ( ! group ) {
+        group = this.groups[key] = this.arg2.clone();
+        this.groupKeys.push(key);
+      }
+
+      group.put(obj);
+    },
+
+    function eof() {
+      for ( var key in this.groups ) this.groups[key].eof();
+    },
+
+    function toString() {
+      return 'GROUP_BY(' + this.arg1.toString() + ', ' +
+          this.arg2.toString() + ')';
+    }
+  ]
+});
+
+
+/**
+ * Projects each object onto the values of one or more Exprs. Its value is an
+ * array with the value of the Expr for each object, or, if there is more than
+ * one Expr, an array with an array of values for each object.
+ */
+foam.CLASS({
+  package: 'foam.mlang.sink',
+  name: 'Map',
+  implements: ['foam.dao.Sink'],
+
+  properties: [
+    {
+      /** The Exprs to project each object onto. */
+      name: 'args',
+      adapt: function(_, a) {
+        return a.map(function(e) {
+          return foam.mlang.Expr.isInstance(e) ?
+              e :
+              foam.mlang.Constant.create({value: e});
+        });
+      },
+      factory: function() { return []; }
+    },
+    {
+      /** The array of projected values. */
+      name: 'value',
+      factory: function() { return []; }
+    }
+  ],
+
+  methods: [
+    function put(obj) {
+      /** @param {any} obj */
+      var args = this.args;
+
+      if ( args.length === 1 ) {
+        this.value.push(args[0].f(obj));
+        return;
+      }
+
+      var row = new Array(args.length);
+      for ( var i = 0 ; i < args.length ; i++ ) row[i] = args[i].f(obj);
+      this.value.push(row);
+    },
+
+    function toString() {
+      return 'MAP(' + this.args.map(function(e) {
+        return e.toString();
+      }).join(', ') + ')';
+    }
+  ]
+});
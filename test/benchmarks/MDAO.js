@@ -0,0 +1,110 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Compares MDAO with ArrayDAO on 100k objects.
+ *
+ * Run with: node test/benchmarks/MDAO.js
+ *
+ * ArrayDAO is loaded by setting its array directly, since loading it with
+ * put() is quadratic.
+ */
+require('../helpers/load.js');
+
+var N   = 100000;
+var OPS = 1000;
+
+foam.CLASS({
+  package: 'benchmark',
+  name: 'Person',
+  properties: [
+    {
+      class: 'Int',
+      name: 'id'
+    },
+    'name',
+    {
+      class: 'Int',
+      name: 'age'
+    }
+  ]
+});
+
+var M      = foam.mlang.ExpressionsSingleton.create();
+var AGE    = benchmark.Person.AGE;
+var people = [];
+
+for ( var i = 0 ; i < N ; i++ ) {
+  people.push(benchmark.Person.create({
+    id: i,
+    name: 'Person ' + i,
+    age: (i * 7919) % 100
+  }));
+}
+
+function time(name, fn) {
+  var start = Date.now();
+  return Promise.resolve(fn()).then(function() {
+    console.log('  ' + name + ': ' + (Date.now() - start) + 'ms');
+  });
+}
+
+function finds(dao) {
+  var ps = [];
+  for ( var i = 0 ; i < OPS ; i++ ) ps.push(dao.find((i * 97) % N));
+  return Promise.all(ps);
+}
+
+function updates(dao) {
+  var ps = [];
+  for ( var i = 0 ; i < OPS ; i++ ) {
+    var p = people[(i * 89) % N].clone();
+    p.age = (p.age + 1) % 100;
+    ps.push(dao.put(p));
+  }
+  return Promise.all(ps);
+}
+
+function run(name, dao, load) {
+  console.log(name);
+  return time('load ' + N, load).then(function() {
+    return time(OPS + ' x find()', function() { return finds(dao); });
+  }).then(function() {
+    return time(OPS + ' x put() update', function() { return updates(dao); });
+  }).then(function() {
+    return time('select EQ(age, 42)', function() {
+      return dao.where(M.EQ(AGE, 42)).select();
+    });
+  }).then(function() {
+    return time('select AND(GTE(age, 10), LT(age, 12))', function() {
+      return dao.where(M.AND(M.GTE(AGE, 10), M.LT(AGE, 12))).select();
+    });
+  }).then(function() {
+    return time('select orderBy(DESC(age)).limit(10)', function() {
+      return dao.orderBy(M.DESC(AGE)).limit(10).select();
+    });
+  });
+}
+
+var mdao = foam.dao.MDAO.create({of: benchmark.Person}).addPropertyIndex(AGE);
+var adao = foam.dao.ArrayDAO.create({of: benchmark.Person});
+
+run('MDAO', mdao, function() {
+  return Promise.all(people.map(function(p) { return mdao.put(p); }));
+}).then(function() {
+  return run('ArrayDAO', adao, function() { adao.array = people.slice(); });
+});
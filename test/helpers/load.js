@@ -46,11 +46,68 @@ require('../../src/foam/core/debug.js');
 require('../../src/foam/core/Topic.js');
 require('../../src/foam/core/Interface.js');
 require('../../src/foam/core/Implements.js');
+require('../../src/foam/core/property/Unsafe.js');
+require('../../src/foam/pattern/Singleton.js');
+require('../../src/foam/pattern/Multiton.js');
+require('../../src/foam/mlang/mlang.js');
+require('../../src/foam/json/json.js');
 require('../../src/foam/dao/Sink.js');
 require('../../src/foam/dao/DAO.js');
 require('../../src/foam/dao/ArraySink.js');
+require('../../src/foam/dao/FirstSink.js');
+require('../../src/foam/dao/Subscription.js');
+require('../../src/foam/dao/DAOIterator.js');
+require('../../src/foam/dao/Pager.js');
+require('../../src/foam/dao/DAODiff.js');
+require('../../src/foam/dao/DAOSink.js');
+require('../../src/foam/dao/WriteQueue.js');
+require('../../src/foam/dao/Transaction.js');
+require('../../src/foam/dao/ArrayDAOTransaction.js');
+require('../../src/foam/mlang/sink.js');
 require('../../src/foam/dao/ArrayDAO.js');
-require('../../src/foam/core/property/Unsafe.js');
-require('../../src/foam/pattern/Singleton.js');
-require('../../src/foam/pattern/Multiton.js');
+require('../../src/foam/dao/ProxyDAO.js');
+require('../../src/foam/dao/FilteredDAO.js');
+require('../../src/foam/dao/OrderedDAO.js');
+require('../../src/foam/dao/SkipDAO.js');
+require('../../src/foam/dao/LimitDAO.js');
+require('../../src/foam/dao/index/TreeIndex.js');
+require('../../src/foam/dao/MDAO.js');
+require('../../src/foam/dao/JournalDAO.js');
+require('../../src/foam/dao/CachingDAO.js');
+require('../../src/foam/dao/SequenceNumberDAO.js');
+require('../../src/foam/dao/GUIDDAO.js');
+require('../../src/foam/dao/DAOException.js');
+require('../../src/foam/dao/NotFoundException.js');
+require('../../src/foam/dao/PermissionException.js');
+require('../../src/foam/dao/ValidationException.js');
+require('../../src/foam/dao/ValidationDAO.js');
+require('../../src/foam/dao/Relationship.js');
+require('../../src/foam/dao/RelationshipDAO.js');
+require('../../src/foam/dao/ManyToManyRelationshipDAO.js');
+require('../../src/foam/dao/CascadeDAO.js');
+require('../../src/foam/box/Box.js');
+require('../../src/foam/box/messages.js');
+require('../../src/foam/box/LoopbackBox.js');
+require('../../src/foam/box/node/PortBox.js');
+require('../../src/foam/dao/BoxSink.js');
+require('../../src/foam/dao/DAOSkeleton.js');
+require('../../src/foam/dao/ClientDAO.js');
+require('../../src/foam/dao/LoggingDAO.js');
+require('../../src/foam/dao/MethodStats.js');
+require('../../src/foam/dao/DAOStats.js');
+require('../../src/foam/dao/TimingDAO.js');
+require('../../src/foam/dao/SyncDAO.js');
+require('../../src/foam/dao/EasyDAO.js');
+require('../../src/foam/dao/DAORegistry.js');
+require('../../src/foam/dao/Authorizer.js');
+require('../../src/foam/dao/AuthorizationDAO.js');
+require('../../src/foam/dao/HistoryRecord.js');
+require('../../src/foam/dao/HistoryDAO.js');
+require('../../src/foam/dao/search/Tokenizer.js');
+require('../../src/foam/dao/search/Keyword.js');
+require('../../src/foam/dao/search/SearchDAO.js');
 require('../../src/foam/parse/parse.js');
+require('../../src/foam/csv/CSVException.js');
+require('../../src/foam/csv/CSVParser.js');
+require('../../src/foam/csv/CSVSink.js');
+require('../../src/foam/csv/CSVReader.js');
@@ -0,0 +1,76 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('PortBox', function() {
+  var Worker = require('worker_threads').Worker;
+  var path   = require('path');
+
+  var worker;
+  var client;
+
+  var LOAD   = path.join(__dirname, '../../../../helpers/load.js');
+
+  // Serves an MDAO of test.Item from a worker thread.
+  var SERVER = [
+    'require(' + JSON.stringify(LOAD) + ');',
+    'var parentPort = require("worker_threads").parentPort;',
+    'foam.CLASS({package: "test", name: "Item", properties: ["id", "name"]});',
+    'var box = foam.box.node.PortBox.create({port: parentPort});',
+    'box.delegate = foam.dao.DAOSkeleton.create({',
+    '  dao: foam.dao.MDAO.create({of: test.Item}),',
+    '  replyBox: box',
+    '});'
+  ].join('\n');
+
+  beforeEach(function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'Item',
+      properties: ['id', 'name']
+    });
+
+    worker = new Worker(SERVER, {eval: true, stdout: true});
+
+    var box = foam.box.node.PortBox.create({port: worker});
+    client = foam.dao.ClientDAO.create({of: test.Item, delegate: box});
+    box.delegate = client;
+  });
+
+  afterEach(function(done) {
+    client.delegate.detach();
+    worker.terminate().then(function() { done(); });
+  });
+
+  it('talks to a DAO in a worker thread', function(done) {
+    Promise.all([
+      client.put(test.Item.create({id: 1, name: 'apple'})),
+      client.put(test.Item.create({id: 2, name: 'pear'}))
+    ]).then(function() {
+      return client.find(2);
+    }).then(function(o) {
+      expect(o.name).toBe('pear');
+      return client.remove(o);
+    }).then(function() {
+      return client.select();
+    }).then(function(sink) {
+      expect(sink.array.length).toBe(1);
+      expect(sink.array[0].name).toBe('apple');
+      done();
+    });
+  });
+});
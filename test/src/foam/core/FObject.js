@@ -92,6 +92,33 @@ describe('FObject features', function() {
     expect(obj2.b.b).toBe(3);
   });
 
+  it('diff', function() {
+    foam.CLASS({
+      name: 'ClassA',
+      properties: [
+        'a',
+        'b',
+        {
+          class: 'StringArray',
+          name: 'c'
+        }
+      ]
+    });
+
+    var obj  = ClassA.create({a: 1, b: 2, c: ['x']});
+    var obj2 = obj.clone();
+
+    expect(obj.diff(obj2)).toEqual({});
+
+    obj2.a = 5;
+    obj2.c = ['x', 'y'];
+    obj2.clearProperty('b');
+
+    // Maps each changed property to its new value.
+    expect(obj.diff(obj2)).toEqual({a: 5, b: undefined, c: ['x', 'y']});
+    expect(foam.util.diff(obj, obj2)).toEqual(obj.diff(obj2));
+  });
+
   it('toString', function() {
     foam.CLASS({
       name: 'ClassA'
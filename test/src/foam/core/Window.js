@@ -59,4 +59,21 @@ describe('Window', function() {
     merged2();
     merged2();
   });
+
+  it('exports console logging', function() {
+    var console = global.console;
+    var old     = console.log;
+    var logged  = null;
+
+    console.log = function() { logged = Array.from(arguments); };
+    try {
+      foam.__context__.log('a', 1);
+    } finally {
+      console.log = old;
+    }
+
+    expect(logged).toEqual(['a', 1]);
+    expect(typeof foam.__context__.warn).toBe('function');
+    expect(typeof foam.__context__.error).toBe('function');
+  });
 });
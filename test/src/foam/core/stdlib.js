@@ -972,6 +972,36 @@ describe('foam.Object', function() {
 
 });
 
+describe('foam.FObject', function() {
+  beforeEach(function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'Point',
+      properties: ['x', 'y']
+    });
+  });
+
+  it('is the type of FObjects', function() {
+    var p = test.Point.create();
+    expect(foam.typeOf(p)).toBe(foam.FObject);
+    expect(foam.typeOf({})).toBe(foam.Object);
+    expect(foam.FObject.isInstance(null)).toBe(false);
+  });
+
+  it('diffs properties', function() {
+    var p = test.Point.create({x: 1, y: 2});
+    expect(foam.util.diff(p, test.Point.create({x: 1, y: 3})))
+        .toEqual({y: 3});
+  });
+
+  it('compares like other Objects', function() {
+    var p = test.Point.create({x: 1});
+    expect(foam.util.equals(p, p)).toBe(true);
+    expect(foam.util.equals(p, test.Point.create({x: 1}))).toBe(false);
+    expect(foam.util.clone(p)).toBe(p);
+  });
+});
+
 describe('foam.util', function() {
   it('handles a buffet of types', function() {
     var types = [
@@ -0,0 +1,194 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('CSVReader', function() {
+  beforeEach(function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'Contact',
+      properties: [
+        {
+          class: 'Int',
+          name: 'id'
+        },
+        {
+          class: 'String',
+          name: 'firstName'
+        },
+        {
+          class: 'String',
+          name: 'notes'
+        },
+        {
+          class: 'Boolean',
+          name: 'active'
+        },
+        {
+          class: 'StringArray',
+          name: 'tags'
+        }
+      ]
+    });
+  });
+
+  function reader(opt_delimiter) {
+    return foam.csv.CSVReader.create({
+      of: test.Contact,
+      delimiter: opt_delimiter || ','
+    });
+  }
+
+  function error(f) {
+    try {
+      f();
+    } catch (x) {
+      return x;
+    }
+    return undefined;
+  }
+
+  describe('CSVParser', function() {
+    var parser;
+
+    beforeEach(function() {
+      parser = foam.csv.CSVParser.create();
+    });
+
+    it('splits rows and values', function() {
+      expect(parser.parseString('a,b,c\r\n1,,3\n4,5,6\n')).toEqual(
+          [['a', 'b', 'c'], ['1', '', '3'], ['4', '5', '6']]);
+      expect(parser.parseString('')).toEqual([]);
+    });
+
+    it('unquotes quoted values', function() {
+      expect(parser.parseString('"a,b","say ""hi""","two\nlines"\nx'))
+          .toEqual([['a,b', 'say "hi"', 'two\nlines'], ['x']]);
+    });
+
+    it('supports other delimiters', function() {
+      parser.delimiter = ';';
+      expect(parser.parseString('a;"b;c";d,e')).toEqual(
+          [['a', 'b;c', 'd,e']]);
+    });
+
+    it('reports the row and column of bad input', function() {
+      var e = error(function() { parser.parseString('a,b\n1,"2\n'); });
+      expect(foam.csv.CSVException.isInstance(e)).toBe(true);
+      expect(e.row).toBe(2);
+      expect(e.column).toBe(2);
+      expect(e.message).toBe('Unterminated quoted value at row 2, column 2');
+
+      e = error(function() { parser.parseString('a,b"c\n'); });
+      expect(e.message).toBe('Unexpected "\\"" at row 1, column 2');
+
+      e = error(function() { parser.parseString('"a"b'); });
+      expect(e.message).toBe('Unexpected "b" at row 1, column 1');
+    });
+  });
+
+  it('maps columns to Properties by name or label', function() {
+    var objs = reader().read(
+        'ID,First Name,notes,ACTIVE,tags\n' +
+        '1,Ann,"Likes ""CSV""\nand spreadsheets",true,"[""a"",""b""]"\n' +
+        '\n' +
+        '2,Bob,,false,\n');
+
+    expect(objs.length).toBe(2);
+    expect(objs[0].id).toBe(1);
+    expect(objs[0].firstName).toBe('Ann');
+    expect(objs[0].notes).toBe('Likes "CSV"\nand spreadsheets');
+    expect(objs[0].active).toBe(true);
+    expect(objs[0].tags).toEqual(['a', 'b']);
+    expect(objs[1].id).toBe(2);
+    expect(objs[1].hasOwnProperty('notes')).toBe(false);
+    expect(objs[1].active).toBe(false);
+  });
+
+  it('keeps text as text for String Properties', function() {
+    var objs = reader('\t').read('id\tfirstName\n3\t42\n');
+    expect(objs[0].firstName).toBe('42');
+  });
+
+  it('rejects unknown columns', function() {
+    var e = error(function() { reader().read('id,age\n1,2\n'); });
+    expect(e.row).toBe(1);
+    expect(e.column).toBe(2);
+    expect(e.message).toBe(
+        'Unknown column "age" for test.Contact at row 1, column 2');
+  });
+
+  it('rejects rows with the wrong number of values', function() {
+    var e = error(function() { reader().read('id,notes\n1,a\n2\n'); });
+    expect(e.message).toBe(
+        'Expected 2 values but found 1 at row 3, column 2');
+  });
+
+  it('reports values their Property rejects', function() {
+    var e = error(function() { reader().read('id,active\n1,yes\n'); });
+    expect(foam.csv.CSVException.isInstance(e)).toBe(true);
+    expect(e.row).toBe(2);
+    expect(e.column).toBe(2);
+    expect(e.message).toBe('Bad value for active: "yes" at row 2, column 2');
+
+    e = error(function() { reader().read('id,notes\n1,a\nabc,b\n'); });
+    expect(e.message).toBe('Bad value for id: "abc" at row 3, column 1');
+
+    e = error(function() { reader().read('id\n1.5\n'); });
+    expect(e.message).toBe('Bad value for id: "1.5" at row 2, column 1');
+
+    e = error(function() { reader().read('id,tags\n1,x\n'); });
+    expect(e.column).toBe(2);
+  });
+
+  it('never creates objects named in values', function() {
+    var created = 0;
+    foam.CLASS({
+      package: 'test',
+      name: 'Spy',
+      methods: [
+        function init() { created++; }
+      ]
+    });
+
+    var e = error(function() {
+      reader().read('id\n"{""class"":""test.Spy""}"\n');
+    });
+    expect(e.row).toBe(2);
+    expect(e.column).toBe(1);
+    expect(created).toBe(0);
+  });
+
+  it('reads what CSVSink writes', function(done) {
+    var dao = foam.dao.ArrayDAO.create({of: test.Contact});
+
+    dao.putAll([
+      test.Contact.create({id: 1, firstName: 'Ann, Jr.', tags: ['x']}),
+      test.Contact.create({id: 2, notes: 'a "b"\r\nc', active: true})
+    ]).then(function() {
+      return dao.select(foam.csv.CSVSink.create({labels: true}));
+    }).then(function(sink) {
+      var objs = reader().read(sink.csv);
+      expect(objs.length).toBe(2);
+      expect(objs[0].firstName).toBe('Ann, Jr.');
+      expect(objs[0].tags).toEqual(['x']);
+      expect(objs[1].notes).toBe('a "b"\r\nc');
+      expect(objs[1].active).toBe(true);
+      done();
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('CSVSink', function() {
+  var dao;
+
+  beforeEach(function(done) {
+    foam.CLASS({
+      package: 'test',
+      name: 'Contact',
+      properties: [
+        {
+          class: 'Int',
+          name: 'id'
+        },
+        {
+          class: 'String',
+          name: 'firstName'
+        },
+        'notes'
+      ]
+    });
+
+    dao = foam.dao.ArrayDAO.create({of: test.Contact});
+    dao.putAll([
+      test.Contact.create({id: 1, firstName: 'Ann'}),
+      test.Contact.create({id: 2, firstName: 'Bob, Jr.', notes: 'say "hi"'}),
+      test.Contact.create({id: 3, notes: {a: [1, 2]}})
+    ]).then(function() { done(); });
+  });
+
+  it('writes a header and a row per object', function(done) {
+    dao.select(foam.csv.CSVSink.create()).then(function(sink) {
+      expect(sink.csv).toBe(
+          'id,firstName,notes\n' +
+          '1,Ann,\n' +
+          '2,"Bob, Jr.","say ""hi"""\n' +
+          '3,,"{""a"":[1,2]}"\n');
+      done();
+    });
+  });
+
+  it('supports labels, other delimiters and no header', function(done) {
+    var sink = foam.csv.CSVSink.create({
+      of: test.Contact,
+      labels: true,
+      delimiter: ';',
+      eol: '\r\n'
+    });
+
+    dao.limit(2).select(sink).then(function() {
+      expect(sink.csv).toBe(
+          'Id;First Name;Notes\r\n' +
+          '1;Ann;\r\n' +
+          '2;Bob, Jr.;"say ""hi"""\r\n');
+
+      sink = foam.csv.CSVSink.create({header: false, props: [test.Contact.ID]});
+      return dao.select(sink);
+    }).then(function() {
+      expect(sink.csv).toBe('1\n2\n3\n');
+      done();
+    });
+  });
+
+  it('writes only the header for an empty select', function() {
+    expect(foam.csv.CSVSink.create({of: test.Contact}).csv)
+        .toBe('id,firstName,notes\n');
+  });
+});
@@ -159,6 +159,133 @@ describe('ArrayDAO', function() {
     });
   });
 
+  it('filters select() with a predicate', function(done) {
+    var M = foam.mlang.ExpressionsSingleton.create();
+    var dao = foam.dao.ArrayDAO.create({of: 'test.Person'});
+    Promise.all(people.map(dao.put.bind(dao))).then(function() {
+      return dao.select(undefined, undefined, undefined, undefined, M.OR(
+          M.EQ(test.Person.NAME, 'Adam'),
+          M.GT(test.Person.ID, 3)));
+    }).then(function(sink) {
+      expect(sink.array.length).toBe(2);
+      expect(sink.array[0]).toBe(people[1]);
+      expect(sink.array[1]).toBe(people[3]);
+      done();
+    });
+  });
+
+  it('orders select() by a Property', function(done) {
+    var dao = foam.dao.ArrayDAO.create({of: 'test.Person'});
+    Promise.all(people.map(dao.put.bind(dao))).then(function() {
+      return dao.select(undefined, undefined, undefined, test.Person.NAME);
+    }).then(function(sink) {
+      expect(sink.array.map(function(p) { return p.name; })).toEqual(
+          ['Adam', 'Braden', 'Jackson', 'Kevin']);
+      // The DAO's own order is unchanged.
+      expect(dao.array[0]).toBe(people[0]);
+      done();
+    });
+  });
+
+  it('orders select() descending and by multiple keys', function(done) {
+    var M = foam.mlang.ExpressionsSingleton.create();
+    var dao = foam.dao.ArrayDAO.create({of: 'test.Person'});
+    people.push(test.Person.create({id: 5, name: 'Adam'}));
+
+    Promise.all(people.map(dao.put.bind(dao))).then(function() {
+      return dao.select(undefined, undefined, undefined,
+          M.THEN_BY(test.Person.NAME, M.DESC(test.Person.ID)));
+    }).then(function(sink) {
+      expect(sink.array.map(function(p) { return p.id; })).toEqual(
+          [5, 2, 3, 4, 1]);
+      return dao.select(undefined, undefined, undefined,
+          M.DESC(test.Person.NAME));
+    }).then(function(sink) {
+      expect(sink.array.map(function(p) { return p.name; })).toEqual(
+          ['Kevin', 'Jackson', 'Braden', 'Adam', 'Adam']);
+      done();
+    });
+  });
+
+  it('applies skip and limit after the predicate and order', function(done) {
+    var M = foam.mlang.ExpressionsSingleton.create();
+    var dao = foam.dao.ArrayDAO.create({of: 'test.Person'});
+    Promise.all(people.map(dao.put.bind(dao))).then(function() {
+      return dao.select(undefined, 1, 1, test.Person.NAME,
+          M.NEQ(test.Person.NAME, 'Adam'));
+    }).then(function(sink) {
+      expect(sink.array.length).toBe(1);
+      expect(sink.array[0]).toBe(people[3]);
+      return dao.select(undefined, 3);
+    }).then(function(sink) {
+      expect(sink.array.length).toBe(1);
+      expect(sink.array[0]).toBe(people[3]);
+      return dao.select(undefined, 0, 0);
+    }).then(function(sink) {
+      expect(sink.array.length).toBe(0);
+      return dao.select(undefined, 10, 5);
+    }).then(function(sink) {
+      expect(sink.array.length).toBe(0);
+      done();
+    });
+  });
+
+  it('pages through a large array', function(done) {
+    var M = foam.mlang.ExpressionsSingleton.create();
+    var dao = foam.dao.ArrayDAO.create({of: 'test.Person'});
+    var pageSize = 75;
+    var seen = [];
+
+    // Put in a scrambled order, so that the order argument matters.
+    var puts = [];
+    for ( var i = 0 ; i < 1000 ; i++ ) {
+      var id = ( i * 7919 ) % 1000;
+      puts.push(dao.put(test.Person.create({id: id, name: 'p' + id})));
+    }
+
+    function page(skip) {
+      return dao.select(undefined, skip, pageSize, M.DESC(test.Person.ID))
+          .then(function(sink) {
+            seen = seen.concat(sink.array);
+            if ( sink.array.length === pageSize ) {
+              return page(skip + pageSize);
+            }
+            expect(sink.array.length).toBe(1000 % pageSize);
+          });
+    }
+
+    Promise.all(puts).then(function() {
+      return page(0);
+    }).then(function() {
+      expect(seen.length).toBe(1000);
+      for ( var i = 0 ; i < seen.length ; i++ ) {
+        expect(seen[i].id).toBe(999 - i);
+      }
+      done();
+    });
+  });
+
+  it('removes only matching items on removeAll() with a predicate',
+      function(done) {
+    var M = foam.mlang.ExpressionsSingleton.create();
+    var removes = 0;
+    var dao = foam.dao.ArrayDAO.create({of: 'test.Person'});
+    dao.onData.remove.sub(function() { removes++; });
+
+    Promise.all(people.map(dao.put.bind(dao))).then(function() {
+      return dao.removeAll(undefined, undefined, undefined,
+          M.IN(test.Person.ID, [1, 3]));
+    }).then(function() {
+      expect(removes).toBe(2);
+      return dao.select();
+    }).then(function(sink) {
+      expect(sink.array.length).toBe(2);
+      expect(sink.array[0]).toBe(people[1]);
+      expect(sink.array[1]).toBe(people[3]);
+      done();
+    });
+  });
+
   it('succeeds when removing an unknown item', function(done) {
     var newPerson = test.Person.create({id: 8, name: 'Alex'});
     var dao = foam.dao.ArrayDAO.create({of: 'test.Person'});
@@ -236,4 +363,16 @@ describe('ArrayDAO', function() {
       done();
     });
   });
+
+  it('leaves a listener\'s exception to the listener', function(done) {
+    var dao = foam.dao.ArrayDAO.create({of: 'test.Person'});
+    dao.onData.put.sub(function() { throw new Error('listener failed'); });
+
+    // The put succeeded, so isn't rejected.
+    expect(function() { dao.put(people[0]); }).toThrowError('listener failed');
+    dao.find(1).then(function(p) {
+      expect(p).toBe(people[0]);
+      done();
+    });
+  });
 });
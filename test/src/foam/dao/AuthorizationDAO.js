@@ -0,0 +1,219 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('AuthorizationDAO', function() {
+  var delegate;
+  var alice;
+  var bob;
+
+  beforeEach(function(done) {
+    foam.CLASS({
+      package: 'test',
+      name: 'User',
+      properties: ['id']
+    });
+
+    foam.CLASS({
+      package: 'test',
+      name: 'Document',
+      properties: ['id', 'owner', 'title']
+    });
+
+    alice = test.User.create({id: 'alice'});
+    bob   = test.User.create({id: 'bob'});
+
+    delegate = foam.dao.MDAO.create({of: test.Document});
+    delegate.putAll([
+      doc(1, 'alice', 'A1'),
+      doc(2, 'bob', 'B1'),
+      doc(3, 'alice', 'A2')
+    ]).then(function() { done(); });
+  });
+
+  function doc(id, owner, title) {
+    return test.Document.create({id: id, owner: owner, title: title});
+  }
+
+  // Returns an AuthorizationDAO for principal.
+  function daoFor(principal, opt_authorizer) {
+    return foam.dao.AuthorizationDAO.create({
+      delegate: delegate,
+      authorizer: opt_authorizer ||
+          foam.dao.OwnerAuthorizer.create({property: test.Document.OWNER})
+    }, foam.__context__.createSubContext({principal: principal}));
+  }
+
+  function ids(dao) {
+    return dao.select().then(function(sink) {
+      return sink.array.map(function(d) { return d.id; });
+    });
+  }
+
+  function expectPermissionDenied(promise, done) {
+    promise.then(function() {
+      fail('Should be denied');
+      done();
+    }, function(err) {
+      expect(foam.dao.PermissionException.isInstance(err)).toBe(true);
+      expect(err.code).toBe('permission');
+      done();
+    });
+  }
+
+  it('hides objects the principal cannot read from select()', function(done) {
+    ids(daoFor(alice)).then(function(a) {
+      expect(a).toEqual([1, 3]);
+      return ids(daoFor(bob).where(
+          foam.mlang.ExpressionsSingleton.create().EQ(
+              test.Document.TITLE, 'A1')));
+    }).then(function(a) {
+      expect(a).toEqual([]);
+      done();
+    });
+  });
+
+  it('hides objects the principal cannot read from find()', function(done) {
+    var dao = daoFor(bob);
+    dao.find(1).then(function(d) {
+      expect(d).toBe(null);
+      return dao.find(2);
+    }).then(function(d) {
+      expect(d.title).toBe('B1');
+      done();
+    });
+  });
+
+  it('hides everything when reads are denied', function(done) {
+    var dao = daoFor(undefined);
+    dao.find(1).then(function(d) {
+      expect(d).toBe(null);
+      return ids(dao);
+    }).then(function(a) {
+      expect(a).toEqual([]);
+      done();
+    });
+  });
+
+  it('lets the principal put their own objects', function(done) {
+    daoFor(alice).put(doc(4, 'alice', 'A3')).then(function() {
+      return delegate.find(4);
+    }).then(function(d) {
+      expect(d.title).toBe('A3');
+      done();
+    });
+  });
+
+  it('rejects puts of objects for someone else', function(done) {
+    expectPermissionDenied(daoFor(alice).put(doc(4, 'bob', 'B2')), done);
+  });
+
+  it('rejects puts over someone else\'s objects', function(done) {
+    expectPermissionDenied(daoFor(alice).put(doc(2, 'alice', 'Mine')), done);
+  });
+
+  it('rejects removes of someone else\'s objects', function(done) {
+    expectPermissionDenied(daoFor(alice).remove(doc(2)), done);
+  });
+
+  it('rejects writes without a principal', function(done) {
+    expectPermissionDenied(daoFor(undefined).put(doc(4, 'alice')), done);
+  });
+
+  it('only removes the principal\'s objects in removeAll()', function(done) {
+    daoFor(alice).removeAll().then(function() {
+      return ids(delegate);
+    }).then(function(a) {
+      expect(a).toEqual([2]);
+      done();
+    });
+  });
+
+  it('treats a null predicate as allowing everything', function(done) {
+    var open = {
+      readPredicate: function() { return null; },
+      writePredicate: function() { return null; }
+    };
+
+    var dao = daoFor(alice, open);
+    dao.put(doc(2, 'bob', 'B2')).then(function() {
+      return ids(dao);
+    }).then(function(a) {
+      expect(a).toEqual([1, 2, 3]);
+      done();
+    });
+  });
+
+  it('wraps other errors from the authorizer', function(done) {
+    var broken = {
+      readPredicate: function() { return null; },
+      writePredicate: function() { throw new Error('No policy'); }
+    };
+
+    daoFor(alice, broken).put(doc(4, 'alice')).catch(function(err) {
+      expect(foam.dao.PermissionException.isInstance(err)).toBe(true);
+      expect(err.cause.message).toBe('No policy');
+      done();
+    });
+  });
+
+  it('only reports readable objects to listeners', function(done) {
+    var events = [];
+    foam.CLASS({
+      package: 'test',
+      name: 'RecordingSink',
+      implements: ['foam.dao.Sink'],
+      methods: [
+        function put(o) { events.push('put:' + o.id); },
+        function remove(o) { events.push('remove:' + o.id); }
+      ]
+    });
+
+    daoFor(alice).listen(test.RecordingSink.create());
+
+    delegate.put(doc(4, 'alice')).then(function() {
+      return delegate.put(doc(5, 'bob'));
+    }).then(function() {
+      return delegate.remove(doc(5));
+    }).then(function() {
+      expect(events).toEqual(['put:4', 'remove:5']);
+      done();
+    });
+  });
+
+  it('reports only the ID of objects put out of reach', function(done) {
+    var removed = [];
+    foam.CLASS({
+      package: 'test',
+      name: 'RemoveSink',
+      implements: ['foam.dao.Sink'],
+      methods: [
+        function remove(o) { removed.push(o); }
+      ]
+    });
+
+    daoFor(alice).listen(test.RemoveSink.create());
+
+    delegate.put(doc(1, 'bob', 'Salaries')).then(function() {
+      expect(removed.length).toBe(1);
+      expect(removed[0].id).toBe(1);
+      expect(removed[0].owner).toBeUndefined();
+      expect(removed[0].title).toBeUndefined();
+      done();
+    });
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('CachingDAO', function() {
+  var delegate;
+  var dao;
+
+  function ids(sink) {
+    return sink.array.map(function(p) { return p.id; });
+  }
+
+  beforeEach(function(done) {
+    foam.CLASS({
+      package: 'test',
+      name: 'Person',
+      properties: [
+        'id',
+        'name'
+      ]
+    });
+
+    // Counts the reads which reach the delegate, and fails the next
+    // 'failures' selects.
+    foam.CLASS({
+      package: 'test',
+      name: 'CountingDAO',
+      extends: 'foam.dao.ProxyDAO',
+      properties: [
+        {
+          class: 'Int',
+          name: 'reads'
+        },
+        {
+          class: 'Int',
+          name: 'failures'
+        }
+      ],
+      methods: [
+        function find(id) {
+          this.reads++;
+          return this.SUPER(id);
+        },
+        function select(sink, skip, limit, order, predicate) {
+          this.reads++;
+          if ( this.failures ) {
+            this.failures--;
+            return this.reject_('offline');
+          }
+          return this.SUPER(sink, skip, limit, order, predicate);
+        }
+      ]
+    });
+
+    var array = foam.dao.ArrayDAO.create({of: 'test.Person'});
+    delegate = test.CountingDAO.create({delegate: array});
+
+    Promise.all([
+      array.put(test.Person.create({id: 1, name: 'Kevin'})),
+      array.put(test.Person.create({id: 2, name: 'Adam'}))
+    ]).then(function() {
+      dao = foam.dao.CachingDAO.create({delegate: delegate});
+      return dao.synced;
+    }).then(done);
+  });
+
+  it('primes the cache with a single select()', function(done) {
+    expect(delegate.reads).toBe(1);
+
+    dao.select().then(function(sink) {
+      expect(ids(sink)).toEqual([1, 2]);
+      return dao.find(2);
+    }).then(function(p) {
+      expect(p.name).toBe('Adam');
+      expect(delegate.reads).toBe(1);
+      done();
+    });
+  });
+
+  it('writes through to the delegate', function(done) {
+    dao.put(test.Person.create({id: 3, name: 'Braden'})).then(function() {
+      return dao.remove(test.Person.create({id: 1}));
+    }).then(function() {
+      return Promise.all([dao.select(), delegate.delegate.select()]);
+    }).then(function(sinks) {
+      expect(ids(sinks[0])).toEqual([2, 3]);
+      expect(ids(sinks[1])).toEqual([2, 3]);
+      return dao.removeAll();
+    }).then(function() {
+      return Promise.all([dao.select(), delegate.delegate.select()]);
+    }).then(function(sinks) {
+      expect(sinks[0].array.length).toBe(0);
+      expect(sinks[1].array.length).toBe(0);
+      expect(delegate.reads).toBe(1);
+      done();
+    });
+  });
+
+  it('follows changes made directly to the delegate', function(done) {
+    var array = delegate.delegate;
+
+    array.put(test.Person.create({id: 1, name: 'Kevin G'})).then(function() {
+      return array.remove(test.Person.create({id: 2}));
+    }).then(function() {
+      return dao.select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([1]);
+      expect(sink.array[0].name).toBe('Kevin G');
+      done();
+    });
+  });
+
+  it('rebuilds the cache when it fails to follow a change', function(done) {
+    var put = dao.cache.put;
+    dao.cache.put = function() {
+      dao.cache.put = put;
+      return Promise.reject(new Error('full'));
+    };
+
+    delegate.delegate.put(test.Person.create({id: 3})).then(function() {
+      return dao.select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([1, 2, 3]);
+      expect(delegate.reads).toBe(2);
+      done();
+    });
+  });
+
+  it('rebuilds the cache when the delegate is reset', function(done) {
+    var resets = 0;
+    dao.onData.reset.sub(function() { resets++; });
+
+    delegate.delegate.array = [test.Person.create({id: 5})];
+
+    dao.select().then(function(sink) {
+      expect(ids(sink)).toEqual([5]);
+      expect(delegate.reads).toBe(2);
+      expect(resets).toBe(1);
+      done();
+    });
+  });
+
+  it('rebuilds the cache when the delegate is replaced', function(done) {
+    var other = foam.dao.ArrayDAO.create({of: 'test.Person'});
+
+    other.put(test.Person.create({id: 7})).then(function() {
+      dao.delegate = other;
+      return dao.select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([7]);
+      done();
+    });
+  });
+
+  it('rebuilds the cache once its ttl expires', function(done) {
+    var now = 1000;
+    var oldNow = Date.now;
+    Date.now = function() { return now; };
+
+    dao = foam.dao.CachingDAO.create({delegate: delegate, ttl: 100});
+
+    dao.select().then(function() {
+      expect(delegate.reads).toBe(2);
+      now += 50;
+      return dao.find(1);
+    }).then(function() {
+      expect(delegate.reads).toBe(2);
+      now += 100;
+      return Promise.all([dao.find(1), dao.select()]);
+    }).then(function(results) {
+      expect(results[0].id).toBe(1);
+      expect(ids(results[1])).toEqual([1, 2]);
+      expect(delegate.reads).toBe(3);
+      Date.now = oldNow;
+      done();
+    }).catch(function(e) {
+      Date.now = oldNow;
+      fail(e);
+      done();
+    });
+  });
+
+  it('retries filling the cache on the next read after a failure',
+      function(done) {
+    delegate.failures = 1;
+    var cached = foam.dao.CachingDAO.create({delegate: delegate});
+
+    cached.select().then(fail, function(e) {
+      expect(e.message).toBe('offline');
+      return cached.select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([1, 2]);
+      done();
+    });
+  });
+
+  it('fails to fill the cache if a write to it fails', function(done) {
+    var cache = foam.dao.MDAO.create({of: 'test.Person'});
+    var put   = cache.put;
+    cache.put = function() {
+      cache.put = put;
+      return Promise.reject(new Error('full'));
+    };
+
+    var cached = foam.dao.CachingDAO.create({delegate: delegate, cache: cache});
+
+    cached.select().then(fail, function(e) {
+      expect(e.message).toBe('full');
+      return cached.select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([1, 2]);
+      done();
+    });
+  });
+});
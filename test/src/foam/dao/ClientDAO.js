@@ -0,0 +1,243 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('ClientDAO', function() {
+  var server;
+  var client;
+
+  beforeEach(function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'Item',
+      properties: [
+        'id',
+        'name',
+        {
+          class: 'Int',
+          name: 'price'
+        }
+      ]
+    });
+
+    server = foam.dao.MDAO.create({of: test.Item});
+
+    var toServer = foam.box.LoopbackBox.create();
+    client = foam.dao.ClientDAO.create({of: test.Item, delegate: toServer});
+    toServer.delegate = foam.dao.DAOSkeleton.create({
+      dao: server,
+      replyBox: foam.box.LoopbackBox.create({delegate: client})
+    });
+  });
+
+  function item(id, name, price) {
+    return test.Item.create({id: id, name: name, price: price});
+  }
+
+  it('puts and finds through the server', function(done) {
+    client.put(item(1, 'apple', 3)).then(function(o) {
+      expect(o.name).toBe('apple');
+      return server.find(1);
+    }).then(function(o) {
+      expect(o.name).toBe('apple');
+      return client.find(1);
+    }).then(function(o) {
+      expect(test.Item.isInstance(o)).toBe(true);
+      expect(o.price).toBe(3);
+      return client.find(2);
+    }).then(function(o) {
+      expect(o).toBe(null);
+      done();
+    });
+  });
+
+  it('streams select() results into the sink', function(done) {
+    var eof = false;
+    var sink = foam.dao.ArraySink.create();
+    sink.eof = function() { eof = true; };
+
+    Promise.all([
+      server.put(item(1, 'apple', 3)),
+      server.put(item(2, 'pear', 5)),
+      server.put(item(3, 'fig', 1))
+    ]).then(function() {
+      return client.select(sink);
+    }).then(function(s) {
+      expect(s).toBe(sink);
+      expect(s.array.length).toBe(3);
+      expect(eof).toBe(true);
+      done();
+    });
+  });
+
+  it('stops sending to a sink which detaches', function(done) {
+    var received = [];
+    var ended    = false;
+    var sink     = foam.dao.ArraySink.create();
+    sink.put = function(o, sub) { received.push(o.id); sub.detach(); };
+    sink.eof = function() { ended = true; };
+
+    Promise.all([
+      server.put(item(1, 'apple', 3)),
+      server.put(item(2, 'pear', 5))
+    ]).then(function() {
+      return client.select(sink);
+    }).then(function() {
+      expect(received).toEqual([1]);
+      expect(ended).toBe(true);
+      return client.findFirst();
+    }).then(function(o) {
+      expect(o.id).toBe(1);
+      done();
+    });
+  });
+
+  it('sends predicates, orders, skip and limit', function(done) {
+    var M = foam.mlang.ExpressionsSingleton.create();
+
+    Promise.all([
+      server.put(item(1, 'apple', 3)),
+      server.put(item(2, 'pear', 5)),
+      server.put(item(3, 'fig', 1)),
+      server.put(item(4, 'kiwi', 4))
+    ]).then(function() {
+      return client
+          .where(M.GT(test.Item.PRICE, 1))
+          .orderBy(M.DESC(test.Item.PRICE))
+          .skip(1)
+          .limit(2)
+          .select();
+    }).then(function(sink) {
+      expect(sink.array.map(function(o) { return o.id; })).toEqual([4, 1]);
+      done();
+    });
+  });
+
+  it('removes and removes all', function(done) {
+    Promise.all([
+      server.put(item(1, 'apple', 3)),
+      server.put(item(2, 'pear', 5)),
+      server.put(item(3, 'fig', 1))
+    ]).then(function() {
+      return client.remove(item(1));
+    }).then(function() {
+      return server.find(1);
+    }).then(function(o) {
+      expect(o).toBe(null);
+      return client.removeAll();
+    }).then(function() {
+      return server.select();
+    }).then(function(sink) {
+      expect(sink.array.length).toBe(0);
+      done();
+    });
+  });
+
+  it('publishes its own changes on onData', function(done) {
+    var events = [];
+    client.onData.sub(function(sub, on, event) { events.push(event); });
+
+    client.put(item(1, 'apple', 3)).then(function() {
+      return client.remove(item(1));
+    }).then(function() {
+      expect(events).toEqual(['put', 'remove']);
+      done();
+    });
+  });
+
+  it('rejects with the server\'s errors', function(done) {
+    server.put = function() { return Promise.reject(new Error('full')); };
+
+    client.put(item(1)).then(function() {
+      fail('put should have failed');
+      done();
+    }, function(err) {
+      expect(foam.dao.DAOException.isInstance(err)).toBe(true);
+      expect(err.message).toBe('full');
+      done();
+    });
+  });
+
+  it('rejects with errors which are FObjects', function(done) {
+    var validated = foam.dao.ValidationDAO.create({delegate: server});
+    var toServer  = foam.box.LoopbackBox.create();
+    var c = foam.dao.ClientDAO.create({delegate: toServer});
+    toServer.delegate = foam.dao.DAOSkeleton.create({
+      dao: validated,
+      replyBox: foam.box.LoopbackBox.create({delegate: c})
+    });
+    validated.validate_ = function() { return [{message: 'bad'}]; };
+
+    c.put(item(1)).then(function() {
+      fail('put should have failed');
+      done();
+    }, function(err) {
+      expect(foam.dao.ValidationException.isInstance(err)).toBe(true);
+      expect(err.message).toBe('bad');
+      done();
+    });
+  });
+
+  it('rejects calls which aren\'t answered in time', function(done) {
+    // Drops every call.
+    var silent = foam.dao.ClientDAO.create({
+      of: test.Item,
+      delegate: {send: function() {}},
+      timeout: 10
+    });
+
+    silent.find(1).then(fail, function(e) {
+      expect(foam.dao.DAOException.isInstance(e)).toBe(true);
+      expect(e.message).toBe('ClientDAO find() timed out after 10ms');
+      expect(Object.keys(silent.pending_)).toEqual([]);
+      done();
+    });
+  });
+
+  it('restarts the timeout on each streamed result', function(done) {
+    // Streams three items, 15ms apart, then returns.
+    var slow = foam.dao.ClientDAO.create({
+      of: test.Item,
+      timeout: 25,
+      delegate: {
+        send: function(msg) {
+          var n = 0;
+          var timer = setInterval(function() {
+            if ( ++n <= 3 ) {
+              slow.send(foam.box.SinkMessage.create({
+                id: msg.id,
+                name: 'put',
+                obj: item(n, 'item' + n, n)
+              }));
+              return;
+            }
+            clearInterval(timer);
+            slow.send(foam.box.ReturnMessage.create({id: msg.id}));
+          }, 15);
+        }
+      }
+    });
+
+    slow.select().then(function(sink) {
+      expect(sink.array.length).toBe(3);
+      done();
+    }, function(e) {
+      fail(e);
+      done();
+    });
+  });
+});
@@ -0,0 +1,428 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('DAO decorators', function() {
+  var M;
+  var dao;
+  var people;
+
+  function ids(sink) {
+    return sink.array.map(function(p) { return p.id; });
+  }
+
+  beforeEach(function(done) {
+    foam.CLASS({
+      package: 'test',
+      name: 'Person',
+      properties: [
+        'id',
+        'name',
+        {
+          class: 'Int',
+          name: 'age'
+        }
+      ]
+    });
+
+    M = foam.mlang.ExpressionsSingleton.create();
+    dao = foam.dao.ArrayDAO.create({of: 'test.Person'});
+    people = [];
+    for ( var i = 0 ; i < 50 ; i++ ) {
+      people.push(test.Person.create({
+        id: i,
+        name: 'p' + ( 49 - i ),
+        age: i % 10
+      }));
+    }
+    Promise.all(people.map(dao.put.bind(dao))).then(done);
+  });
+
+  it('are DAOs themselves', function() {
+    var view = dao.where(M.TRUE()).orderBy(test.Person.NAME).skip(1).limit(2);
+    expect(foam.dao.DAO.isInstance(view)).toBe(true);
+    expect(foam.dao.LimitDAO.isInstance(view)).toBe(true);
+    expect(view.of).toBe('test.Person');
+  });
+
+  it('filter with where()', function(done) {
+    dao.where(M.EQ(test.Person.AGE, 3)).select().then(function(sink) {
+      expect(ids(sink)).toEqual([3, 13, 23, 33, 43]);
+      return dao.where(M.EQ(test.Person.AGE, 3)).select(
+          undefined, undefined, undefined, undefined, M.GT(test.Person.ID, 20));
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([23, 33, 43]);
+      return dao.where(M.EQ(test.Person.AGE, 3)).find(4);
+    }).then(function(obj) {
+      expect(obj).toBe(null);
+      return dao.where(M.EQ(test.Person.AGE, 3)).find(13);
+    }).then(function(obj) {
+      expect(obj).toBe(people[13]);
+      done();
+    });
+  });
+
+  it('order with orderBy()', function(done) {
+    dao.orderBy(test.Person.NAME).limit(3).select().then(function(sink) {
+      expect(ids(sink)).toEqual([49, 48, 39]);
+      return dao.orderBy(test.Person.AGE, M.DESC(test.Person.ID)).limit(3)
+          .select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([40, 30, 20]);
+      done();
+    });
+  });
+
+  it('page with skip() and limit() in either order', function(done) {
+    dao.skip(10).limit(5).select().then(function(sink) {
+      expect(ids(sink)).toEqual([10, 11, 12, 13, 14]);
+      return dao.limit(15).skip(10).select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([10, 11, 12, 13, 14]);
+      return dao.limit(15).skip(10).select(undefined, 2, 10);
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([12, 13, 14]);
+      return dao.limit(5).skip(10).select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([]);
+      done();
+    });
+  });
+
+  it('chain where().orderBy().skip().limit()', function(done) {
+    dao.where(M.LT(test.Person.AGE, 5))
+        .orderBy(M.DESC(test.Person.ID))
+        .skip(2)
+        .limit(4)
+        .select()
+        .then(function(sink) {
+          expect(ids(sink)).toEqual([42, 41, 40, 34]);
+          done();
+        });
+  });
+
+  it('removeAll() only the items in the view', function(done) {
+    dao.where(M.EQ(test.Person.AGE, 0)).orderBy(M.DESC(test.Person.ID))
+        .limit(2).removeAll().then(function() {
+          return dao.select();
+        }).then(function(sink) {
+          expect(sink.array.length).toBe(48);
+          return dao.where(M.EQ(test.Person.AGE, 0)).select();
+        }).then(function(sink) {
+          expect(ids(sink)).toEqual([0, 10, 20]);
+          done();
+        });
+  });
+
+  it('forward onData events so views stay live', function(done) {
+    var view = dao.where(M.EQ(test.Person.AGE, 3)).orderBy(test.Person.NAME);
+    var events = [];
+    view.onData.sub(function(s, on, event, obj) {
+      events.push(event + ':' + obj.id);
+    });
+
+    // Matches the filter.
+    dao.put(test.Person.create({id: 100, age: 3})).then(function() {
+      // Doesn't match, and wasn't in the view.
+      return dao.remove(people[4]);
+    }).then(function() {
+      // No longer matches, so leaves the view.
+      return dao.put(test.Person.create({id: 13, age: 4}));
+    }).then(function() {
+      expect(events).toEqual(['put:100', 'remove:13']);
+      done();
+    });
+  });
+});
+
+
+describe('DAO.listen()', function() {
+  var M;
+  var events;
+  var sink;
+
+  beforeEach(function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'Person',
+      properties: [
+        'id',
+        {
+          class: 'Int',
+          name: 'age'
+        }
+      ]
+    });
+
+    foam.CLASS({
+      package: 'test',
+      name: 'RecordingSink',
+      implements: ['foam.dao.Sink'],
+      properties: ['events'],
+      methods: [
+        function put(o) { this.events.push('put:' + o.id); },
+        function remove(o) { this.events.push('remove:' + o.id); },
+        function reset() { this.events.push('reset'); }
+      ]
+    });
+
+    M      = foam.mlang.ExpressionsSingleton.create();
+    events = [];
+    sink   = test.RecordingSink.create({events: events});
+  });
+
+  function person(id, age) {
+    return test.Person.create({id: id, age: age});
+  }
+
+  [ 'ArrayDAO', 'MDAO' ].forEach(function(name) {
+    it('reports changes to an ' + name, function(done) {
+      var dao = foam.dao[name].create({of: 'test.Person'});
+      dao.listen(sink);
+
+      dao.put(person(1, 10)).then(function() {
+        return dao.put(person(2, 20));
+      }).then(function() {
+        return dao.remove(person(1));
+      }).then(function() {
+        return dao.removeAll();
+      }).then(function() {
+        expect(events).toEqual(['put:1', 'put:2', 'remove:1', 'remove:2']);
+        done();
+      });
+    });
+  });
+
+  it('only reports objects matching the predicate', function(done) {
+    var dao = foam.dao.ArrayDAO.create({of: 'test.Person'});
+    dao.listen(sink, M.GT(test.Person.AGE, 15));
+
+    dao.put(person(1, 10)).then(function() {
+      return dao.put(person(2, 20));
+    }).then(function() {
+      return dao.remove(person(1, 10));
+    }).then(function() {
+      // Updated so it no longer matches.
+      return dao.put(person(2, 5));
+    }).then(function() {
+      expect(events).toEqual(['remove:1', 'put:2', 'remove:2']);
+      done();
+    });
+  });
+
+  it('stops reporting when detached', function(done) {
+    var dao = foam.dao.ArrayDAO.create({of: 'test.Person'});
+    var sub = dao.listen(sink);
+
+    dao.put(person(1)).then(function() {
+      sub.detach();
+      return dao.put(person(2));
+    }).then(function() {
+      expect(events).toEqual(['put:1']);
+      done();
+    });
+  });
+
+  it('calls reset() when the contents are replaced', function(done) {
+    var dao = foam.dao.ArrayDAO.create({of: 'test.Person'});
+    var proxy = foam.dao.ProxyDAO.create({delegate: dao});
+    proxy.listen(sink);
+
+    dao.put(person(1)).then(function() {
+      dao.array = [person(2)];
+      proxy.delegate = foam.dao.MDAO.create({of: 'test.Person'});
+
+      expect(events).toEqual(['put:1', 'reset', 'reset']);
+      done();
+    });
+  });
+
+  it('is honored by decorated views', function(done) {
+    var dao = foam.dao.MDAO.create({of: 'test.Person'});
+    var limited = test.RecordingSink.create({events: []});
+
+    dao.where(M.LT(test.Person.AGE, 30)).orderBy(test.Person.AGE).listen(sink);
+    dao.skip(1).limit(2).listen(limited);
+
+    dao.put(person(1, 10)).then(function() {
+      return dao.put(person(2, 40));
+    }).then(function() {
+      return dao.remove(person(1));
+    }).then(function() {
+      expect(events).toEqual(['put:1', 'remove:2', 'remove:1']);
+      // Skip and limit can't tell which changes are in their window.
+      expect(limited.events).toEqual(['reset', 'reset', 'reset']);
+      done();
+    });
+  });
+});
+
+describe('Cancellable select()', function() {
+  var M;
+
+  beforeEach(function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'Person',
+      properties: [
+        'id',
+        {
+          class: 'Int',
+          name: 'age'
+        }
+      ]
+    });
+
+    foam.CLASS({
+      package: 'test',
+      name: 'TakeSink',
+      implements: ['foam.dao.Sink'],
+      properties: [
+        'count',
+        {
+          name: 'array',
+          factory: function() { return []; }
+        },
+        {
+          class: 'Boolean',
+          name: 'ended'
+        }
+      ],
+      methods: [
+        function put(o, sub) {
+          this.array.push(o.id);
+          if ( this.array.length === this.count ) sub.detach();
+        },
+        function eof() { this.ended = true; }
+      ]
+    });
+
+    M = foam.mlang.ExpressionsSingleton.create();
+  });
+
+  function fill(dao) {
+    var ps = [];
+    for ( var i = 0 ; i < 20 ; i++ ) {
+      ps.push(dao.put(test.Person.create({id: i, age: i % 5})));
+    }
+    return Promise.all(ps);
+  }
+
+  [ 'ArrayDAO', 'MDAO' ].forEach(function(name) {
+    describe('on an ' + name, function() {
+      var dao;
+
+      beforeEach(function(done) {
+        dao = foam.dao[name].create({of: 'test.Person'});
+        fill(dao).then(done);
+      });
+
+      it('stops when the sink detaches and still calls eof()', function(done) {
+        var sink = test.TakeSink.create({count: 3});
+        dao.select(sink).then(function() {
+          expect(sink.array).toEqual([0, 1, 2]);
+          expect(sink.ended).toBe(true);
+          done();
+        });
+      });
+
+      it('stops ordered and filtered selects', function(done) {
+        var sink = test.TakeSink.create({count: 2});
+        dao.where(M.EQ(test.Person.AGE, 3))
+            .orderBy(M.DESC(test.Person.ID))
+            .skip(1)
+            .select(sink)
+            .then(function() {
+              expect(sink.array).toEqual([13, 8]);
+              expect(sink.ended).toBe(true);
+              done();
+            });
+      });
+
+      it('doesn\'t test the predicate after stopping', function(done) {
+        var tested = 0;
+        var pred   = M.GTE(test.Person.AGE, 0);
+        pred.f = function() { tested++; return true; };
+
+        dao.select(test.TakeSink.create({count: 1}),
+            undefined, undefined, undefined, pred).then(function() {
+              expect(tested).toBe(1);
+              done();
+            });
+      });
+
+      it('finds the first match with findFirst()', function(done) {
+        dao.findFirst(M.GT(test.Person.AGE, 3)).then(function(p) {
+          expect(p.id).toBe(4);
+          return dao.findFirst(M.GT(test.Person.AGE, 10));
+        }).then(function(p) {
+          expect(p).toBe(null);
+          return dao.orderBy(M.DESC(test.Person.ID)).findFirst();
+        }).then(function(p) {
+          expect(p.id).toBe(19);
+          done();
+        });
+      });
+
+      it('checks for matches with exists()', function(done) {
+        dao.exists(M.EQ(test.Person.AGE, 2)).then(function(b) {
+          expect(b).toBe(true);
+          return dao.exists(M.EQ(test.Person.AGE, 7));
+        }).then(function(b) {
+          expect(b).toBe(false);
+          return dao.removeAll();
+        }).then(function() {
+          return dao.exists();
+        }).then(function(b) {
+          expect(b).toBe(false);
+          done();
+        });
+      });
+    });
+  });
+
+  it('passes the listen() subscription to the sink', function(done) {
+    var dao  = foam.dao.ArrayDAO.create({of: 'test.Person'});
+    var sink = test.TakeSink.create({count: 1});
+    dao.listen(sink);
+
+    dao.put(test.Person.create({id: 1})).then(function() {
+      return dao.put(test.Person.create({id: 2}));
+    }).then(function() {
+      expect(sink.array).toEqual([1]);
+      done();
+    });
+  });
+});
+
+
+describe('foam.dao.classOf()', function() {
+  beforeEach(function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'Person',
+      properties: ['id']
+    });
+  });
+
+  it('looks up class ids, and returns classes as they are', function() {
+    expect(foam.dao.classOf('test.Person')).toBe(test.Person);
+    var x = foam.__context__.createSubContext({});
+    expect(foam.dao.classOf('test.Person', x)).toBe(test.Person);
+    expect(foam.dao.classOf(test.Person)).toBe(test.Person);
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('DAODiff', function() {
+  var fixture;
+  var live;
+
+  beforeEach(function(done) {
+    foam.CLASS({
+      package: 'test',
+      name: 'Item',
+      properties: [
+        {
+          class: 'Int',
+          name: 'id'
+        },
+        {
+          class: 'String',
+          name: 'name'
+        },
+        {
+          class: 'Int',
+          name: 'stock'
+        }
+      ]
+    });
+
+    fixture = foam.dao.ArrayDAO.create({of: test.Item});
+    live    = foam.dao.MDAO.create({of: test.Item});
+
+    Promise.all([
+      fixture.putAll([
+        item(5, 'Eel', 5),
+        item(1, 'Ant', 1),
+        item(2, 'Bee', 2),
+        item(4, 'Dog', 4)
+      ]),
+      live.putAll([
+        item(2, 'Bee', 2),
+        item(3, 'Cat', 3),
+        item(4, 'Dog', 40),
+        item(5, 'Emu', 50),
+        item(6, 'Fox', 6)
+      ])
+    ]).then(function() { done(); });
+  });
+
+  function item(id, name, stock) {
+    return test.Item.create({id: id, name: name, stock: stock});
+  }
+
+  function summary(records) {
+    return records.map(function(r) { return r.type + ' ' + r.id; });
+  }
+
+  it('finds added, removed and changed objects in ID order', function(done) {
+    fixture.diff(live).then(function(sink) {
+      var records = sink.array;
+
+      expect(summary(records)).toEqual([
+        'removed 1',
+        'added 3',
+        'changed 4',
+        'changed 5',
+        'added 6'
+      ]);
+      expect(records[0].old.name).toBe('Ant');
+      expect(records[0].nu).toBe(null);
+      expect(records[1].nu.name).toBe('Cat');
+      expect(records[1].old).toBe(null);
+      expect(records[2].changes).toEqual({stock: 40});
+      expect(records[3].changes).toEqual({name: 'Emu', stock: 50});
+      expect(records[3].old.name).toBe('Eel');
+      done();
+    });
+  });
+
+  it('reads both DAOs in batches', function(done) {
+    var sink = foam.dao.ArraySink.create();
+
+    foam.dao.DAODiff.create({from: live, to: fixture, batchSize: 2})
+        .diff(sink)
+        .then(function(s) {
+          expect(s).toBe(sink);
+          expect(summary(sink.array)).toEqual([
+            'added 1',
+            'removed 3',
+            'changed 4',
+            'changed 5',
+            'removed 6'
+          ]);
+          done();
+        });
+  });
+
+  it('selects batches by ID rather than by skipping', function(done) {
+    var select = live.select;
+    var skips  = [];
+
+    // Removes an object already seen once the first batch is selected,
+    // which would shift later batches if they were skipped to.
+    live.select = function(sink, skip) {
+      skips.push(skip || 0);
+      var ret = select.apply(this, arguments);
+      if ( skips.length > 1 ) return ret;
+      return ret.then(function(s) {
+        return live.remove(item(2)).then(function() { return s; });
+      });
+    };
+
+    foam.dao.DAODiff.create({from: fixture, to: live, batchSize: 2})
+        .diff()
+        .then(function(sink) {
+          expect(summary(sink.array)).toEqual([
+            'removed 1',
+            'added 3',
+            'changed 4',
+            'changed 5',
+            'added 6'
+          ]);
+          expect(skips).toEqual([0, 0, 0]);
+          done();
+        });
+  });
+
+  it('finds no differences between equal DAOs', function(done) {
+    live.diff(live).then(function(sink) {
+      expect(sink.array).toEqual([]);
+      done();
+    });
+  });
+
+  it('replays a diff with applyDiff()', function(done) {
+    var copy = foam.dao.MDAO.create({of: test.Item});
+
+    copy.putAll([
+      item(1, 'Ant', 1),
+      item(4, 'Dingo', 4)
+    ]).then(function() {
+      return fixture.diff(live);
+    }).then(function(sink) {
+      return copy.applyDiff(sink.array);
+    }).then(function() {
+      return copy.select();
+    }).then(function(sink) {
+      expect(sink.array.map(function(o) {
+        return [o.id, o.name, o.stock];
+      })).toEqual([
+        [3, 'Cat', 3],
+        // Only the changed stock is applied.
+        [4, 'Dingo', 40],
+        // Not in copy, so put whole.
+        [5, 'Emu', 50],
+        [6, 'Fox', 6]
+      ]);
+      done();
+    });
+  });
+
+  it('makes the DAOs equal when applied to the first', function(done) {
+    fixture.diff(live).then(function(sink) {
+      return fixture.applyDiff(sink.array);
+    }).then(function() {
+      return fixture.diff(live);
+    }).then(function(sink) {
+      expect(sink.array).toEqual([]);
+      done();
+    });
+  });
+
+  it('rejects when a DAO fails', function(done) {
+    var errors = [];
+    var sink   = foam.dao.ArraySink.create();
+    sink.error = function(e) { errors.push(e); };
+
+    live.select = function() { return Promise.reject(new Error('offline')); };
+
+    fixture.diff(live, sink).then(function() {
+      fail('Expected the diff to fail');
+    }, function(e) {
+      expect(foam.dao.DAOException.isInstance(e)).toBe(true);
+      expect(e.message).toBe('offline');
+      expect(errors).toEqual([e]);
+      done();
+    });
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('DAO errors', function() {
+  beforeEach(function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'Person',
+      properties: ['id', 'name']
+    });
+
+    foam.CLASS({
+      package: 'test',
+      name: 'BadPerson',
+      properties: [
+        {
+          name: 'id',
+          getter: function() { throw new Error('bad id'); }
+        }
+      ]
+    });
+
+    foam.CLASS({
+      package: 'test',
+      name: 'ThrowingSink',
+      implements: ['foam.dao.Sink'],
+      properties: [
+        {
+          name: 'errors',
+          factory: function() { return []; }
+        },
+        {
+          class: 'Boolean',
+          name: 'ended'
+        }
+      ],
+      methods: [
+        function put() { throw new Error('sink failed'); },
+        function eof() { this.ended = true; },
+        function error(e) { this.errors.push(e); }
+      ]
+    });
+  });
+
+  it('are modelled with a code and message', function() {
+    var e = foam.dao.DAOException.create({message: 'oops'});
+    expect(e.code).toBe('internal');
+    expect(e.toString()).toBe('DAOException: oops');
+
+    e = foam.dao.NotFoundException.create({id: 7});
+    expect(foam.dao.DAOException.isInstance(e)).toBe(true);
+    expect(e.code).toBe('notFound');
+    expect(e.message).toBe('Object not found: 7');
+
+    e = foam.dao.PermissionException.create();
+    expect(e.code).toBe('permission');
+    expect(e.message).toBe('Permission denied.');
+
+    e = foam.dao.ValidationException.create({errors: [{message: 'No.'}]});
+    expect(foam.dao.DAOException.isInstance(e)).toBe(true);
+    expect(e.code).toBe('validation');
+    expect(e.toString()).toBe('ValidationException: No.');
+  });
+
+  [ 'ArrayDAO', 'MDAO' ].forEach(function(name) {
+    describe('from an ' + name, function() {
+      var dao;
+
+      beforeEach(function(done) {
+        dao = foam.dao[name].create({of: 'test.Person'});
+        dao.put(test.Person.create({id: 1})).then(function() { done(); });
+      });
+
+      it('reject select() when the sink throws', function(done) {
+        var sink = test.ThrowingSink.create();
+
+        dao.select(sink).then(function() {
+          fail('select() should have failed');
+          done();
+        }, function(e) {
+          expect(foam.dao.DAOException.isInstance(e)).toBe(true);
+          expect(e.code).toBe('internal');
+          expect(e.message).toBe('sink failed');
+          expect(e.cause.message).toBe('sink failed');
+          expect(sink.errors).toEqual([e]);
+          expect(sink.ended).toBe(false);
+          done();
+        });
+      });
+
+      it('reject put() instead of throwing', function(done) {
+        var p;
+        expect(function() {
+          p = dao.put(test.BadPerson.create());
+        }).not.toThrow();
+
+        p.catch(function(e) {
+          expect(e.code).toBe('internal');
+          expect(e.message).toBe('bad id');
+          done();
+        });
+      });
+    });
+  });
+
+  it('are passed through ValidationDAO to the sink', function(done) {
+    var dao = foam.dao.ValidationDAO.create({
+      delegate: foam.dao.ArrayDAO.create({of: 'test.Person'})
+    });
+    dao.validate_ = function() { return [{message: 'bad'}]; };
+
+    var sink = test.ThrowingSink.create();
+    dao.put(test.Person.create({id: 1}), sink).catch(function(e) {
+      expect(e.code).toBe('validation');
+      expect(sink.errors).toEqual([e]);
+      done();
+    });
+  });
+
+  describe('through a ClientDAO', function() {
+    var server;
+    var client;
+
+    beforeEach(function(done) {
+      server = foam.dao.MDAO.create({of: test.Person});
+
+      var toServer = foam.box.LoopbackBox.create();
+      client = foam.dao.ClientDAO.create({of: test.Person, delegate: toServer});
+      toServer.delegate = foam.dao.DAOSkeleton.create({
+        dao: server,
+        replyBox: foam.box.LoopbackBox.create({delegate: client})
+      });
+
+      server.put(test.Person.create({id: 1})).then(function() { done(); });
+    });
+
+    it('keep their class and code', function(done) {
+      server.remove = function() {
+        return Promise.reject(foam.dao.PermissionException.create());
+      };
+
+      client.remove(test.Person.create({id: 1})).catch(function(e) {
+        expect(foam.dao.PermissionException.isInstance(e)).toBe(true);
+        expect(e.code).toBe('permission');
+        done();
+      });
+    });
+
+    it('wrap other errors', function(done) {
+      server.find = function() { throw new Error('disk on fire'); };
+
+      client.find(1).catch(function(e) {
+        expect(foam.dao.DAOException.isInstance(e)).toBe(true);
+        expect(e.message).toBe('disk on fire');
+        done();
+      });
+    });
+
+    it('reject select() when the local sink throws', function(done) {
+      var sink = test.ThrowingSink.create();
+
+      client.select(sink).catch(function(e) {
+        expect(e.message).toBe('sink failed');
+        expect(sink.errors).toEqual([e]);
+        expect(sink.ended).toBe(false);
+        done();
+      });
+    });
+  });
+});
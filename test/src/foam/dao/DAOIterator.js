@@ -0,0 +1,221 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('DAO.iterate()', function() {
+  var M;
+  var dao;
+  var selects;
+
+  beforeEach(function(done) {
+    foam.CLASS({
+      package: 'test',
+      name: 'Person',
+      properties: [
+        'id',
+        {
+          class: 'Int',
+          name: 'age'
+        }
+      ]
+    });
+
+    M   = foam.mlang.ExpressionsSingleton.create();
+    dao = foam.dao.MDAO.create({of: 'test.Person'});
+
+    var ps = [];
+    for ( var i = 0 ; i < 25 ; i++ ) {
+      ps.push(dao.put(test.Person.create({id: i, age: i % 5})));
+    }
+
+    // Count the selects, to check that batches are read lazily.
+    selects = 0;
+    var select = dao.select;
+    dao.select = function() {
+      selects++;
+      return select.apply(this, arguments);
+    };
+
+    Promise.all(ps).then(function() { done(); });
+  });
+
+  function ids(array) {
+    return array.map(function(p) { return p.id; });
+  }
+
+  it('works with for await', async function() {
+    var seen = [];
+    for await ( var p of dao.iterate(M.EQ(test.Person.AGE, 2)) ) {
+      seen.push(p.id);
+    }
+    expect(seen).toEqual([2, 7, 12, 17, 22]);
+  });
+
+  it('cancels on break', async function() {
+    var it   = dao.iterate();
+    var seen = [];
+    it.batchSize = 10;
+
+    for await ( var p of it ) {
+      seen.push(p.id);
+      if ( seen.length === 3 ) break;
+    }
+
+    expect(seen).toEqual([0, 1, 2]);
+    expect(selects).toBe(1);
+    var r = await it.next();
+    expect(r.done).toBe(true);
+  });
+
+  it('selects in batches as they are consumed', function(done) {
+    var it = dao.iterate();
+    it.batchSize = 10;
+
+    var seen = [];
+    function step() {
+      return it.next().then(function(r) {
+        if ( r.done ) return;
+        seen.push(r.value.id);
+        if ( seen.length === 10 ) expect(selects).toBe(1);
+        if ( seen.length === 11 ) expect(selects).toBe(2);
+        return step();
+      });
+    }
+
+    step().then(function() {
+      expect(seen.length).toBe(25);
+      expect(selects).toBe(3);
+      done();
+    });
+  });
+
+  it('supports skip, limit and order', function(done) {
+    var it = dao.iterate(
+        M.LT(test.Person.AGE, 2), 1, 6, M.DESC(test.Person.ID));
+    it.batchSize = 4;
+
+    var seen = [];
+    function step() {
+      return it.next().then(function(r) {
+        if ( r.done ) return;
+        seen.push(r.value.id);
+        return step();
+      });
+    }
+
+    step().then(function() {
+      expect(seen).toEqual([20, 16, 15, 11, 10, 6]);
+      done();
+    });
+  });
+
+  it('detaches from a select in progress when closed', function(done) {
+    var it = dao.iterate();
+    var detached = false;
+
+    it.return().then(function() {
+      it.put(test.Person.create({id: 99}), {
+        detach: function() { detached = true; }
+      });
+      expect(detached).toBe(true);
+      expect(it.buffer_.length).toBe(0);
+      done();
+    });
+  });
+});
+
+describe('DAO.putAllFrom()', function() {
+  beforeEach(function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'Person',
+      properties: ['id']
+    });
+  });
+
+  function people(n) {
+    var a = [];
+    for ( var i = 0 ; i < n ; i++ ) a.push(test.Person.create({id: i}));
+    return a;
+  }
+
+  it('copies another DAO through its iterator', function(done) {
+    var src = foam.dao.ArrayDAO.create({of: 'test.Person'});
+    var dst = foam.dao.MDAO.create({of: 'test.Person'});
+
+    src.putAll(people(12)).then(function() {
+      return dst.putAllFrom(src.iterate(), 5);
+    }).then(function(count) {
+      expect(count).toBe(12);
+      return dst.select();
+    }).then(function(sink) {
+      expect(sink.array.length).toBe(12);
+      done();
+    });
+  });
+
+  it('puts each batch with putAll()', function(done) {
+    var dao = foam.dao.ArrayDAO.create({of: 'test.Person'});
+    var batches = [];
+    var putAll = dao.putAll;
+    dao.putAll = function(objs) {
+      batches.push(objs.length);
+      return putAll.call(this, objs);
+    };
+
+    async function* generate() {
+      for ( var i = 0 ; i < 7 ; i++ ) yield test.Person.create({id: i});
+    }
+
+    dao.putAllFrom(generate(), 3).then(function(count) {
+      expect(count).toBe(7);
+      expect(batches).toEqual([3, 3, 1]);
+      done();
+    });
+  });
+
+  it('accepts ordinary iterables', function(done) {
+    var dao = foam.dao.MDAO.create({of: 'test.Person'});
+    dao.putAllFrom(people(3)).then(function(count) {
+      expect(count).toBe(3);
+      done();
+    });
+  });
+
+  it('closes the iterable when a put fails', function(done) {
+    var dao    = foam.dao.MDAO.create({of: 'test.Person'});
+    var closed = false;
+
+    async function* generate() {
+      try {
+        for ( var i = 0 ; i < 10 ; i++ ) yield test.Person.create({id: i});
+      } finally {
+        closed = true;
+      }
+    }
+
+    dao.putAll = function() { return Promise.reject(new Error('full')); };
+
+    dao.putAllFrom(generate(), 2).catch(function(err) {
+      expect(err.message).toBe('full');
+      setTimeout(function() {
+        expect(closed).toBe(true);
+        done();
+      }, 0);
+    });
+  });
+});
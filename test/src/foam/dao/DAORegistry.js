@@ -0,0 +1,108 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('DAO registry', function() {
+  beforeEach(function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'Person',
+      properties: ['id', 'name']
+    });
+
+    foam.CLASS({
+      package: 'test',
+      name: 'Order',
+      properties: ['id', 'person']
+    });
+
+    foam.CLASS({
+      package: 'test',
+      name: 'PersonList',
+      imports: ['personDAO'],
+      methods: [
+        function names() {
+          return this.personDAO.select().then(function(sink) {
+            return sink.array.map(function(p) { return p.name; });
+          });
+        }
+      ]
+    });
+
+    foam.CLASS({
+      package: 'test',
+      name: 'App',
+      requires: ['test.PersonList'],
+      daos: [
+        'test.Person',
+        {of: 'test.Order', seqNo: true},
+        {of: 'test.Order', name: 'archivedOrderDAO'}
+      ]
+    });
+  });
+
+  it('names DAOs by convention', function() {
+    expect(foam.dao.daoKey('test.Person')).toBe('personDAO');
+    expect(foam.dao.daoKey('OrderLine')).toBe('orderLineDAO');
+  });
+
+  it('adds a property holding an EasyDAO for each entry', function() {
+    var app = test.App.create();
+
+    expect(foam.dao.EasyDAO.isInstance(app.personDAO)).toBe(true);
+    expect(app.personDAO.of).toBe('test.Person');
+    expect(app.personDAO).toBe(app.personDAO);
+    expect(app.orderDAO.seqNo).toBe(true);
+    expect(app.archivedOrderDAO.name).toBe('archivedOrderDAO');
+    expect(app.archivedOrderDAO).not.toBe(app.orderDAO);
+  });
+
+  it('exports the DAOs to the sub-context', function(done) {
+    var app = test.App.create();
+
+    expect(app.__subContext__.orderDAO).toBe(app.orderDAO);
+
+    app.personDAO.put(test.Person.create({id: 1, name: 'Adam'}))
+        .then(function() {
+          return app.PersonList.create().names();
+        }).then(function(names) {
+          expect(names).toEqual(['Adam']);
+          done();
+        });
+  });
+
+  it('lets relationships find their DAOs', function(done) {
+    foam.RELATIONSHIP({
+      sourceModel: 'test.Person',
+      targetModel: 'test.Order',
+      forwardName: 'orders',
+      inverseName: 'person'
+    });
+
+    var app  = test.App.create();
+    var adam = test.Person.create({id: 1}, app);
+
+    adam.orders.put(test.Order.create()).then(function(order) {
+      expect(order.id).toBe(1);
+      expect(order.person).toBe(1);
+      return app.orderDAO.select();
+    }).then(function(sink) {
+      expect(sink.array.length).toBe(1);
+      done();
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('EasyDAO', function() {
+  beforeEach(function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'Person',
+      properties: [
+        'id',
+        {
+          name: 'name',
+          required: true
+        }
+      ]
+    });
+  });
+
+  // Returns the class names of the DAOs in dao's stack, outermost first.
+  function stack(dao) {
+    var names = [];
+    for ( dao = dao.delegate ; dao ; dao = dao.delegate ) {
+      names.push(dao.cls_.name);
+    }
+    return names;
+  }
+
+  it('defaults to an MDAO', function() {
+    var dao = foam.dao.EasyDAO.create({of: test.Person});
+    expect(stack(dao)).toEqual(['MDAO']);
+    expect(dao.name).toBe('personDAO');
+  });
+
+  it('assembles decorators from its flags', function() {
+    var dao = foam.dao.EasyDAO.create({
+      of: 'test.Person',
+      seqNo: true,
+      validated: true,
+      cached: true,
+      logging: true
+    });
+
+    expect(stack(dao)).toEqual([
+      'LoggingDAO',
+      'SequenceNumberDAO',
+      'ValidationDAO',
+      'CachingDAO',
+      'MDAO'
+    ]);
+    expect(dao.delegate.name).toBe('personDAO');
+  });
+
+  it('stores objects in remoteDAO if given', function() {
+    var remote = foam.dao.ArrayDAO.create({of: test.Person});
+    var dao    = foam.dao.EasyDAO.create({
+      of: test.Person,
+      guid: true,
+      remoteDAO: remote
+    });
+
+    expect(stack(dao)).toEqual(['GUIDDAO', 'ArrayDAO']);
+    expect(dao.delegate.delegate).toBe(remote);
+  });
+
+  it('puts objects through the stack', function(done) {
+    var dao = foam.dao.EasyDAO.create({
+      of: test.Person,
+      seqNo: true,
+      validated: true
+    });
+
+    dao.put(test.Person.create({name: 'Adam'})).then(function(p) {
+      expect(p.id).toBe(1);
+      return dao.put(test.Person.create());
+    }).then(function() {
+      fail('put() should be rejected');
+    }, function(err) {
+      expect(foam.dao.ValidationException.isInstance(err)).toBe(true);
+      return dao.select();
+    }).then(function(sink) {
+      expect(sink.array.length).toBe(1);
+      done();
+    });
+  });
+
+  it('rejects both seqNo and guid', function() {
+    expect(function() {
+      foam.dao.EasyDAO.create({of: test.Person, seqNo: true, guid: true});
+    }).toThrowError(/both seqNo and guid/);
+  });
+
+  it('rejects both persistent and a remoteDAO', function() {
+    expect(function() {
+      foam.dao.EasyDAO.create({
+        of: test.Person,
+        persistent: true,
+        remoteDAO: foam.dao.ArrayDAO.create({of: test.Person})
+      });
+    }).toThrowError(/both persistent and have a remoteDAO/);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('GUIDDAO', function() {
+  var array;
+
+  beforeEach(function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'Person',
+      properties: [
+        'id',
+        'name'
+      ]
+    });
+
+    array = foam.dao.ArrayDAO.create({of: 'test.Person'});
+  });
+
+  it('assigns GUIDs to objects without an ID', function(done) {
+    var dao = foam.dao.GUIDDAO.create({delegate: array});
+
+    Promise.all([
+      dao.put(test.Person.create({name: 'Kevin'})),
+      dao.put(test.Person.create({name: 'Adam'}))
+    ]).then(function(people) {
+      expect(people[0].id).toMatch(
+          /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      expect(people[0].id).not.toBe(people[1].id);
+      return array.find(people[1].id);
+    }).then(function(p) {
+      expect(p.name).toBe('Adam');
+      done();
+    });
+  });
+
+  it('keeps IDs which are already set', function(done) {
+    var dao = foam.dao.GUIDDAO.create({delegate: array});
+
+    dao.put(test.Person.create({id: 'abc'})).then(function(p) {
+      expect(p.id).toBe('abc');
+      done();
+    });
+  });
+
+  it('assigns to part of a MultiPartID', function(done) {
+    foam.CLASS({
+      package: 'test',
+      name: 'Tag',
+      ids: ['owner', 'guid'],
+      properties: ['owner', 'guid']
+    });
+
+    var dao = foam.dao.GUIDDAO.create({
+      delegate: foam.dao.ArrayDAO.create({of: 'test.Tag'}),
+      property: test.Tag.GUID
+    });
+
+    dao.put(test.Tag.create({owner: 'kgr'})).then(function(t) {
+      expect(t.id[0]).toBe('kgr');
+      expect(t.guid.length).toBe(36);
+      done();
+    });
+  });
+
+  it('rejects, rather than throws, when it can\'t assign', function(done) {
+    foam.CLASS({
+      package: 'test',
+      name: 'Locked',
+      properties: [
+        {
+          name: 'id',
+          preSet: function() { throw new Error('locked'); }
+        }
+      ]
+    });
+
+    var dao = foam.dao.GUIDDAO.create({
+      delegate: foam.dao.ArrayDAO.create({of: 'test.Locked'})
+    });
+    var ret;
+
+    expect(function() { ret = dao.put(test.Locked.create()); }).not.toThrow();
+    ret.then(fail, function(e) {
+      expect(foam.dao.DAOException.isInstance(e)).toBe(true);
+      expect(e.message).toBe('locked');
+      done();
+    });
+  });
+
+  it('refuses to assign a whole MultiPartID', function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'Tag',
+      ids: ['owner', 'guid'],
+      properties: ['owner', 'guid']
+    });
+
+    expect(function() {
+      foam.dao.GUIDDAO.create({
+        delegate: foam.dao.ArrayDAO.create({of: 'test.Tag'})
+      });
+    }).toThrowError(/multi-part ID/);
+  });
+});
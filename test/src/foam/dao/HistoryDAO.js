@@ -0,0 +1,189 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('HistoryDAO', function() {
+  var now;
+  var oldNow;
+  var delegate;
+  var dao;
+
+  beforeEach(function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'Person',
+      properties: [
+        'id',
+        'name',
+        {
+          class: 'Int',
+          name: 'age'
+        }
+      ]
+    });
+
+    now    = 1000;
+    oldNow = Date.now;
+    Date.now = function() { return now; };
+
+    delegate = foam.dao.MDAO.create({of: test.Person});
+    dao      = foam.dao.HistoryDAO.create({delegate: delegate},
+        foam.__context__.createSubContext({principal: {id: 'alice'}}));
+  });
+
+  afterEach(function() {
+    Date.now = oldNow;
+  });
+
+  function person(id, name, age) {
+    return test.Person.create({id: id, name: name, age: age});
+  }
+
+  // Puts p at time t.
+  function putAt(t, p) {
+    now = t;
+    return dao.put(p);
+  }
+
+  function history(id) {
+    return dao.historyOf(id).select().then(function(sink) {
+      return sink.array;
+    });
+  }
+
+  it('records who changed what and when', function(done) {
+    putAt(1000, person(1, 'Adam', 30)).then(function() {
+      return putAt(2000, person(1, 'Adam', 31));
+    }).then(function() {
+      return history(1);
+    }).then(function(records) {
+      expect(records.length).toBe(2);
+
+      expect(records[0].version).toBe(1);
+      expect(records[0].user).toBe('alice');
+      expect(records[0].timestamp).toBe(1000);
+      expect(records[0].changes).toEqual({id: 1, name: 'Adam', age: 30});
+
+      expect(records[1].version).toBe(2);
+      expect(records[1].timestamp).toBe(2000);
+      expect(records[1].changes).toEqual({age: 31});
+      done();
+    });
+  });
+
+  it('records removals', function(done) {
+    putAt(1000, person(1, 'Adam', 30)).then(function() {
+      now = 2000;
+      return dao.remove(person(1));
+    }).then(function() {
+      return dao.remove(person(2));
+    }).then(function() {
+      return Promise.all([history(1), history(2), delegate.find(1)]);
+    }).then(function(results) {
+      expect(results[0].length).toBe(2);
+      expect(results[0][1].removed).toBe(true);
+      expect(results[1].length).toBe(0);
+      expect(results[2]).toBe(null);
+      done();
+    });
+  });
+
+  it('records removals by removeAll()', function(done) {
+    putAt(1000, person(1, 'Adam', 30)).then(function() {
+      return putAt(1000, person(2, 'Kevin', 20));
+    }).then(function() {
+      return dao.removeAll();
+    }).then(function() {
+      return Promise.all([history(1), history(2)]);
+    }).then(function(results) {
+      expect(results[0][1].removed).toBe(true);
+      expect(results[1][1].removed).toBe(true);
+      done();
+    });
+  });
+
+  it('numbers concurrent versions in order', function(done) {
+    Promise.all([
+      dao.put(person(1, 'Adam', 30)),
+      dao.put(person(1, 'Adam', 31)),
+      dao.put(person(1, 'Adam', 32))
+    ]).then(function() {
+      return history(1);
+    }).then(function(records) {
+      expect(records.map(function(r) { return r.changes.age; }))
+          .toEqual([30, 31, 32]);
+      done();
+    });
+  });
+
+  it('rebuilds objects as of a time', function(done) {
+    putAt(1000, person(1, 'Adam', 30)).then(function() {
+      return putAt(2000, person(1, 'Adam', 31));
+    }).then(function() {
+      return putAt(3000, person(1, 'Adam Smith', 31));
+    }).then(function() {
+      now = 4000;
+      return dao.remove(person(1));
+    }).then(function() {
+      return Promise.all([
+        dao.findAsOf(1, 500),
+        dao.findAsOf(1, 1000),
+        dao.findAsOf(1, 2500),
+        dao.findAsOf(1, new Date(3000)),
+        dao.findAsOf(1, 5000)
+      ]);
+    }).then(function(results) {
+      expect(results[0]).toBe(null);
+      expect(results[1].equals(person(1, 'Adam', 30))).toBe(true);
+      expect(results[2].equals(person(1, 'Adam', 31))).toBe(true);
+      expect(results[3].equals(person(1, 'Adam Smith', 31))).toBe(true);
+      expect(results[4]).toBe(null);
+      done();
+    });
+  });
+
+  it('rebuilds objects re-created after removal', function(done) {
+    putAt(1000, person(1, 'Adam', 30)).then(function() {
+      now = 2000;
+      return dao.remove(person(1));
+    }).then(function() {
+      return putAt(3000, person(1, 'Kevin'));
+    }).then(function() {
+      return dao.findAsOf(1, 3000);
+    }).then(function(p) {
+      expect(p.name).toBe('Kevin');
+      expect(p.age).toBe(0);
+      done();
+    });
+  });
+
+  it('stores history in historyDAO', function(done) {
+    var historyDAO = foam.dao.ArrayDAO.create({of: foam.dao.HistoryRecord});
+    dao = foam.dao.HistoryDAO.create({
+      delegate: delegate,
+      historyDAO: historyDAO
+    });
+
+    dao.put(person(1, 'Adam')).then(function() {
+      return historyDAO.select();
+    }).then(function(sink) {
+      expect(sink.array.length).toBe(1);
+      expect(sink.array[0].user).toBe(null);
+      done();
+    });
+  });
+});
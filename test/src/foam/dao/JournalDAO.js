@@ -0,0 +1,282 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('JournalDAO', function() {
+  var fs   = require('fs');
+  var os   = require('os');
+  var path = require('path');
+
+  var dir;
+  var filename;
+  var daos;
+
+  function createDAO() {
+    var dao = foam.dao.JournalDAO.create({
+      of: 'test.Person',
+      filename: filename
+    });
+    daos.push(dao);
+    return dao;
+  }
+
+  function ids(sink) {
+    return sink.array.map(function(p) { return p.id; });
+  }
+
+  function lines() {
+    return fs.readFileSync(filename, 'utf8').split('\n').filter(
+        function(l) { return l; });
+  }
+
+  beforeEach(function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'Person',
+      properties: [
+        'id',
+        'name'
+      ]
+    });
+
+    dir      = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+    filename = path.join(dir, 'people.journal');
+    daos     = [];
+  });
+
+  afterEach(function() {
+    daos.forEach(function(dao) { dao.detach(); });
+    fs.readdirSync(dir).forEach(function(f) {
+      fs.unlinkSync(path.join(dir, f));
+    });
+    fs.rmdirSync(dir);
+  });
+
+  it('starts empty without a journal', function(done) {
+    createDAO().select().then(function(sink) {
+      expect(sink.array).toEqual([]);
+      expect(fs.existsSync(filename)).toBe(false);
+      done();
+    });
+  });
+
+  it('writes each put to disk before resolving', function(done) {
+    var dao = createDAO();
+
+    dao.put(test.Person.create({id: 1, name: 'Kevin'})).then(function(p) {
+      expect(p.name).toBe('Kevin');
+      expect(lines()).toEqual(
+          ['{"put":{"class":"test.Person","id":1,"name":"Kevin"}}']);
+      return dao.find(1);
+    }).then(function(p) {
+      expect(p.name).toBe('Kevin');
+      done();
+    });
+  });
+
+  it('replays the journal on startup', function(done) {
+    var dao = createDAO();
+
+    Promise.all([
+      dao.put(test.Person.create({id: 1, name: 'Kevin'})),
+      dao.put(test.Person.create({id: 2, name: 'Adam'})),
+      dao.put(test.Person.create({id: 3, name: 'Braden'})),
+      dao.put(test.Person.create({id: 1, name: 'Kevin G'})),
+      dao.remove(test.Person.create({id: 2}))
+    ]).then(function() {
+      return createDAO().select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([1, 3]);
+      expect(sink.array[0].name).toBe('Kevin G');
+      expect(test.Person.isInstance(sink.array[0])).toBe(true);
+      done();
+    });
+  });
+
+  it('only journals removals of objects it has', function(done) {
+    var dao = createDAO();
+
+    dao.put(test.Person.create({id: 1})).then(function() {
+      return dao.remove(test.Person.create({id: 2}));
+    }).then(function() {
+      expect(lines().length).toBe(1);
+      done();
+    });
+  });
+
+  it('journals removeAll()', function(done) {
+    var dao = createDAO();
+    var M   = foam.mlang.ExpressionsSingleton.create();
+
+    Promise.all([1, 2, 3, 4].map(function(id) {
+      return dao.put(test.Person.create({id: id}));
+    })).then(function() {
+      return dao.removeAll(undefined, undefined, undefined,
+          M.GT(test.Person.ID, 2));
+    }).then(function() {
+      expect(lines().length).toBe(6);
+      return createDAO().select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([1, 2]);
+      done();
+    });
+  });
+
+  it('compacts the journal', function(done) {
+    var dao = createDAO();
+
+    dao.put(test.Person.create({id: 1, name: 'a'})).then(function() {
+      return dao.put(test.Person.create({id: 1, name: 'b'}));
+    }).then(function() {
+      return dao.put(test.Person.create({id: 2, name: 'c'}));
+    }).then(function() {
+      return dao.remove(test.Person.create({id: 2}));
+    }).then(function() {
+      expect(lines().length).toBe(4);
+      return dao.compact();
+    }).then(function() {
+      expect(lines()).toEqual(
+          ['{"put":{"class":"test.Person","id":1,"name":"b"}}']);
+      expect(fs.existsSync(filename + '.tmp')).toBe(false);
+      // Writes continue after compaction.
+      return dao.put(test.Person.create({id: 3, name: 'd'}));
+    }).then(function() {
+      return createDAO().select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([1, 3]);
+      done();
+    });
+  });
+
+  it('discards a partially written last entry', function(done) {
+    fs.writeFileSync(filename,
+        '{"put":{"class":"test.Person","id":1}}\n{"put":{"cla');
+
+    var dao = createDAO();
+
+    dao.select().then(function(sink) {
+      expect(ids(sink)).toEqual([1]);
+      return dao.put(test.Person.create({id: 2}));
+    }).then(function() {
+      return createDAO().select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([1, 2]);
+      done();
+    });
+  });
+
+  it('rejects every operation if the journal is corrupt', function(done) {
+    fs.writeFileSync(filename,
+        '{"put":{"class":"test.Person","id":1}}\nnot json\n');
+
+    var dao = createDAO();
+
+    function expectError(e) {
+      expect(foam.dao.DAOException.isInstance(e)).toBe(true);
+      expect(e.message).toContain(filename + ':2');
+    }
+
+    dao.find(1).then(fail, function(e) {
+      expectError(e);
+      return dao.put(test.Person.create({id: 2}));
+    }).then(fail, function(e) {
+      expectError(e);
+      return dao.select();
+    }).then(fail, function(e) {
+      expectError(e);
+      // Nothing more was written to the journal.
+      expect(lines().length).toBe(2);
+      done();
+    });
+  });
+
+  it('only journals puts which the delegate accepts', function(done) {
+    // Rejects objects without a name.
+    foam.CLASS({
+      package: 'test',
+      name: 'NamedDAO',
+      extends: 'foam.dao.ProxyDAO',
+      methods: [
+        function put(obj) {
+          return obj.name ? this.SUPER(obj) : this.reject_('no name');
+        }
+      ]
+    });
+
+    var dao = foam.dao.JournalDAO.create({
+      of: 'test.Person',
+      filename: filename,
+      delegate: test.NamedDAO.create({
+        delegate: foam.dao.MDAO.create({of: test.Person})
+      })
+    });
+    daos.push(dao);
+
+    dao.put(test.Person.create({id: 1})).then(fail, function(e) {
+      expect(e.message).toBe('no name');
+      return dao.put(test.Person.create({id: 2, name: 'Adam'}));
+    }).then(function() {
+      expect(lines().length).toBe(1);
+      return createDAO().select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([2]);
+      done();
+    });
+  });
+
+  it('undoes changes which can\'t be journaled', function(done) {
+    var dao = createDAO();
+    var fs_ = dao.fs_;
+
+    dao.put(test.Person.create({id: 1, name: 'Kevin'})).then(function() {
+      // Fail every write from now on.
+      dao.fs_ = Object.create(fs_);
+      dao.fs_.write = function() {
+        arguments[arguments.length - 1](new Error('disk full'));
+      };
+
+      return dao.put(test.Person.create({id: 1, name: 'Adam'}));
+    }).then(fail, function(e) {
+      expect(e.message).toBe('disk full');
+      return dao.put(test.Person.create({id: 2}));
+    }).then(fail, function() {
+      return dao.remove(test.Person.create({id: 1}));
+    }).then(fail, function() {
+      return dao.select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([1]);
+      expect(sink.array[0].name).toBe('Kevin');
+      done();
+    });
+  });
+
+  it('publishes onData events for changes', function(done) {
+    var dao = createDAO();
+    var events = [];
+
+    dao.onData.sub(function(s, on, event, obj) {
+      events.push(event + ':' + obj.id);
+    });
+
+    dao.put(test.Person.create({id: 1})).then(function() {
+      return dao.remove(test.Person.create({id: 1}));
+    }).then(function() {
+      expect(events).toEqual(['put:1', 'remove:1']);
+      done();
+    });
+  });
+});
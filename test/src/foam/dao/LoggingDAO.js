@@ -0,0 +1,81 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('LoggingDAO', function() {
+  var logged;
+  var dao;
+
+  beforeEach(function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'Item',
+      properties: ['id', 'name']
+    });
+
+    logged = [];
+    var x = foam.__context__.createSubContext({
+      log: function() { logged.push(Array.from(arguments)); }
+    });
+
+    dao = foam.dao.LoggingDAO.create({
+      delegate: foam.dao.MDAO.create({of: test.Item})
+    }, x);
+  });
+
+  it('defaults its name to the class of the items', function() {
+    expect(dao.name).toBe('test.Item');
+  });
+
+  it('logs calls with their arguments and results', function(done) {
+    var apple = test.Item.create({id: 1, name: 'apple'});
+
+    dao.put(apple).then(function() {
+      return dao.find(2);
+    }).then(function() {
+      expect(logged).toEqual([
+        ['test.Item.put', apple],
+        ['test.Item.put', '->', apple],
+        ['test.Item.find', 2],
+        ['test.Item.find', '->', null]
+      ]);
+      done();
+    });
+  });
+
+  it('logs errors', function(done) {
+    var err = new Error('nope');
+    dao.delegate.remove = function() { return Promise.reject(err); };
+
+    dao.remove(test.Item.create({id: 1})).catch(function(e) {
+      expect(e).toBe(err);
+      expect(logged[1]).toEqual(['test.Item.remove', 'failed:', err]);
+      done();
+    });
+  });
+
+  it('imports its logger from the context', function() {
+    var oldAssert = console.assert;
+    console.assert = function(c, msg) { if ( ! c ) throw msg; };
+    try {
+      var x = foam.__context__.createSubContext({log: function() {}});
+      expect(foam.dao.LoggingDAO.create({}, x).log).toBe(x.log);
+    } finally {
+      console.assert = oldAssert;
+    }
+  });
+});
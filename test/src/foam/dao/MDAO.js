@@ -0,0 +1,309 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('MDAO', function() {
+  var M;
+  var people;
+
+  function ids(sink) {
+    return sink.array.map(function(o) { return o.id; });
+  }
+
+  beforeEach(function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'Person',
+      properties: [
+        'id',
+        'name',
+        {
+          class: 'Int',
+          name: 'age'
+        }
+      ]
+    });
+
+    M = foam.mlang.ExpressionsSingleton.create();
+
+    people = [
+      test.Person.create({id: 1, name: 'Kevin', age: 30}),
+      test.Person.create({id: 2, name: 'Adam', age: 18}),
+      test.Person.create({id: 3, name: 'Braden', age: 25}),
+      test.Person.create({id: 4, name: 'Jackson', age: 18})
+    ];
+  });
+
+  afterEach(function() {
+    people = null;
+  });
+
+  it('supports put(), find() and remove()', function(done) {
+    var dao = foam.dao.MDAO.create({of: 'test.Person'});
+
+    Promise.all(people.map(dao.put.bind(dao))).then(function() {
+      return dao.find(3);
+    }).then(function(p) {
+      expect(p).toBe(people[2]);
+      return dao.remove(people[2]);
+    }).then(function() {
+      return dao.find(3);
+    }).then(function(p) {
+      expect(p).toBe(null);
+      return dao.select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([1, 2, 4]);
+      done();
+    });
+  });
+
+  it('replaces objects with the same id in every index', function(done) {
+    var dao = foam.dao.MDAO.create({of: 'test.Person'})
+        .addPropertyIndex(test.Person.AGE);
+
+    Promise.all(people.map(dao.put.bind(dao))).then(function() {
+      return dao.put(test.Person.create({id: 2, name: 'Adam', age: 40}));
+    }).then(function() {
+      return dao.select(undefined, undefined, undefined, undefined,
+          M.EQ(test.Person.AGE, 18));
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([4]);
+      return dao.select(undefined, undefined, undefined,
+          M.DESC(test.Person.AGE));
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([2, 1, 3, 4]);
+      done();
+    });
+  });
+
+  it('reindexes objects changed in place', function(done) {
+    var dao = foam.dao.MDAO.create({of: 'test.Person'})
+        .addPropertyIndex(test.Person.AGE);
+
+    Promise.all(people.map(dao.put.bind(dao))).then(function() {
+      people[1].age = 40;
+      return dao.put(people[1]);
+    }).then(function() {
+      return dao.orderBy(test.Person.AGE).select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([4, 3, 1, 2]);
+      return dao.remove(people[1]);
+    }).then(function() {
+      return dao.orderBy(test.Person.AGE).select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([4, 3, 1]);
+      return dao.where(M.EQ(test.Person.AGE, 18)).select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([4]);
+      done();
+    });
+  });
+
+  it('publishes onData events', function(done) {
+    var dao = foam.dao.MDAO.create({of: 'test.Person'});
+    var events = [];
+
+    dao.onData.sub(function(sub, on, event, obj) {
+      events.push(event + ':' + obj.id);
+    });
+
+    dao.put(people[0]).then(function() {
+      return dao.put(people[1]);
+    }).then(function() {
+      return dao.remove(people[0]);
+    }).then(function() {
+      return dao.remove(people[0]);
+    }).then(function() {
+      return dao.removeAll(undefined, undefined, undefined,
+          M.EQ(test.Person.NAME, 'Adam'));
+    }).then(function() {
+      expect(events).toEqual(['put:1', 'put:2', 'remove:1', 'remove:2']);
+      done();
+    });
+  });
+
+  it('indexes properties added after objects', function(done) {
+    var dao = foam.dao.MDAO.create({of: 'test.Person'});
+
+    Promise.all(people.map(dao.put.bind(dao))).then(function() {
+      dao.addPropertyIndex(test.Person.NAME);
+      return dao.orderBy(test.Person.NAME).limit(2).select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([2, 3]);
+      done();
+    });
+  });
+
+  it('stops scanning an ordered index at the limit', function(done) {
+    var dao = foam.dao.MDAO.create({of: 'test.Person'})
+        .addPropertyIndex(test.Person.AGE);
+    var visited = 0;
+    var f = M.NEQ(test.Person.NAME, 'Kevin');
+    var predicate = M.NOT(M.EQ(test.Person.NAME, 'Kevin'));
+
+    // Count the predicate evaluations to observe how much was scanned.
+    predicate.f = function(o) { visited++; return f.f(o); };
+    predicate.partialEval = function() { return this; };
+
+    Promise.all(people.map(dao.put.bind(dao))).then(function() {
+      return dao.select(undefined, 0, 1, test.Person.AGE, predicate);
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([2]);
+      expect(visited).toBe(1);
+      done();
+    });
+  });
+
+  it('uses every kind of index range', function(done) {
+    var dao = foam.dao.MDAO.create({of: 'test.Person'})
+        .addPropertyIndex(test.Person.AGE);
+    var index = dao.indexes_.age;
+
+    expect(dao.rangeOf_(M.EQ(test.Person.NAME, 'Adam'))).toBe(null);
+    expect(dao.rangeOf_(M.EQ(test.Person.ID, 2)).index).toBe(dao.idIndex_);
+
+    var r = dao.rangeOf_(M.AND(
+        M.GT(test.Person.AGE, 10),
+        M.GTE(test.Person.AGE, 18),
+        M.LT(test.Person.AGE, 30),
+        M.LTE(test.Person.AGE, 40)));
+
+    expect(r.index).toBe(index);
+    expect(r.lo).toEqual({value: 18, inclusive: true});
+    expect(r.hi).toEqual({value: 30, inclusive: false});
+
+    r = dao.rangeOf_(M.AND(
+        M.GT(test.Person.AGE, 10),
+        M.EQ(test.Person.ID, 2)));
+    expect(r.index).toBe(dao.idIndex_);
+
+    Promise.all(people.map(dao.put.bind(dao))).then(function() {
+      return dao.where(M.AND(
+          M.GTE(test.Person.AGE, 18),
+          M.LT(test.Person.AGE, 30))).orderBy(test.Person.NAME).select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([2, 3, 4]);
+      done();
+    });
+  });
+
+  it('matches null values like ArrayDAO', function(done) {
+    var dao = foam.dao.MDAO.create({of: 'test.Person'})
+        .addPropertyIndex(test.Person.AGE);
+    var adao = foam.dao.ArrayDAO.create({of: 'test.Person'});
+
+    people[1].age = undefined;
+    people[3].age = null;
+    people.forEach(function(p) { dao.put(p); adao.put(p); });
+
+    var predicate = M.GT(test.Person.AGE, 20);
+
+    Promise.all([
+      dao.select(undefined, undefined, undefined, undefined, predicate),
+      adao.select(undefined, undefined, undefined, test.Person.ID, predicate)
+    ]).then(function(sinks) {
+      expect(ids(sinks[0]).sort()).toEqual(ids(sinks[1]));
+      done();
+    });
+  });
+
+  it('selects the same results as ArrayDAO', function(done) {
+    var mdao = foam.dao.MDAO.create({of: 'test.Person'})
+        .addPropertyIndex(test.Person.AGE)
+        .addPropertyIndex(test.Person.NAME);
+    var adao = foam.dao.ArrayDAO.create({of: 'test.Person'});
+    var names = ['Adam', 'Braden', 'Jackson', 'Kevin'];
+    var AGE   = test.Person.AGE;
+    var NAME  = test.Person.NAME;
+    var ID    = test.Person.ID;
+
+    // Ages and names are unique, so every order determines the results.
+    var puts = [];
+    for ( var i = 0 ; i < 200 ; i++ ) {
+      var p = test.Person.create({
+        id: (i * 37) % 200,
+        name: names[i % 4] + i,
+        age: (i * 11) % 200
+      });
+      puts.push(mdao.put(p), adao.put(p));
+    }
+
+    var orders = [
+      undefined, AGE, M.DESC(AGE), NAME, M.DESC(NAME), ID, M.DESC(ID),
+      M.THEN_BY(AGE, ID)
+    ];
+    var predicates = [
+      undefined,
+      M.EQ(AGE, 22),
+      M.GT(AGE, 150),
+      M.GTE(AGE, 150),
+      M.LT(AGE, 10),
+      M.LTE(AGE, 10),
+      M.AND(M.GT(AGE, 10), M.LTE(AGE, 90)),
+      M.AND(M.GTE(NAME, 'K'), M.GT(AGE, 50)),
+      M.AND(M.STARTS_WITH(NAME, 'Kevin'), M.LT(ID, 100)),
+      M.OR(M.EQ(AGE, 1), M.EQ(AGE, 2)),
+      M.IN(ID, [3, 50, 199]),
+      M.EQ(ID, 7),
+      M.FALSE()
+    ];
+    var slices = [[undefined, undefined], [5, undefined], [3, 10], [0, 0]];
+    var queries = [];
+
+    orders.forEach(function(order) {
+      predicates.forEach(function(predicate) {
+        slices.forEach(function(s) {
+          // Without an order, skip and limit select arbitrary items.
+          if ( order || s[0] === undefined ) {
+            queries.push([s[0], s[1], order, predicate]);
+          }
+        });
+      });
+    });
+
+    Promise.all(puts).then(function() {
+      return Promise.all(queries.map(function(q) {
+        return Promise.all([
+          mdao.select(undefined, q[0], q[1], q[2], q[3]),
+          adao.select(undefined, q[0], q[1], q[2], q[3])
+        ]).then(function(sinks) {
+          var expected = ids(sinks[1]);
+          var actual   = ids(sinks[0]);
+
+          if ( ! q[2] ) {
+            expected.sort();
+            actual.sort();
+          }
+
+          expect(actual).toEqual(expected, q.join(' '));
+        });
+      }));
+    }).then(done);
+  });
+
+  it('leaves a listener\'s exception to the listener', function(done) {
+    var dao = foam.dao.MDAO.create({of: test.Person});
+    dao.onData.put.sub(function() { throw new Error('listener failed'); });
+
+    // The put succeeded, so isn't rejected.
+    expect(function() { dao.put(people[0]); }).toThrowError('listener failed');
+    dao.find(1).then(function(p) {
+      expect(p).toBe(people[0]);
+      done();
+    });
+  });
+});
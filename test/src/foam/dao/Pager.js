@@ -0,0 +1,234 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('Pager', function() {
+  var M;
+  var dao;
+
+  beforeEach(function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'Person',
+      properties: [
+        {
+          class: 'Int',
+          name: 'id'
+        },
+        'name',
+        {
+          class: 'Int',
+          name: 'age'
+        },
+        {
+          name: 'born',
+          adapt: function(_, v) {
+            return foam.String.isInstance(v) ? new Date(v) : v;
+          }
+        }
+      ]
+    });
+
+    M = foam.mlang.ExpressionsSingleton.create();
+  });
+
+  function person(id, name, age) {
+    return test.Person.create({
+      id: id,
+      name: name,
+      age: age,
+      born: new Date(2000 - age, 0, 1)
+    });
+  }
+
+  function ids(page) {
+    return page.array.map(function(p) { return p.id; });
+  }
+
+  [ 'ArrayDAO', 'MDAO' ].forEach(function(name) {
+    describe('on an ' + name, function() {
+      beforeEach(function(done) {
+        dao = foam.dao[name].create({of: test.Person});
+        dao.putAll([
+          person(1, 'Adam', 30),
+          person(2, 'Kevin', 20),
+          person(3, 'Jack', 30),
+          person(4, 'Braden', 20),
+          person(5, 'Ann', 40)
+        ]).then(function() { done(); });
+      });
+
+      it('pages in ID order by default', function(done) {
+        dao.page(2).then(function(page) {
+          expect(ids(page)).toEqual([1, 2]);
+          expect(typeof page.cursor).toBe('string');
+          return dao.page(2, page.cursor);
+        }).then(function(page) {
+          expect(ids(page)).toEqual([3, 4]);
+          return dao.page(2, page.cursor);
+        }).then(function(page) {
+          expect(ids(page)).toEqual([5]);
+          expect(page.cursor).toBe(null);
+          done();
+        });
+      });
+
+      it('breaks ties in the order by ID', function(done) {
+        dao.page(3, null, test.Person.AGE).then(function(page) {
+          expect(ids(page)).toEqual([2, 4, 1]);
+          return dao.page(3, page.cursor, test.Person.AGE);
+        }).then(function(page) {
+          expect(ids(page)).toEqual([3, 5]);
+          done();
+        });
+      });
+
+      it('supports DESC() and THEN_BY()', function(done) {
+        var order = M.THEN_BY(M.DESC(test.Person.AGE), test.Person.NAME);
+
+        dao.page(2, null, order).then(function(page) {
+          expect(ids(page)).toEqual([5, 1]);
+          return dao.page(2, page.cursor, order);
+        }).then(function(page) {
+          expect(ids(page)).toEqual([3, 4]);
+          return dao.page(2, page.cursor, order);
+        }).then(function(page) {
+          expect(ids(page)).toEqual([2]);
+          done();
+        });
+      });
+
+      it('is stable when objects are put before the cursor', function(done) {
+        var order = test.Person.NAME;
+        dao.page(2, null, order).then(function(page) {
+          // Adam, Ann
+          expect(ids(page)).toEqual([1, 5]);
+          return dao.put(person(6, 'Aaron', 50)).then(function() {
+            return dao.page(2, page.cursor, order);
+          });
+        }).then(function(page) {
+          // Braden, Jack: Aaron doesn't shift the page.
+          expect(ids(page)).toEqual([4, 3]);
+          done();
+        });
+      });
+
+      it('pages filtered DAOs', function(done) {
+        var young = dao.where(M.LT(test.Person.AGE, 35));
+
+        young.page(2, null, test.Person.NAME).then(function(page) {
+          expect(ids(page)).toEqual([1, 4]);
+          return young.page(2, page.cursor, test.Person.NAME);
+        }).then(function(page) {
+          expect(ids(page)).toEqual([3, 2]);
+          expect(page.cursor).toBe(null);
+          done();
+        });
+      });
+    });
+  });
+
+  it('pages an MDAO through its index', function(done) {
+    // Ten people of each age from 0 to 9.
+    var people = [];
+    for ( var i = 0 ; i < 100 ; i++ ) {
+      people.push(person(i, 'P' + i, Math.floor(i / 10)));
+    }
+
+    dao = foam.dao.MDAO.create({of: test.Person})
+        .addPropertyIndex(test.Person.AGE);
+
+    // Counts the objects visited in the age index.
+    var index   = dao.indexes_.age;
+    var forEach = index.forEach;
+    var visited = 0;
+    index.forEach = function(fn) {
+      var args = Array.prototype.slice.call(arguments);
+      args[0] = function(o) { visited++; return fn(o); };
+      return forEach.apply(this, args);
+    };
+
+    var order = M.DESC(test.Person.AGE);
+    dao.putAll(people).then(function() {
+      return dao.page(45, null, order);
+    }).then(function(page) {
+      expect(page.array[44].id).toBe(55);
+      visited = 0;
+      return dao.page(3, page.cursor, order);
+    }).then(function(page) {
+      expect(ids(page)).toEqual([54, 53, 52]);
+      // Only people aged 5, from 59 to one past the page, are read, rather
+      // than all 60 aged 5 or less.
+      expect(visited).toBe(9);
+      done();
+    });
+  });
+
+  it('adapts the values in the cursor', function(done) {
+    dao = foam.dao.ArrayDAO.create({of: test.Person});
+    var pager = foam.dao.Pager.create({
+      dao: dao,
+      order: test.Person.BORN,
+      limit: 1
+    });
+
+    dao.putAll([
+      person(1, 'Adam', 30),
+      person(2, 'Kevin', 20)
+    ]).then(function() {
+      return pager.page();
+    }).then(function(page) {
+      expect(ids(page)).toEqual([1]);
+      expect(pager.decode_(page.cursor)[0] instanceof Date).toBe(true);
+      return pager.page(page.cursor);
+    }).then(function(page) {
+      expect(ids(page)).toEqual([2]);
+      done();
+    });
+  });
+
+  it('rejects orders which are not made of Properties', function() {
+    var oldAssert = console.assert;
+    console.assert = function(c, msg) { if ( ! c ) throw msg; };
+    try {
+      expect(function() {
+        foam.dao.Pager.create({
+          dao: foam.dao.ArrayDAO.create({of: test.Person}),
+          order: {compare: function() { return 0; }}
+        }).keys_;
+      }).toThrow();
+    } finally {
+      console.assert = oldAssert;
+    }
+  });
+
+  it('rejects invalid cursors', function(done) {
+    var pager = foam.dao.Pager.create({
+      dao: foam.dao.ArrayDAO.create({of: test.Person}),
+      order: test.Person.BORN
+    });
+
+    pager.page('[1]').then(fail, function(e) {
+      expect(foam.dao.DAOException.isInstance(e)).toBe(true);
+      expect(e.message).toBe('Invalid cursor: [1]');
+      return pager.page('{');
+    }).then(fail, function(e) {
+      expect(e.message).toBe('Invalid cursor: {');
+      done();
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('ProxyDAO', function() {
+  var array;
+  var people;
+
+  beforeEach(function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'Person',
+      properties: [
+        'id',
+        'name'
+      ]
+    });
+
+    people = [
+      test.Person.create({id: 1, name: 'Kevin'}),
+      test.Person.create({id: 2, name: 'Adam'})
+    ];
+    array = foam.dao.ArrayDAO.create({of: 'test.Person'});
+  });
+
+  it('forwards calls to its delegate', function(done) {
+    var dao = foam.dao.ProxyDAO.create({delegate: array});
+    expect(dao.of).toBe('test.Person');
+
+    Promise.all(people.map(dao.put.bind(dao))).then(function() {
+      expect(array.array.length).toBe(2);
+      return dao.find(2);
+    }).then(function(obj) {
+      expect(obj).toBe(people[1]);
+      return dao.remove(people[0]);
+    }).then(function() {
+      expect(array.array.length).toBe(1);
+      return dao.select();
+    }).then(function(sink) {
+      expect(sink.array).toEqual([people[1]]);
+      return dao.removeAll();
+    }).then(function() {
+      expect(array.array.length).toBe(0);
+      done();
+    });
+  });
+
+  it('republishes its delegate\'s onData events', function(done) {
+    var dao = foam.dao.ProxyDAO.create({delegate: array});
+    var events = [];
+    dao.onData.sub(function(s, on, event, obj) {
+      events.push(event + ':' + ( obj ? obj.id : '' ));
+    });
+
+    array.put(people[0]).then(function() {
+      return array.remove(people[0]);
+    }).then(function() {
+      array.array = [];
+      expect(events).toEqual(['put:1', 'remove:1', 'reset:']);
+      done();
+    });
+  });
+
+  it('publishes onData.reset when its delegate is replaced', function() {
+    var dao = foam.dao.ProxyDAO.create({delegate: array});
+    var resets = 0;
+    var puts = 0;
+    dao.onData.reset.sub(function() { resets++; });
+    dao.onData.put.sub(function() { puts++; });
+
+    var array2 = foam.dao.ArrayDAO.create({of: 'test.Person'});
+    dao.delegate = array2;
+    expect(resets).toBe(1);
+
+    // Only the new delegate's events are forwarded.
+    array.put(people[0]);
+    expect(puts).toBe(0);
+    array2.put(people[0]);
+    expect(puts).toBe(1);
+  });
+
+  it('stops listening to its delegate when detached', function() {
+    var dao = foam.dao.ProxyDAO.create({delegate: array});
+    var puts = 0;
+    dao.onData.put.sub(function() { puts++; });
+
+    dao.detach();
+    array.put(people[0]);
+    expect(puts).toBe(0);
+  });
+
+  it('only listens to its delegate while it has listeners', function() {
+    var dao = foam.dao.ProxyDAO.create({delegate: array});
+    expect(array.hasListeners('onData')).toBe(false);
+
+    var sub = dao.onData.put.sub(function() {});
+    expect(array.hasListeners('onData')).toBe(true);
+
+    sub.detach();
+    expect(array.hasListeners('onData')).toBe(false);
+
+    // Listeners of every topic need the delegate's events too.
+    sub = dao.sub(function() {});
+    expect(array.hasListeners('onData')).toBe(true);
+    sub.detach();
+    expect(array.hasListeners('onData')).toBe(false);
+  });
+
+  it('doesn\'t leave views made by where() listening', function() {
+    var M = foam.mlang.ExpressionsSingleton.create();
+    for ( var i = 0 ; i < 100 ; i++ ) {
+      array.where(M.EQ(test.Person.ID, i));
+    }
+    expect(array.hasListeners('onData')).toBe(false);
+  });
+});
@@ -0,0 +1,314 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('Relationship', function() {
+  var x;
+  var departmentDAO;
+  var employeeDAO;
+
+  beforeEach(function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'Department',
+      properties: ['id', 'name']
+    });
+
+    foam.CLASS({
+      package: 'test',
+      name: 'Employee',
+      properties: ['id', 'name']
+    });
+
+    foam.RELATIONSHIP({
+      sourceModel: 'test.Department',
+      targetModel: 'test.Employee',
+      forwardName: 'employees',
+      inverseName: 'department'
+    });
+
+    departmentDAO = foam.dao.MDAO.create({of: test.Department});
+    employeeDAO   = foam.dao.MDAO.create({of: test.Employee});
+    x = foam.__context__.createSubContext({
+      departmentDAO: departmentDAO,
+      employeeDAO: employeeDAO
+    });
+  });
+
+  it('adds the inverse property to the target', function() {
+    expect(test.Employee.DEPARTMENT).toBeDefined();
+    expect(test.Employee.create({department: 'eng'}).department).toBe('eng');
+  });
+
+  it('installs itself as an axiom of the source', function() {
+    var r = test.Department.getAxiomByName('employees');
+    expect(foam.dao.Relationship.isInstance(r)).toBe(true);
+    expect(r.sourceDAOKey).toBe('departmentDAO');
+    expect(r.targetDAOKey).toBe('employeeDAO');
+  });
+
+  it('provides the targets of a source as a DAO', function(done) {
+    var eng = test.Department.create({id: 'eng'}, x);
+
+    Promise.all([
+      employeeDAO.put(test.Employee.create({id: 1, department: 'eng'})),
+      employeeDAO.put(test.Employee.create({id: 2, department: 'ops'})),
+      employeeDAO.put(test.Employee.create({id: 3, department: 'eng'}))
+    ]).then(function() {
+      return eng.employees.select();
+    }).then(function(sink) {
+      expect(sink.array.map(function(e) { return e.id; })).toEqual([1, 3]);
+      done();
+    });
+  });
+
+  it('links objects put into the targets DAO', function(done) {
+    var eng = test.Department.create({id: 'eng'}, x);
+
+    eng.employees.put(test.Employee.create({id: 1})).then(function() {
+      return employeeDAO.find(1);
+    }).then(function(e) {
+      expect(e.department).toBe('eng');
+      done();
+    });
+  });
+
+  it('finds the source of a target', function(done) {
+    var e = test.Employee.create({id: 1, department: 'eng'}, x);
+
+    departmentDAO.put(test.Department.create({id: 'eng', name: 'Eng'}))
+        .then(function() {
+          return e.department$find;
+        }).then(function(d) {
+          expect(d.name).toBe('Eng');
+          return test.Employee.create({id: 2}, x).department$find;
+        }).then(function(d) {
+          expect(d).toBe(null);
+          done();
+        });
+  });
+
+  it('takes the DAOs from the context', function() {
+    var oldAssert = console.assert;
+    console.assert = function(c, msg) { if ( ! c ) throw msg; };
+    try {
+      expect(function() {
+        test.Department.create({id: 'eng'}).employees;
+      }).toThrow();
+    } finally {
+      console.assert = oldAssert;
+    }
+  });
+
+  it('removes targets with a CascadeDAO when cascade is set', function(done) {
+    foam.RELATIONSHIP({
+      sourceModel: 'test.Department',
+      targetModel: 'test.Employee',
+      forwardName: 'staff',
+      inverseName: 'department',
+      cascade: true
+    });
+
+    var dao = foam.dao.CascadeDAO.create({delegate: departmentDAO}, x);
+
+    Promise.all([
+      dao.put(test.Department.create({id: 'eng'})),
+      employeeDAO.put(test.Employee.create({id: 1, department: 'eng'})),
+      employeeDAO.put(test.Employee.create({id: 2, department: 'ops'}))
+    ]).then(function() {
+      expect(dao.relationships.length).toBe(1);
+      return dao.remove(test.Department.create({id: 'eng'}));
+    }).then(function() {
+      return employeeDAO.select();
+    }).then(function(sink) {
+      expect(sink.array.length).toBe(1);
+      expect(sink.array[0].id).toBe(2);
+      done();
+    });
+  });
+
+  it('leaves targets when cascade is not set', function(done) {
+    var dao = foam.dao.CascadeDAO.create({delegate: departmentDAO}, x);
+
+    Promise.all([
+      dao.put(test.Department.create({id: 'eng'})),
+      employeeDAO.put(test.Employee.create({id: 1, department: 'eng'}))
+    ]).then(function() {
+      return dao.removeAll();
+    }).then(function() {
+      return employeeDAO.select();
+    }).then(function(sink) {
+      expect(sink.array.length).toBe(1);
+      done();
+    });
+  });
+
+  describe('many-to-many', function() {
+    var studentDAO;
+    var courseDAO;
+    var junctionDAO;
+
+    beforeEach(function() {
+      foam.CLASS({
+        package: 'test',
+        name: 'Course',
+        properties: ['id']
+      });
+
+      foam.CLASS({
+        package: 'test',
+        name: 'Student',
+        properties: ['id', 'name']
+      });
+
+      foam.RELATIONSHIP({
+        sourceModel: 'test.Course',
+        targetModel: 'test.Student',
+        forwardName: 'students',
+        inverseName: 'courses',
+        cardinality: '*:*',
+        cascade: true
+      });
+
+      courseDAO   = foam.dao.MDAO.create({of: test.Course});
+      studentDAO  = foam.dao.MDAO.create({of: test.Student});
+      junctionDAO = foam.dao.MDAO.create({of: test.CourseStudentJunction});
+      x = foam.__context__.createSubContext({
+        courseDAO: courseDAO,
+        studentDAO: studentDAO,
+        courseStudentJunctionDAO: junctionDAO
+      });
+    });
+
+    it('defines a junction class', function() {
+      var j = test.CourseStudentJunction.create({sourceId: 1, targetId: 2});
+      expect(j.id).toEqual([1, 2]);
+    });
+
+    it('links objects from both sides', function(done) {
+      var math = test.Course.create({id: 'math'}, x);
+      var art  = test.Course.create({id: 'art'}, x);
+      var ann  = test.Student.create({id: 1, name: 'Ann'}, x);
+      var bob  = test.Student.create({id: 2, name: 'Bob'}, x);
+
+      Promise.all([
+        courseDAO.put(math),
+        courseDAO.put(art),
+        math.students.put(ann),
+        math.students.put(bob),
+        art.students.put(bob)
+      ]).then(function() {
+        return math.students.select();
+      }).then(function(sink) {
+        expect(sink.array.length).toBe(2);
+        return bob.courses.select();
+      }).then(function(sink) {
+        expect(sink.array.map(function(c) { return c.id; }).sort())
+            .toEqual(['art', 'math']);
+        return art.students.find(1);
+      }).then(function(s) {
+        expect(s).toBe(null);
+        return art.students.find(2);
+      }).then(function(s) {
+        expect(s.name).toBe('Bob');
+        done();
+      });
+    });
+
+    it('only unlinks removed objects', function(done) {
+      var math = test.Course.create({id: 'math'}, x);
+      var ann  = test.Student.create({id: 1}, x);
+
+      math.students.put(ann).then(function() {
+        return math.students.remove(ann);
+      }).then(function() {
+        return math.students.select();
+      }).then(function(sink) {
+        expect(sink.array.length).toBe(0);
+        return studentDAO.find(1);
+      }).then(function(s) {
+        expect(s).not.toBe(null);
+        done();
+      });
+    });
+
+    it('only publishes the events of linked objects', function(done) {
+      var math   = test.Course.create({id: 'math'}, x);
+      var events = [];
+
+      function tick() {
+        return new Promise(function(resolve) { setTimeout(resolve, 0); });
+      }
+
+      math.students.onData.sub(function(sub, on, event, obj) {
+        events.push(event + ' ' + obj.id);
+      });
+
+      math.students.put(test.Student.create({id: 1, name: 'Ann'}))
+          .then(tick)
+          .then(function() {
+            expect(events).toEqual(['put 1']);
+            events = [];
+            return Promise.all([
+              studentDAO.put(test.Student.create({id: 1, name: 'Anne'})),
+              studentDAO.put(test.Student.create({id: 2, name: 'Bob'}))
+            ]);
+          })
+          .then(tick)
+          .then(function() {
+            expect(events).toEqual(['put 1']);
+            events = [];
+            return math.students.removeAll();
+          })
+          .then(function(v) {
+            expect(v).toBeUndefined();
+            return tick();
+          })
+          .then(function() {
+            expect(events).toEqual(['remove 1']);
+            done();
+          });
+    });
+
+    it('unlinks targets with a CascadeDAO', function(done) {
+      var dao  = foam.dao.CascadeDAO.create({delegate: courseDAO}, x);
+      var math = test.Course.create({id: 'math'}, x);
+
+      Promise.all([
+        dao.put(math),
+        math.students.put(test.Student.create({id: 1}))
+      ]).then(function() {
+        return dao.remove(math);
+      }).then(function() {
+        return Promise.all([junctionDAO.select(), studentDAO.select()]);
+      }).then(function(sinks) {
+        expect(sinks[0].array.length).toBe(0);
+        expect(sinks[1].array.length).toBe(1);
+        done();
+      });
+    });
+  });
+
+  it('rejects a missing source with a NotFoundException', function(done) {
+    test.Employee.create({id: 1, department: 'eng'}, x).department$find
+        .then(fail, function(e) {
+          expect(foam.dao.NotFoundException.isInstance(e)).toBe(true);
+          expect(e.id).toBe('eng');
+          done();
+        });
+  });
+});
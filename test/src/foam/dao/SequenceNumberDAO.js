@@ -0,0 +1,179 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('SequenceNumberDAO', function() {
+  var array;
+
+  function ids(sink) {
+    return sink.array.map(function(p) { return p.id; });
+  }
+
+  beforeEach(function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'Person',
+      properties: [
+        'id',
+        'name'
+      ]
+    });
+
+    array = foam.dao.ArrayDAO.create({of: 'test.Person'});
+  });
+
+  it('assigns increasing IDs starting from 1', function(done) {
+    var dao = foam.dao.SequenceNumberDAO.create({delegate: array});
+
+    Promise.all([
+      dao.put(test.Person.create({name: 'Kevin'})),
+      dao.put(test.Person.create({name: 'Adam'})),
+      dao.put(test.Person.create({name: 'Braden'}))
+    ]).then(function(people) {
+      expect(ids({array: people})).toEqual([1, 2, 3]);
+      return array.select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([1, 2, 3]);
+      done();
+    });
+  });
+
+  it('continues from the largest existing ID', function(done) {
+    Promise.all([
+      array.put(test.Person.create({id: 7})),
+      array.put(test.Person.create({id: 3}))
+    ]).then(function() {
+      var dao = foam.dao.SequenceNumberDAO.create({delegate: array});
+      return dao.put(test.Person.create({name: 'Kevin'}));
+    }).then(function(p) {
+      expect(p.id).toBe(8);
+      done();
+    });
+  });
+
+  it('retries finding the largest ID after a failure', function(done) {
+    var select = array.select;
+    array.select = function() {
+      array.select = select;
+      return Promise.reject(new Error('offline'));
+    };
+
+    array.put(test.Person.create({id: 4})).then(function() {
+      var dao = foam.dao.SequenceNumberDAO.create({delegate: array});
+
+      return dao.put(test.Person.create()).then(function() {
+        fail('put should have failed');
+      }, function(e) {
+        expect(e.message).toBe('offline');
+        return dao.put(test.Person.create());
+      });
+    }).then(function(p) {
+      expect(p.id).toBe(5);
+      done();
+    });
+  });
+
+  it('keeps IDs which are already set, and skips past them', function(done) {
+    var dao = foam.dao.SequenceNumberDAO.create({delegate: array});
+
+    dao.put(test.Person.create({id: 10})).then(function(p) {
+      expect(p.id).toBe(10);
+      return dao.put(test.Person.create({id: 5}));
+    }).then(function(p) {
+      expect(p.id).toBe(5);
+      return dao.put(test.Person.create());
+    }).then(function(p) {
+      expect(p.id).toBe(11);
+      done();
+    });
+  });
+
+  it('renumbers every put with reassign', function(done) {
+    foam.CLASS({
+      package: 'test',
+      name: 'Revision',
+      properties: [
+        'id',
+        {
+          class: 'Int',
+          name: 'seq'
+        }
+      ]
+    });
+
+    var dao = foam.dao.SequenceNumberDAO.create({
+      delegate: foam.dao.ArrayDAO.create({of: 'test.Revision'}),
+      property: test.Revision.SEQ,
+      reassign: true
+    });
+
+    dao.put(test.Revision.create({id: 'a'})).then(function(r) {
+      expect(r.seq).toBe(1);
+      return dao.put(test.Revision.create({id: 'b', seq: 10}));
+    }).then(function(r) {
+      expect(r.seq).toBe(2);
+      return dao.put(test.Revision.create({id: 'a', seq: 1}));
+    }).then(function(r) {
+      expect(r.seq).toBe(3);
+      done();
+    });
+  });
+
+  it('assigns to part of a MultiPartID', function(done) {
+    foam.CLASS({
+      package: 'test',
+      name: 'OrderLine',
+      ids: ['order', 'line'],
+      properties: [
+        'order',
+        {
+          class: 'Int',
+          name: 'line'
+        }
+      ]
+    });
+
+    var lines = foam.dao.ArrayDAO.create({of: 'test.OrderLine'});
+    var dao = foam.dao.SequenceNumberDAO.create({
+      delegate: lines,
+      property: test.OrderLine.LINE
+    });
+
+    dao.put(test.OrderLine.create({order: 'a'})).then(function(l) {
+      expect(l.id).toEqual(['a', 1]);
+      return dao.put(test.OrderLine.create({order: 'b'}));
+    }).then(function(l) {
+      expect(l.id).toEqual(['b', 2]);
+      done();
+    });
+  });
+
+  it('refuses to assign a whole MultiPartID', function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'OrderLine',
+      ids: ['order', 'line'],
+      properties: ['order', 'line']
+    });
+
+    expect(function() {
+      foam.dao.SequenceNumberDAO.create({
+        delegate: foam.dao.ArrayDAO.create({of: 'test.OrderLine'})
+      });
+    }).toThrowError(/multi-part ID/);
+  });
+});
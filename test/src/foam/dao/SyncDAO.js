@@ -0,0 +1,397 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('SyncDAO', function() {
+  var now;
+  var oldNow;
+  var local;
+  var remote;
+  var dao;
+
+  beforeEach(function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'Note',
+      properties: [
+        'id',
+        'text',
+        {
+          class: 'Int',
+          name: 'version'
+        },
+        {
+          class: 'Int',
+          name: 'syncSequence'
+        }
+      ]
+    });
+
+    now    = 1000;
+    oldNow = Date.now;
+    Date.now = function() { return now; };
+
+    local  = foam.dao.ArrayDAO.create({of: test.Note});
+    remote = foam.dao.SequenceNumberDAO.create({
+      delegate: foam.dao.MDAO.create({of: test.Note}),
+      property: test.Note.SYNC_SEQUENCE,
+      reassign: true
+    });
+    dao    = foam.dao.SyncDAO.create({delegate: local, remoteDAO: remote});
+  });
+
+  afterEach(function() {
+    Date.now = oldNow;
+  });
+
+  function note(id, text, version) {
+    return test.Note.create({id: id, text: text, version: version});
+  }
+
+  function texts(d) {
+    return d.orderBy(test.Note.ID).select().then(function(sink) {
+      return sink.array.map(function(n) { return n.text; });
+    });
+  }
+
+  it('stamps local changes with a version', function(done) {
+    dao.put(note(1, 'a')).then(function(n) {
+      expect(n.version).toBe(1000);
+      return dao.put(note(1, 'b'));
+    }).then(function(n) {
+      // The clock hasn't moved, so the version is bumped instead.
+      expect(n.version).toBe(1001);
+      return texts(remote);
+    }).then(function(a) {
+      expect(a).toEqual([]);
+      done();
+    });
+  });
+
+  it('pushes local changes on sync()', function(done) {
+    dao.put(note(1, 'a')).then(function() {
+      return dao.put(note(2, 'b'));
+    }).then(function() {
+      return dao.sync();
+    }).then(function() {
+      return texts(remote);
+    }).then(function(a) {
+      expect(a).toEqual(['a', 'b']);
+      now = 2000;
+      return dao.remove(note(1));
+    }).then(function() {
+      return dao.sync();
+    }).then(function() {
+      return texts(remote);
+    }).then(function(a) {
+      expect(a).toEqual(['b']);
+      expect(dao.pending_).toEqual({});
+      done();
+    });
+  });
+
+  it('forgets changes to objects which were never pushed', function(done) {
+    dao.put(note(1, 'a')).then(function() {
+      return dao.removeAll();
+    }).then(function() {
+      expect(dao.pending_).toEqual({});
+      done();
+    });
+  });
+
+  it('pulls remote changes since the marker', function(done) {
+    remote.put(note(1, 'a', 500)).then(function() {
+      return dao.sync();
+    }).then(function() {
+      expect(dao.marker).toBe(1);
+      return Promise.all([
+        remote.put(note(1, 'a2', 600)),
+        remote.put(note(2, 'b', 700))
+      ]);
+    }).then(function() {
+      spyOn(remote, 'where').and.callThrough();
+      return dao.sync();
+    }).then(function() {
+      expect(remote.where).toHaveBeenCalled();
+      expect(dao.marker).toBe(3);
+      return texts(local);
+    }).then(function(a) {
+      expect(a).toEqual(['a2', 'b']);
+      done();
+    });
+  });
+
+  it('pulls changes pushed after newer ones', function(done) {
+    var b = foam.dao.SyncDAO.create({
+      delegate: foam.dao.ArrayDAO.create({of: test.Note}),
+      remoteDAO: remote
+    });
+    var c = foam.dao.SyncDAO.create({
+      delegate: foam.dao.ArrayDAO.create({of: test.Note}),
+      remoteDAO: remote
+    });
+
+    // dao changes note 1 offline, before b changes note 2.
+    dao.put(note(1, 'a')).then(function() {
+      now = 2000;
+      return b.put(note(2, 'b'));
+    }).then(function() {
+      return b.sync();
+    }).then(function() {
+      return c.sync();
+    }).then(function() {
+      return dao.sync();
+    }).then(function() {
+      return c.sync();
+    }).then(function() {
+      return texts(c);
+    }).then(function(a) {
+      expect(a).toEqual(['a', 'b']);
+      done();
+    });
+  });
+
+  it('pulls remote updates made by other writers', function(done) {
+    remote.put(note(1, 'a', 500)).then(function() {
+      return dao.sync();
+    }).then(function() {
+      return remote.find(1);
+    }).then(function(n) {
+      // Put back with its old sequence number, which remote replaces.
+      n = n.clone();
+      n.text = 'a2';
+      return remote.put(n);
+    }).then(function() {
+      return dao.sync();
+    }).then(function() {
+      return texts(local);
+    }).then(function(a) {
+      expect(a).toEqual(['a2']);
+      done();
+    });
+  });
+
+  it('resumes from its saved state after a restart', function(done) {
+    var records = foam.dao.MDAO.create({of: foam.dao.SyncRecord});
+    dao = foam.dao.SyncDAO.create({
+      delegate: local,
+      remoteDAO: remote,
+      syncRecordDAO: records
+    });
+
+    remote.put(note(1, 'a', 500)).then(function() {
+      return dao.sync();
+    }).then(function() {
+      return dao.put(note(2, 'b'));
+    }).then(function() {
+      var restarted = foam.dao.SyncDAO.create({
+        delegate: local,
+        remoteDAO: remote,
+        syncRecordDAO: records
+      });
+      spyOn(remote, 'where').and.callThrough();
+      return restarted.sync();
+    }).then(function() {
+      // Pulled incrementally from the saved marker.
+      expect(remote.where).toHaveBeenCalled();
+      return texts(remote);
+    }).then(function(a) {
+      expect(a).toEqual(['a', 'b']);
+      return records.select();
+    }).then(function(sink) {
+      // Only the marker is left.
+      expect(sink.array.map(function(r) { return r.id; })).toEqual(['']);
+      done();
+    });
+  });
+
+  it('does not share objects with the remote DAO', function(done) {
+    var n = note(1, 'a', 500);
+    remote.put(n).then(function() {
+      return dao.sync();
+    }).then(function() {
+      return local.find(1);
+    }).then(function(copy) {
+      expect(copy).not.toBe(n);
+      expect(copy.equals(n)).toBe(true);
+      done();
+    });
+  });
+
+  describe('conflicts', function() {
+    // Syncs note 1 at version 500, then changes it both locally, at
+    // localTime, and remotely, at version remoteVersion.
+    function conflict(localTime, remoteVersion) {
+      return remote.put(note(1, 'base', 500)).then(function() {
+        return dao.sync();
+      }).then(function() {
+        now = localTime;
+        return dao.put(note(1, 'local'));
+      }).then(function() {
+        return remote.put(note(1, 'remote', remoteVersion));
+      }).then(function() {
+        return dao.sync();
+      }).then(function() {
+        return Promise.all([texts(local), texts(remote)]);
+      });
+    }
+
+    it('keeps the latest change by default', function(done) {
+      conflict(3000, 2000).then(function(a) {
+        expect(a).toEqual([['local'], ['local']]);
+        done();
+      });
+    });
+
+    it('keeps a later remote change by default', function(done) {
+      conflict(2000, 3000).then(function(a) {
+        expect(a).toEqual([['remote'], ['remote']]);
+        expect(dao.pending_).toEqual({});
+        done();
+      });
+    });
+
+    it('keeps the local change with keepLocal', function(done) {
+      dao.conflictStrategy = 'keepLocal';
+      conflict(2000, 3000).then(function(a) {
+        expect(a).toEqual([['local'], ['local']]);
+        return remote.find(1);
+      }).then(function(n) {
+        // Newer than the change it overwrote.
+        expect(n.version).toBe(3001);
+        done();
+      });
+    });
+
+    it('keeps the remote change with keepRemote', function(done) {
+      dao.conflictStrategy = 'keepRemote';
+      conflict(3000, 2000).then(function(a) {
+        expect(a).toEqual([['remote'], ['remote']]);
+        done();
+      });
+    });
+
+    it('merges with a custom function', function(done) {
+      var args;
+      dao.conflictStrategy = function(l, r, version) {
+        args = [l.text, r.text, version];
+        return Promise.resolve(note(1, l.text + '+' + r.text));
+      };
+
+      conflict(3000, 2000).then(function(a) {
+        expect(args).toEqual(['local', 'remote', 3000]);
+        expect(a).toEqual([['local+remote'], ['local+remote']]);
+        done();
+      });
+    });
+
+    it('lets a custom function remove the object', function(done) {
+      dao.conflictStrategy = function(l, r) { return null; };
+
+      conflict(3000, 2000).then(function(a) {
+        expect(a).toEqual([[], []]);
+        done();
+      });
+    });
+
+    it('passes null for a local removal', function(done) {
+      var removed;
+      dao.conflictStrategy = function(l, r) {
+        removed = l;
+        return r;
+      };
+
+      remote.put(note(1, 'base', 500)).then(function() {
+        return dao.sync();
+      }).then(function() {
+        return dao.remove(note(1));
+      }).then(function() {
+        return remote.put(note(1, 'remote', 2000));
+      }).then(function() {
+        return dao.sync();
+      }).then(function() {
+        expect(removed).toBe(null);
+        return texts(local);
+      }).then(function(a) {
+        expect(a).toEqual(['remote']);
+        done();
+      });
+    });
+  });
+
+  it('keeps local changes while offline', function(done) {
+    var put = remote.put;
+    remote.put = function() { return Promise.reject(new Error('offline')); };
+
+    dao.put(note(1, 'a')).then(function() {
+      return dao.sync();
+    }).then(function() {
+      fail('sync() should fail');
+    }, function(err) {
+      expect(err.message).toBe('offline');
+      return dao.find(1);
+    }).then(function(n) {
+      expect(n.text).toBe('a');
+      remote.put = put;
+      return dao.sync();
+    }).then(function() {
+      return texts(remote);
+    }).then(function(a) {
+      expect(a).toEqual(['a']);
+      done();
+    });
+  });
+
+  it('shares a sync() already in progress', function() {
+    expect(dao.sync()).toBe(dao.sync());
+  });
+
+  it('publishes a single reset on a full resync', function(done) {
+    var events = [];
+    foam.CLASS({
+      package: 'test',
+      name: 'RecordingSink',
+      implements: ['foam.dao.Sink'],
+      methods: [
+        function put() { events.push('put'); },
+        function remove() { events.push('remove'); },
+        function reset() { events.push('reset'); }
+      ]
+    });
+    dao.listen(test.RecordingSink.create());
+
+    local.put(note(9, 'stale', 100)).then(function() {
+      return remote.put(note(1, 'a', 500));
+    }).then(function() {
+      events.length = 0;
+      return dao.resync();
+    }).then(function() {
+      expect(events).toEqual(['reset']);
+      return texts(dao);
+    }).then(function(a) {
+      // Objects without unpushed changes are replaced by the remote ones.
+      expect(a).toEqual(['a']);
+      return remote.put(note(2, 'b', 600));
+    }).then(function() {
+      events.length = 0;
+      return dao.sync();
+    }).then(function() {
+      expect(events).toEqual(['put']);
+      done();
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('TimingDAO', function() {
+  var now;
+  var oldNow;
+  var delegate;
+  var dao;
+
+  beforeEach(function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'Item',
+      properties: ['id', 'name']
+    });
+
+    now    = 1000;
+    oldNow = Date.now;
+    Date.now = function() { return now; };
+
+    delegate = foam.dao.MDAO.create({of: test.Item});
+    dao      = foam.dao.TimingDAO.create({delegate: delegate});
+  });
+
+  afterEach(function() {
+    Date.now = oldNow;
+  });
+
+  // Makes calls to method of delegate take time ms.
+  function delay(method, time) {
+    var fn = delegate[method];
+    delegate[method] = function() {
+      now += time;
+      return fn.apply(this, arguments);
+    };
+  }
+
+  it('counts calls and records their latency', function(done) {
+    delay('put', 3);
+
+    dao.put(test.Item.create({id: 1})).then(function() {
+      return dao.put(test.Item.create({id: 2}));
+    }).then(function() {
+      delay('put', 7);
+      return dao.put(test.Item.create({id: 3}));
+    }).then(function() {
+      var stats = dao.stats.put;
+      expect(stats.count).toBe(3);
+      expect(stats.errors).toBe(0);
+      expect(stats.minTime).toBe(3);
+      expect(stats.maxTime).toBe(10);
+      expect(stats.totalTime).toBe(16);
+      expect(stats.averageTime).toBeCloseTo(16 / 3);
+      expect(stats.histogram).toEqual([0, 2, 1, 0, 0, 0, 0, 0]);
+      expect(dao.stats.find.count).toBe(0);
+      done();
+    });
+  });
+
+  it('counts errors', function(done) {
+    delegate.find = function() { return Promise.reject(new Error('down')); };
+
+    dao.find(1).catch(function() {
+      expect(dao.stats.find.count).toBe(1);
+      expect(dao.stats.find.errors).toBe(1);
+      done();
+    });
+  });
+
+  it('publishes changes to the stats', function(done) {
+    var counts = [];
+    dao.stats.select.count$.sub(function() {
+      counts.push(dao.stats.select.count);
+    });
+
+    dao.select().then(function() {
+      return dao.select();
+    }).then(function() {
+      expect(counts).toEqual([1, 2]);
+      done();
+    });
+  });
+
+  it('puts slow calls into the last bucket', function() {
+    var stats = foam.dao.MethodStats.create({buckets: [10]});
+    stats.record(5);
+    stats.record(10);
+    stats.record(50);
+    expect(stats.histogram).toEqual([2, 1]);
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('Transaction', function() {
+  var dao;
+  var events;
+
+  function ids(sink) {
+    return sink.array.map(function(p) { return p.id; });
+  }
+
+  beforeEach(function(done) {
+    foam.CLASS({
+      package: 'test',
+      name: 'Person',
+      properties: [
+        'id',
+        {
+          name: 'name',
+          required: true
+        }
+      ]
+    });
+
+    events = [];
+    dao = foam.dao.MDAO.create({of: 'test.Person'});
+
+    Promise.all([
+      dao.put(test.Person.create({id: 1, name: 'Kevin'})),
+      dao.put(test.Person.create({id: 2, name: 'Adam'}))
+    ]).then(function() {
+      dao.onData.sub(function(s, on, event) { events.push(event); });
+      done();
+    });
+  });
+
+  it('applies writes and commits', function(done) {
+    var t = dao.begin();
+
+    expect(foam.dao.Transaction.isInstance(t)).toBe(true);
+
+    t.put(test.Person.create({id: 3, name: 'Braden'}));
+    t.remove(test.Person.create({id: 1}));
+
+    t.commit().then(function() {
+      expect(t.state).toBe('committed');
+      return dao.select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([2, 3]);
+      done();
+    });
+  });
+
+  it('restores the previous contents on rollback', function(done) {
+    var t = dao.begin();
+
+    t.put(test.Person.create({id: 2, name: 'Adam G'}));
+    t.put(test.Person.create({id: 3, name: 'Braden'}));
+    t.remove(test.Person.create({id: 1}));
+
+    t.rollback().then(function() {
+      expect(t.state).toBe('rolledBack');
+      return dao.select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([1, 2]);
+      expect(sink.array[1].name).toBe('Adam');
+      done();
+    });
+  });
+
+  it('rolls back when a write fails', function(done) {
+    var validated = foam.dao.ValidationDAO.create({delegate: dao});
+
+    validated.putAll([
+      test.Person.create({id: 3, name: 'Braden'}),
+      test.Person.create({id: 4}),
+      test.Person.create({id: 5, name: 'Jackson'})
+    ]).then(function() {
+      fail('putAll() should have been rejected');
+    }, function(e) {
+      expect(foam.dao.ValidationException.isInstance(e)).toBe(true);
+      return dao.select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([1, 2]);
+      done();
+    });
+  });
+
+  it('puts everything with putAll()', function(done) {
+    dao.putAll([
+      test.Person.create({id: 3, name: 'Braden'}),
+      test.Person.create({id: 4, name: 'Jackson'})
+    ]).then(function(people) {
+      expect(ids({array: people})).toEqual([3, 4]);
+      return dao.select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([1, 2, 3, 4]);
+      done();
+    });
+  });
+
+  it('can\'t be used once ended', function(done) {
+    var t = dao.begin();
+    var oldAssert = console.assert;
+
+    t.commit().then(function() {
+      console.assert = function(c, msg) { if ( ! c ) throw msg; };
+      expect(function() { t.put(test.Person.create({id: 3})); }).toThrow();
+      expect(function() { t.rollback(); }).toThrow();
+      console.assert = oldAssert;
+      done();
+    });
+  });
+});
+
+
+describe('ArrayDAO transactions', function() {
+  var dao;
+  var events;
+  var people;
+
+  function ids(sink) {
+    return sink.array.map(function(p) { return p.id; });
+  }
+
+  beforeEach(function(done) {
+    foam.CLASS({
+      package: 'test',
+      name: 'Person',
+      properties: ['id', 'name']
+    });
+
+    events = [];
+    dao    = foam.dao.ArrayDAO.create({of: 'test.Person'});
+    people = [];
+
+    for ( var i = 0 ; i < 1000 ; i++ ) {
+      people.push(test.Person.create({id: i}));
+    }
+
+    dao.put(test.Person.create({id: -1})).then(function() {
+      dao.onData.sub(function(s, on, event) { events.push(event); });
+      done();
+    });
+  });
+
+  it('publish a single reset when committed', function(done) {
+    dao.putAll(people).then(function(put) {
+      expect(put.length).toBe(1000);
+      expect(events).toEqual(['reset']);
+      return dao.select();
+    }).then(function(sink) {
+      expect(sink.array.length).toBe(1001);
+      done();
+    });
+  });
+
+  it('publish nothing when nothing changed', function(done) {
+    var t = dao.begin();
+
+    expect(foam.dao.ArrayDAOTransaction.isInstance(t)).toBe(true);
+
+    t.commit().then(function() {
+      expect(events).toEqual([]);
+      done();
+    });
+  });
+
+  it('restore the array on rollback', function(done) {
+    var t = dao.begin();
+    var array = dao.array;
+
+    t.putAll(people.slice(0, 10));
+    t.remove(test.Person.create({id: -1}));
+    dao.removeAll();
+
+    t.rollback().then(function() {
+      expect(events).toEqual([]);
+      expect(dao.array).toBe(array);
+      return dao.select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([-1]);
+      // Events resume once the transaction has ended.
+      return dao.put(people[0]);
+    }).then(function() {
+      expect(events).toEqual(['put']);
+      done();
+    });
+  });
+
+  it('store nothing from putAll() when a put fails', function(done) {
+    foam.CLASS({
+      package: 'test',
+      name: 'BadPerson',
+      extends: 'test.Person',
+      properties: [
+        {
+          name: 'id',
+          getter: function() { throw new Error('No ID'); }
+        }
+      ]
+    });
+
+    dao.putAll([
+      people[0],
+      test.BadPerson.create(),
+      people[1]
+    ]).then(function() {
+      fail('putAll() should have been rejected');
+    }, function(e) {
+      expect(e.message).toBe('No ID');
+      expect(events).toEqual([]);
+      return dao.select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([-1]);
+      expect(dao.transaction_).toBe(null);
+      done();
+    });
+  });
+
+  it('allow only one open transaction', function(done) {
+    var t = dao.begin();
+    try {
+      dao.begin();
+      fail('begin() should have thrown');
+    } catch (e) {
+      expect(foam.dao.DAOException.isInstance(e)).toBe(true);
+      expect(e.message).toBe('ArrayDAO already has an open transaction.');
+    }
+
+    t.commit().then(function() {
+      expect(dao.begin()).toBeDefined();
+      done();
+    });
+  });
+
+  it('run concurrent putAll()s one at a time', function(done) {
+    foam.CLASS({
+      package: 'test',
+      name: 'BadPerson',
+      extends: 'test.Person',
+      properties: [
+        {
+          name: 'id',
+          getter: function() { throw new Error('No ID'); }
+        }
+      ]
+    });
+
+    var bad = dao.putAll([people[1], test.BadPerson.create()]);
+    var good = dao.putAll([people[3], people[4]]);
+
+    bad.then(fail, function(e) {
+      expect(e.message).toBe('No ID');
+      return good;
+    }).then(function(put) {
+      expect(ids({array: put})).toEqual([3, 4]);
+      return dao.select();
+    }).then(function(sink) {
+      expect(ids(sink)).toEqual([-1, 3, 4]);
+      done();
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('ValidationDAO', function() {
+  var array;
+  var dao;
+
+  beforeEach(function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'NonNegativeInt',
+      extends: 'Int',
+      methods: [
+        function validateInstance(o) {
+          if ( o[this.name] < 0 ) {
+            throw new Error(this.name + ' must not be negative.');
+          }
+        }
+      ]
+    });
+
+    foam.CLASS({
+      package: 'test',
+      name: 'Person',
+      properties: [
+        'id',
+        {
+          name: 'name',
+          required: true
+        },
+        {
+          name: 'email',
+          required: true
+        },
+        {
+          class: 'test.NonNegativeInt',
+          name: 'age'
+        }
+      ]
+    });
+
+    array = foam.dao.ArrayDAO.create({of: 'test.Person'});
+    dao   = foam.dao.ValidationDAO.create({delegate: array});
+  });
+
+  it('puts valid objects', function(done) {
+    dao.put(test.Person.create({id: 1, name: 'Kevin', email: 'k@x.com'}))
+        .then(function(p) {
+          expect(p.id).toBe(1);
+          return array.find(1);
+        }).then(function(p) {
+          expect(p.name).toBe('Kevin');
+          done();
+        });
+  });
+
+  it('rejects invalid objects, listing every failure', function(done) {
+    var p = test.Person.create({id: 1, age: -1});
+
+    dao.put(p).then(function() {
+      fail('put() should have been rejected');
+    }, function(e) {
+      expect(foam.dao.ValidationException.isInstance(e)).toBe(true);
+      expect(e.obj).toBe(p);
+      expect(e.errors.map(function(err) { return err.property; })).toEqual(
+          ['name', 'email', 'age']);
+      expect(e.errors[0].message).toBe(
+          'Required property test.Person.name not defined.');
+      expect(e.errors[2].message).toBe('age must not be negative.');
+      expect(e.message).toContain('age must not be negative.');
+      return array.select();
+    }).then(function(sink) {
+      expect(sink.array.length).toBe(0);
+      done();
+    });
+  });
+
+  it('reports failures to a sink\'s error()', function(done) {
+    var errors = [];
+    var sink = foam.dao.ArraySink.create();
+    sink.error = function(e) { errors.push(e); };
+
+    dao.put(test.Person.create({id: 1, name: 'Kevin'}), sink).catch(
+        function(e) {
+          expect(errors).toEqual([e]);
+          expect(e.errors.length).toBe(1);
+          expect(e.errors[0].property).toBe('email');
+          done();
+        });
+  });
+});
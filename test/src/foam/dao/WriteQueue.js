@@ -0,0 +1,55 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+describe('WriteQueue', function() {
+  it('runs writes one at a time, in order', function(done) {
+    var queue = foam.dao.WriteQueue.create();
+    var log   = [];
+
+    function write(name, ms) {
+      return queue.enqueue(function() {
+        log.push('start ' + name);
+        return new Promise(function(resolve) {
+          setTimeout(function() {
+            log.push('end ' + name);
+            resolve(name);
+          }, ms);
+        });
+      });
+    }
+
+    Promise.all([write('a', 10), write('b', 0)]).then(function(results) {
+      expect(results).toEqual(['a', 'b']);
+      expect(log).toEqual(['start a', 'end a', 'start b', 'end b']);
+      done();
+    });
+  });
+
+  it('fails only the write which failed', function(done) {
+    var queue = foam.dao.WriteQueue.create();
+
+    queue.enqueue(function() { throw new Error('bad'); }).then(fail,
+        function(e) {
+          expect(e.message).toBe('bad');
+        });
+
+    queue.enqueue(function() { return 'ok'; }).then(function(v) {
+      expect(v).toBe('ok');
+      done();
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('TreeIndex', function() {
+  var index;
+
+  function values(opt_reverse, opt_lo, opt_hi) {
+    var a = [];
+    index.forEach(function(o) { a.push(o.id); }, opt_reverse, opt_lo, opt_hi);
+    return a;
+  }
+
+  function depth(n) {
+    return n ? 1 + Math.max(depth(n.left), depth(n.right)) : 0;
+  }
+
+  beforeEach(function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'Item',
+      properties: [
+        'id',
+        'label'
+      ]
+    });
+
+    index = foam.dao.index.TreeIndex.create({prop: test.Item.ID});
+  });
+
+  it('keeps objects ordered and balanced', function() {
+    for ( var i = 0 ; i < 1000 ; i++ ) {
+      index.put(test.Item.create({id: (i * 7919) % 1000}));
+    }
+
+    expect(index.size).toBe(1000);
+    expect(values().slice(0, 5)).toEqual([0, 1, 2, 3, 4]);
+    expect(values(true).slice(0, 3)).toEqual([999, 998, 997]);
+    // An AVL tree's height is at most ~1.44 log2(n).
+    expect(depth(index.root)).toBeLessThan(15);
+  });
+
+  it('replaces objects with equal keys', function() {
+    var a = test.Item.create({id: 1, label: 'a'});
+    var b = test.Item.create({id: 1, label: 'b'});
+
+    index.put(a);
+    index.put(b);
+
+    expect(index.size).toBe(1);
+    expect(index.get(1)).toBe(b);
+  });
+
+  it('removes objects and stays balanced', function() {
+    for ( var i = 0 ; i < 500 ; i++ ) index.put(test.Item.create({id: i}));
+    for ( i = 0 ; i < 500 ; i += 2 ) {
+      expect(index.remove(test.Item.create({id: i})).id).toBe(i);
+    }
+
+    expect(index.size).toBe(250);
+    expect(index.get(2)).toBe(null);
+    expect(index.get(3).id).toBe(3);
+    expect(index.removeKey(2)).toBe(undefined);
+    expect(values().slice(0, 3)).toEqual([1, 3, 5]);
+    expect(depth(index.root)).toBeLessThan(13);
+  });
+
+  it('visits ranges', function() {
+    for ( var i = 0 ; i < 10 ; i++ ) index.put(test.Item.create({id: i}));
+
+    expect(values(false, {value: 3, inclusive: true},
+        {value: 6, inclusive: false})).toEqual([3, 4, 5]);
+    expect(values(true, {value: 3, inclusive: false})).toEqual(
+        [9, 8, 7, 6, 5, 4]);
+    expect(values(false, undefined, {value: 1, inclusive: true})).toEqual(
+        [0, 1]);
+  });
+
+  it('stops when fn returns false', function() {
+    for ( var i = 0 ; i < 10 ; i++ ) index.put(test.Item.create({id: i}));
+
+    var a = [];
+    var result = index.forEach(function(o) {
+      a.push(o.id);
+      return a.length < 3;
+    });
+
+    expect(a).toEqual([0, 1, 2]);
+    expect(result).toBe(false);
+  });
+
+  it('orders duplicate values by tail and nulls first', function() {
+    index = foam.dao.index.TreeIndex.create({
+      prop: test.Item.LABEL,
+      tail: test.Item.ID
+    });
+
+    index.put(test.Item.create({id: 3, label: 'b'}));
+    index.put(test.Item.create({id: 1, label: 'b'}));
+    index.put(test.Item.create({id: 2, label: 'a'}));
+    index.put(test.Item.create({id: 4}));
+
+    expect(values()).toEqual([4, 2, 1, 3]);
+    expect(values(false, {value: 'b', inclusive: true},
+        {value: 'b', inclusive: true})).toEqual([1, 3]);
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('SearchDAO', function() {
+  var delegate;
+  var dao;
+
+  beforeEach(function(done) {
+    foam.CLASS({
+      package: 'test',
+      name: 'Article',
+      properties: [
+        {
+          class: 'Int',
+          name: 'id'
+        },
+        {
+          class: 'String',
+          name: 'title'
+        },
+        {
+          class: 'String',
+          name: 'body'
+        },
+        {
+          class: 'StringArray',
+          name: 'tags'
+        },
+        {
+          class: 'Int',
+          name: 'year'
+        }
+      ]
+    });
+
+    delegate = foam.dao.MDAO.create({of: test.Article});
+    delegate.putAll([
+      article(1, 'Fast search', 'Searching text, fast.', ['search'], 2015),
+      article(2, 'Slow search', 'Scanning every row. Slow, slow, slow.',
+          ['scan'], 2016),
+      article(3, 'Cooking', 'Pasta and sauce.', ['food'], 2017),
+      article(4, 'Search engines', 'Search, search and search again.',
+          ['search', 'web'], 2018)
+    ]).then(function() {
+      dao = foam.dao.search.SearchDAO.create({delegate: delegate});
+      return dao.indexed;
+    }).then(function() { done(); });
+  });
+
+  function article(id, title, body, tags, year) {
+    return test.Article.create(
+        {id: id, title: title, body: body, tags: tags, year: year});
+  }
+
+  function ids(d) {
+    return d.select().then(function(sink) {
+      return sink.array.map(function(a) { return a.id; });
+    });
+  }
+
+  describe('Tokenizer', function() {
+    it('splits text into lower-case terms', function() {
+      var t = foam.dao.search.Tokenizer.create();
+      expect(t.tokenize('Hello, World! 42 café')).toEqual(
+          ['hello', 'world', '42', 'café']);
+      expect(t.tokenize(['a b', 'C'])).toEqual(['a', 'b', 'c']);
+      expect(t.tokenize(undefined)).toEqual([]);
+    });
+
+    it('optionally stems words', function() {
+      var t = foam.dao.search.Tokenizer.create({stem: true});
+      expect(t.tokenize('searches searching searched search')).toEqual(
+          ['search', 'search', 'search', 'search']);
+      expect(t.tokenize('queries glass bus')).toEqual(
+          ['query', 'glass', 'bus']);
+    });
+  });
+
+  it('indexes String and StringArray properties by default', function() {
+    expect(dao.searchProperties.map(function(p) { return p.name; }))
+        .toEqual(['title', 'body', 'tags']);
+  });
+
+  it('finds objects containing every term', function(done) {
+    ids(dao.where(dao.KEYWORD('SEARCH fast'))).then(function(a) {
+      expect(a).toEqual([1]);
+      return ids(dao.where(dao.KEYWORD('search nothing')));
+    }).then(function(a) {
+      expect(a).toEqual([]);
+      done();
+    });
+  });
+
+  it('ranks results by term frequency', function(done) {
+    ids(dao.where(dao.KEYWORD('search'))).then(function(a) {
+      expect(a).toEqual([4, 1, 2]);
+      done();
+    });
+  });
+
+  it('combines keywords with other predicates', function(done) {
+    var q = dao.AND(dao.KEYWORD('search'), dao.LT(test.Article.YEAR, 2018));
+
+    ids(dao.where(q)).then(function(a) {
+      expect(a).toEqual([1, 2]);
+      done();
+    });
+  });
+
+  it('supports order, skip and limit', function(done) {
+    var results = dao.where(dao.KEYWORD('search'));
+
+    ids(results.orderBy(test.Article.YEAR)).then(function(a) {
+      expect(a).toEqual([1, 2, 4]);
+      return ids(results.skip(1).limit(1));
+    }).then(function(a) {
+      expect(a).toEqual([1]);
+      done();
+    });
+  });
+
+  it('only fetches the ranked results within skip and limit', function(done) {
+    spyOn(delegate, 'find').and.callThrough();
+
+    ids(dao.where(dao.KEYWORD('search')).skip(1).limit(1)).then(function(a) {
+      expect(a).toEqual([1]);
+      expect(delegate.find.calls.count()).toBe(1);
+      expect(delegate.find).toHaveBeenCalledWith(1);
+      done();
+    });
+  });
+
+  it('updates the index on put and remove', function(done) {
+    dao.put(article(3, 'Cooking', 'Search for pasta.', [], 2017))
+        .then(function() {
+          return dao.remove(article(4));
+        }).then(function() {
+          // Also changes made directly to the delegate.
+          return delegate.put(article(5, 'Search', '', [], 2019));
+        }).then(function() {
+          return ids(dao.where(dao.KEYWORD('search')));
+        }).then(function(a) {
+          expect(a.sort()).toEqual([1, 2, 3, 5]);
+          return ids(dao.where(dao.KEYWORD('engines')));
+        }).then(function(a) {
+          expect(a).toEqual([]);
+          done();
+        });
+  });
+
+  it('stems when its Tokenizer does', function(done) {
+    var stemmed = foam.dao.search.SearchDAO.create({
+      delegate: delegate,
+      tokenizer: foam.dao.search.Tokenizer.create({stem: true}),
+      searchProperties: [test.Article.BODY]
+    });
+
+    ids(stemmed.where(stemmed.KEYWORD('searched'))).then(function(a) {
+      expect(a).toEqual([4, 1]);
+      done();
+    });
+  });
+
+  it('removes keyword matches with removeAll()', function(done) {
+    dao.where(dao.KEYWORD('slow')).removeAll().then(function() {
+      return ids(delegate);
+    }).then(function(a) {
+      expect(a).toEqual([1, 3, 4]);
+      done();
+    });
+  });
+
+  it('matches objects with f() outside the index', function() {
+    var k = dao.KEYWORD('pasta sauce');
+    expect(k.f(article(3, 'Cooking', 'Pasta and sauce.'))).toBe(true);
+    expect(k.f(article(1, 'Pasta'))).toBe(false);
+    expect(k.toString()).toBe('KEYWORD("pasta sauce")');
+
+    // By default, all text properties are searched.
+    expect(foam.dao.search.Keyword.create({query: 'web'})
+        .f(article(4, '', '', ['web']))).toBe(true);
+  });
+
+  it('retries building the index on the next search after a failure',
+      function(done) {
+    // Fails its first select().
+    foam.CLASS({
+      package: 'test',
+      name: 'FlakyDAO',
+      extends: 'foam.dao.ProxyDAO',
+      properties: [
+        {
+          class: 'Boolean',
+          name: 'failed'
+        }
+      ],
+      methods: [
+        function select(sink, skip, limit, order, predicate) {
+          if ( ! this.failed ) {
+            this.failed = true;
+            return this.reject_('offline');
+          }
+          return this.SUPER(sink, skip, limit, order, predicate);
+        }
+      ]
+    });
+
+    var search = foam.dao.search.SearchDAO.create({
+      of: test.Article,
+      delegate: test.FlakyDAO.create({delegate: delegate})
+    });
+
+    ids(search.where(search.KEYWORD('search'))).then(fail, function(e) {
+      expect(e.message).toBe('offline');
+      return ids(search.where(search.KEYWORD('search')));
+    }).then(function(a) {
+      expect(a).toEqual([4, 1, 2]);
+      done();
+    });
+  });
+});
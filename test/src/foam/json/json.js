@@ -0,0 +1,89 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('foam.json', function() {
+  beforeEach(function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'Address',
+      properties: ['city']
+    });
+
+    foam.CLASS({
+      package: 'test',
+      name: 'Person',
+      properties: [
+        'id',
+        'name',
+        {
+          class: 'Int',
+          name: 'age'
+        },
+        'address',
+        'tags',
+        'callback'
+      ]
+    });
+  });
+
+  it('outputs the class and set Properties', function() {
+    var p = test.Person.create({id: 1, name: 'Kevin'});
+    expect(foam.json.stringify(p)).toBe(
+        '{"class":"test.Person","id":1,"name":"Kevin"}');
+  });
+
+  it('converts values recursively and drops functions', function() {
+    var p = test.Person.create({
+      id: 1,
+      address: test.Address.create({city: 'Waterloo'}),
+      tags: ['a', {b: 2}],
+      callback: function() {}
+    });
+
+    expect(foam.json.objectify(p)).toEqual({
+      class: 'test.Person',
+      id: 1,
+      address: {class: 'test.Address', city: 'Waterloo'},
+      tags: ['a', {b: 2}]
+    });
+  });
+
+  it('parses what it outputs', function() {
+    var p = test.Person.create({
+      id: 1,
+      name: 'Kevin',
+      age: 30,
+      address: test.Address.create({city: 'Waterloo'}),
+      tags: ['a']
+    });
+
+    var p2 = foam.json.parseString(foam.json.stringify(p));
+
+    expect(test.Person.isInstance(p2)).toBe(true);
+    expect(test.Address.isInstance(p2.address)).toBe(true);
+    expect(p2.address.equals(p.address)).toBe(true);
+    p2.address = p.address;
+    expect(p2.equals(p)).toBe(true);
+    expect(p2.hasOwnProperty('age')).toBe(true);
+  });
+
+  it('parses plain values', function() {
+    expect(foam.json.parse([1, 'a', null, {x: [true]}])).toEqual(
+        [1, 'a', null, {x: [true]}]);
+  });
+});
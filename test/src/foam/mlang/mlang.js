@@ -0,0 +1,209 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('mLang', function() {
+  var M;
+  var kevin;
+  var adam;
+
+  beforeEach(function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'Person',
+      properties: [
+        'id',
+        'name',
+        {
+          class: 'Int',
+          name: 'age'
+        },
+        {
+          class: 'StringArray',
+          name: 'tags'
+        }
+      ]
+    });
+
+    M     = foam.mlang.ExpressionsSingleton.create();
+    kevin = test.Person.create({id: 1, name: 'Kevin', age: 30, tags: ['a']});
+    adam  = test.Person.create({id: 2, name: 'Adam', age: 18});
+  });
+
+  it('treats Properties as Exprs', function() {
+    expect(foam.mlang.Expr.isInstance(test.Person.NAME)).toBe(true);
+    expect(test.Person.NAME.f(kevin)).toBe('Kevin');
+  });
+
+  it('adapts non-Expr arguments into Constants', function() {
+    var p = M.EQ(test.Person.AGE, 30);
+    expect(p.arg1).toBe(test.Person.AGE);
+    expect(foam.mlang.Constant.isInstance(p.arg2)).toBe(true);
+    expect(p.arg2.f(kevin)).toBe(30);
+  });
+
+  it('supports EQ and NEQ', function() {
+    expect(M.EQ(test.Person.NAME, 'Kevin').f(kevin)).toBe(true);
+    expect(M.EQ(test.Person.NAME, 'Kevin').f(adam)).toBe(false);
+    expect(M.NEQ(test.Person.NAME, 'Kevin').f(kevin)).toBe(false);
+    expect(M.NEQ(test.Person.NAME, 'Kevin').f(adam)).toBe(true);
+  });
+
+  it('supports LT, LTE, GT and GTE', function() {
+    expect(M.LT(test.Person.AGE, 30).f(kevin)).toBe(false);
+    expect(M.LT(test.Person.AGE, 30).f(adam)).toBe(true);
+    expect(M.LTE(test.Person.AGE, 30).f(kevin)).toBe(true);
+    expect(M.GT(test.Person.AGE, 18).f(kevin)).toBe(true);
+    expect(M.GT(test.Person.AGE, 18).f(adam)).toBe(false);
+    expect(M.GTE(test.Person.AGE, 18).f(adam)).toBe(true);
+  });
+
+  it('supports IN', function() {
+    expect(M.IN(test.Person.AGE, [18, 19]).f(adam)).toBe(true);
+    expect(M.IN(test.Person.AGE, [18, 19]).f(kevin)).toBe(false);
+    expect(M.IN(test.Person.AGE, []).f(kevin)).toBe(false);
+  });
+
+  it('supports CONTAINS on Strings and Arrays', function() {
+    expect(M.CONTAINS(test.Person.NAME, 'vi').f(kevin)).toBe(true);
+    expect(M.CONTAINS(test.Person.NAME, 'vi').f(adam)).toBe(false);
+    expect(M.CONTAINS(test.Person.TAGS, 'a').f(kevin)).toBe(true);
+    expect(M.CONTAINS(test.Person.TAGS, 'a').f(adam)).toBe(false);
+  });
+
+  it('supports STARTS_WITH on Strings and Arrays', function() {
+    expect(M.STARTS_WITH(test.Person.NAME, 'Ke').f(kevin)).toBe(true);
+    expect(M.STARTS_WITH(test.Person.NAME, 'Ke').f(adam)).toBe(false);
+    kevin.tags = ['alpha', 'beta'];
+    expect(M.STARTS_WITH(test.Person.TAGS, 'be').f(kevin)).toBe(true);
+    expect(M.STARTS_WITH(test.Person.TAGS, 'ga').f(kevin)).toBe(false);
+  });
+
+  it('supports HAS', function() {
+    expect(M.HAS(test.Person.NAME).f(kevin)).toBe(true);
+    expect(M.HAS(test.Person.TAGS).f(kevin)).toBe(true);
+    expect(M.HAS(test.Person.TAGS).f(adam)).toBe(false);
+    adam.name = '';
+    expect(M.HAS(test.Person.NAME).f(adam)).toBe(false);
+  });
+
+  it('supports AND, OR and NOT', function() {
+    var old = M.GT(test.Person.AGE, 20);
+    var k   = M.STARTS_WITH(test.Person.NAME, 'K');
+
+    expect(M.AND(old, k).f(kevin)).toBe(true);
+    expect(M.AND(old, k).f(adam)).toBe(false);
+    expect(M.OR(old, M.EQ(test.Person.NAME, 'Adam')).f(adam)).toBe(true);
+    expect(M.NOT(old).f(adam)).toBe(true);
+    expect(M.NOT(old).f(kevin)).toBe(false);
+  });
+
+  it('compares Properties with each other', function() {
+    expect(M.EQ(test.Person.NAME, test.Person.ID).f(kevin)).toBe(false);
+    kevin.name = 1;
+    expect(M.EQ(test.Person.NAME, test.Person.ID).f(kevin)).toBe(true);
+  });
+
+  it('throws when NOT is given a non-Predicate', function() {
+    var oldAssert = console.assert;
+    console.assert = function(c, msg) { if ( ! c ) throw msg; };
+    try {
+      expect(function() { M.NOT(5); }).toThrow();
+    } finally {
+      console.assert = oldAssert;
+    }
+  });
+
+  it('simplifies with partialEval()', function() {
+    var p = M.EQ(test.Person.NAME, 'Kevin');
+
+    expect(M.AND(p, M.TRUE()).partialEval()).toBe(p);
+    expect(M.AND(p, M.FALSE()).partialEval()).toBe(M.FALSE());
+    expect(M.OR(p, M.TRUE()).partialEval()).toBe(M.TRUE());
+    expect(M.OR(p, M.FALSE()).partialEval()).toBe(p);
+    expect(M.NOT(M.NOT(p)).partialEval()).toBe(p);
+    expect(M.EQ(1, 1).partialEval()).toBe(M.TRUE());
+    expect(M.EQ(1, 2).partialEval()).toBe(M.FALSE());
+
+    var nested = M.AND(p, M.AND(p, p)).partialEval();
+    expect(nested.args.length).toBe(3);
+  });
+
+  it('are FObjects which can be compared and cloned', function() {
+    var p = M.AND(
+        M.GT(test.Person.AGE, 20),
+        M.NOT(M.EQ(test.Person.NAME, 'Adam')));
+
+    expect(foam.core.FObject.isInstance(p)).toBe(true);
+    expect(p.clone().equals(p)).toBe(true);
+    expect(p.equals(M.AND(
+        M.GT(test.Person.AGE, 20),
+        M.NOT(M.EQ(test.Person.NAME, 'Adam'))))).toBe(true);
+    expect(p.equals(M.AND(
+        M.GT(test.Person.AGE, 21),
+        M.NOT(M.EQ(test.Person.NAME, 'Adam'))))).toBe(false);
+
+    var c = M.EQ(test.Person.AGE, 20).clone();
+    expect(c.arg1).toBe(test.Person.AGE);
+  });
+
+  it('have a readable toString()', function() {
+    expect(M.AND(
+        M.GT(test.Person.AGE, 20),
+        M.NOT(M.EQ(test.Person.NAME, 'Adam')),
+        M.STARTS_WITH(test.Person.NAME, 'K')).toString()).toBe(
+        'AND(GT(age, 20), NOT(EQ(name, "Adam")), STARTS_WITH(name, "K"))');
+  });
+
+  it('uses Properties as ascending Comparators', function() {
+    expect(test.Person.AGE.compare(adam, kevin)).toBe(-1);
+    expect(test.Person.AGE.compare(kevin, adam)).toBe(1);
+    expect(test.Person.AGE.compare(kevin, kevin)).toBe(0);
+  });
+
+  it('supports DESC and THEN_BY Comparators', function() {
+    var young = test.Person.create({id: 3, name: 'Braden', age: 18});
+
+    expect(M.DESC(test.Person.AGE).compare(adam, kevin)).toBe(1);
+    expect(M.DESC(test.Person.AGE).compare(adam, young)).toBe(0);
+
+    var c = M.THEN_BY(test.Person.AGE, M.DESC(test.Person.NAME));
+    expect(c.compare(adam, kevin)).toBe(-1);
+    expect(c.compare(adam, young)).toBe(1);
+    expect(c.compare(young, adam)).toBe(-1);
+    expect(c.toString()).toBe('THEN_BY(age, DESC(name))');
+
+    var c3 = M.THEN_BY(test.Person.AGE, test.Person.NAME, test.Person.ID);
+    expect(c3.head).toBe(test.Person.AGE);
+    expect(c3.tail.head).toBe(test.Person.NAME);
+    expect(c3.tail.tail).toBe(test.Person.ID);
+  });
+
+  it('can be used as a mix-in through the Expressions interface', function() {
+    foam.CLASS({
+      package: 'test',
+      name: 'QueryBuilder',
+      implements: ['foam.mlang.Expressions'],
+      methods: [
+        function adults() { return this.GTE(test.Person.AGE, 18); }
+      ]
+    });
+
+    var q = test.QueryBuilder.create().adults();
+    expect(q.f(adam)).toBe(true);
+  });
+});
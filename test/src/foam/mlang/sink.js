@@ -0,0 +1,200 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* globals test */
+describe('mLang Sinks', function() {
+  var M;
+  var dao;
+
+  beforeEach(function(done) {
+    foam.CLASS({
+      package: 'test',
+      name: 'Employee',
+      properties: [
+        'id',
+        'name',
+        'dept',
+        {
+          class: 'Int',
+          name: 'salary'
+        },
+        {
+          class: 'StringArray',
+          name: 'skills'
+        }
+      ]
+    });
+
+    M   = foam.mlang.ExpressionsSingleton.create();
+    dao = foam.dao.ArrayDAO.create({of: 'test.Employee'});
+
+    Promise.all([
+      dao.put(test.Employee.create({id: 1, name: 'Kevin', dept: 'eng',
+        salary: 100, skills: ['js', 'java']})),
+      dao.put(test.Employee.create({id: 2, name: 'Adam', dept: 'eng',
+        salary: 80, skills: ['js']})),
+      dao.put(test.Employee.create({id: 3, name: 'Braden', dept: 'sales',
+        salary: 60})),
+      dao.put(test.Employee.create({id: 4, name: 'Jackson', dept: 'ops'}))
+    ]).then(function() { done(); });
+  });
+
+  it('COUNT()s', function(done) {
+    dao.select(M.COUNT()).then(function(sink) {
+      expect(sink.value).toBe(4);
+      return dao.where(M.EQ(test.Employee.DEPT, 'eng')).select(M.COUNT());
+    }).then(function(sink) {
+      expect(sink.value).toBe(2);
+      done();
+    });
+  });
+
+  it('SUMs and AVeraGes, ignoring non-numbers', function(done) {
+    var e = test.Employee.create({id: 5});
+    e.salary = 'unknown';
+
+    dao.put(e).then(function() {
+      return dao.select(M.SUM(test.Employee.SALARY));
+    }).then(function(sink) {
+      expect(sink.value).toBe(240);
+      return dao.select(M.AVG(test.Employee.SALARY));
+    }).then(function(sink) {
+      // Jackson's salary defaults to 0.
+      expect(sink.value).toBe(60);
+      return dao.where(M.FALSE()).select(M.AVG(test.Employee.SALARY));
+    }).then(function(sink) {
+      expect(sink.value).toBeUndefined();
+      done();
+    });
+  });
+
+  it('finds the MIN and MAX', function(done) {
+    Promise.all([
+      dao.select(M.MIN(test.Employee.NAME)),
+      dao.select(M.MAX(test.Employee.NAME)),
+      dao.select(M.MAX(test.Employee.SALARY)),
+      dao.select(M.MIN(test.Employee.DEPT)),
+      dao.where(M.FALSE()).select(M.MIN(test.Employee.SALARY))
+    ]).then(function(sinks) {
+      expect(sinks[0].value).toBe('Adam');
+      expect(sinks[1].value).toBe('Kevin');
+      expect(sinks[2].value).toBe(100);
+      expect(sinks[3].value).toBe('eng');
+      expect(sinks[4].value).toBeUndefined();
+      done();
+    });
+  });
+
+  it('collects UNIQUE values', function(done) {
+    dao.select(M.UNIQUE(test.Employee.DEPT)).then(function(sink) {
+      expect(sink.value).toEqual(['eng', 'sales', 'ops']);
+      return dao.select(M.UNIQUE(test.Employee.SKILLS));
+    }).then(function(sink) {
+      expect(sink.value).toEqual([['js', 'java'], ['js'], []]);
+      done();
+    });
+  });
+
+  it('passes DISTINCT objects to a delegate', function(done) {
+    dao.select(M.DISTINCT(test.Employee.DEPT)).then(function(sink) {
+      expect(sink.value.array.map(function(e) { return e.id; })).toEqual(
+          [1, 3, 4]);
+      return dao.select(M.DISTINCT(test.Employee.DEPT, M.COUNT()));
+    }).then(function(sink) {
+      expect(sink.value).toBe(3);
+      done();
+    });
+  });
+
+  it('MAPs objects onto one or more values', function(done) {
+    dao.select(M.MAP(test.Employee.NAME)).then(function(sink) {
+      expect(sink.value).toEqual(['Kevin', 'Adam', 'Braden', 'Jackson']);
+      return dao.orderBy(test.Employee.NAME).select(
+          M.MAP(test.Employee.ID, test.Employee.DEPT, 'x'));
+    }).then(function(sink) {
+      expect(sink.value).toEqual([
+        [2, 'eng', 'x'],
+        [3, 'sales', 'x'],
+        [4, 'ops', 'x'],
+        [1, 'eng', 'x']
+      ]);
+      done();
+    });
+  });
+
+  it('GROUP_BYs into nested Sinks', function(done) {
+    dao.select(M.GROUP_BY(test.Employee.DEPT, M.COUNT())).then(function(sink) {
+      expect(sink.value).toEqual({eng: 2, sales: 1, ops: 1});
+      expect(sink.groupKeys).toEqual(['eng', 'sales', 'ops']);
+      return dao.select(
+          M.GROUP_BY(test.Employee.DEPT, M.SUM(test.Employee.SALARY)));
+    }).then(function(sink) {
+      expect(sink.value).toEqual({eng: 180, sales: 60, ops: 0});
+      return dao.select(M.GROUP_BY(test.Employee.DEPT));
+    }).then(function(sink) {
+      expect(sink.value.eng.array.length).toBe(2);
+      done();
+    });
+  });
+
+  it('GROUP_BYs each element of array values', function(done) {
+    dao.select(M.GROUP_BY(test.Employee.SKILLS, M.MAP(test.Employee.NAME)))
+        .then(function(sink) {
+          expect(sink.value).toEqual({js: ['Kevin', 'Adam'], java: ['Kevin']});
+          done();
+        });
+  });
+
+  it('composes nested GROUP_BYs and calls eof() on each group', function(done) {
+    var eofs = 0;
+
+    foam.CLASS({
+      package: 'test',
+      name: 'EofSink',
+      implements: ['foam.dao.Sink'],
+      methods: [
+        function eof() { eofs++; }
+      ]
+    });
+
+    dao.select(M.GROUP_BY(test.Employee.DEPT,
+        M.GROUP_BY(test.Employee.NAME, M.MAP(test.Employee.SALARY))))
+        .then(function(sink) {
+          expect(sink.value).toEqual({
+            eng: {Kevin: [100], Adam: [80]},
+            sales: {Braden: [60]},
+            ops: {Jackson: [0]}
+          });
+          return dao.select(M.GROUP_BY(test.Employee.DEPT,
+              test.EofSink.create()));
+        }).then(function(sink) {
+          expect(eofs).toBe(3);
+          expect(test.EofSink.isInstance(sink.value.eng)).toBe(true);
+          done();
+        });
+  });
+
+  it('have a readable toString()', function() {
+    expect(M.GROUP_BY(test.Employee.DEPT, M.SUM(test.Employee.SALARY))
+        .toString()).toBe('GROUP_BY(dept, SUM(salary))');
+    expect(M.MAP(test.Employee.ID, test.Employee.NAME).toString())
+        .toBe('MAP(id, name)');
+    expect(M.COUNT().toString()).toBe('COUNT()');
+    expect(M.AVG(test.Employee.SALARY).toString()).toBe('AVG(salary)');
+    expect(M.MAX(test.Employee.SALARY).toString()).toBe('MAX(salary)');
+  });
+});